@@ -1,7 +1,26 @@
-from fastapi import FastAPI
+import json
+import os
+import random
+import sqlite3
+from typing import List, Literal, Optional
+
+from fastapi import FastAPI, Query, Request, WebSocket, WebSocketDisconnect
+from fastapi.exceptions import RequestValidationError
+from fastapi.responses import JSONResponse, Response
 from fastapi.staticfiles import StaticFiles
-from pydantic import BaseModel
+from pydantic import BaseModel, Field, ValidationError, model_validator
 import chess
+import chess.variant
+
+import engine
+import explorer
+import insights
+import library
+import puzzles
+import render
+import rules
+import sessions
+from clock import parse_time_control
 
 app = FastAPI()
 
@@ -17,75 +36,732 @@ app.add_middleware(
 )
 
 
+# Rule sets for /move, /fen and /reset. Chess960 castling moves are written king-to-rook (e1h1).
+VARIANTS = {
+    "standard": chess.Board,
+    "chess960": chess.Board,
+    "kingofthehill": chess.variant.KingOfTheHillBoard,
+    "threecheck": chess.variant.ThreeCheckBoard,
+    "atomic": chess.variant.AtomicBoard,
+}
+Variant = Literal["standard", "chess960", "kingofthehill", "threecheck", "atomic"]
+
+# Outcome reasons for games won or lost by a variant's own rule
+VARIANT_END_REASONS = {
+    "kingofthehill": "king_of_the_hill",
+    "threecheck": "three_check",
+    "atomic": "explosion",
+}
+
+
 class MoveRequest(BaseModel):
     fen: str
-    move: str  # UCI format, e.g., "e2e4"
+    move: str  # UCI ("e2e4", "e7e8q") or SAN ("e4", "Nf3", "O-O")
+    variant: Variant = "standard"
+    # Optional game history for repetition draws: UCI moves from start_fen (the variant's start if omitted) to fen
+    start_fen: Optional[str] = None
+    moves: List[str] = Field([], max_length=rules.MAX_HISTORY)
 
 
 class FenRequest(BaseModel):
     fen: str
+    variant: Variant = "standard"
+    start_fen: Optional[str] = None
+    moves: List[str] = Field([], max_length=rules.MAX_HISTORY)
 
 
-@app.post("/move")
-def make_move(req: MoveRequest):
-    """Validate and execute a move. Returns new FEN, validity, legal moves, and game state."""
-    board = chess.Board(req.fen)
+class BatchMoveRequest(BaseModel):
+    fen: Optional[str] = None  # Start position, the variant's start if omitted
+    variant: Variant = "standard"
+    moves: List[str] = Field(..., max_length=rules.MAX_HISTORY)  # UCI or SAN, played in order
+
+
+class AnalyzeRequest(BaseModel):
+    fen: str
+    depth: Optional[int] = Field(None, ge=1, le=engine.MAX_DEPTH)
+    time: Optional[float] = Field(None, gt=0, le=engine.MAX_TIME)  # seconds
+    multipv: int = Field(1, ge=1, le=engine.MAX_MULTIPV)
+
+
+class InsightsRequest(BaseModel):
+    fen: str
+    variant: Variant = "standard"
+
+
+class CreateGameRequest(BaseModel):
+    fen: Optional[str] = None           # Start position, standard if omitted
+    time_control: Optional[str] = None  # e.g. "5+3" or "40/90+30, 30+30", untimed if omitted
+
+
+class EngineMoveRequest(BaseModel):
+    fen: str
+    level: int = Field(4, ge=1, le=len(engine.LEVELS))
+
+
+class DrawOfferRequest(BaseModel):
+    fen: str
+    color: Literal["white", "black"]  # The computer's side, which is offered the draw
+
+
+class ExplorerRequest(BaseModel):
+    fen: str
+    moves: List[str] = []  # UCI moves from the standard start position to fen, names openings past the ECO table
+
+
+class SavedGameRequest(BaseModel):
+    # A saved game, or a study chapter; comments and arrows/circles are part of the PGN
+    name: str = Field(..., min_length=1, max_length=library.MAX_NAME_LENGTH)
+    pgn: str = Field(..., max_length=library.MAX_PGN_LENGTH)
+    orientation: Literal["white", "black"] = "white"
+
+
+class SavedGameUpdate(BaseModel):
+    # Only the fields that are given change
+    name: Optional[str] = Field(None, min_length=1, max_length=library.MAX_NAME_LENGTH)
+    pgn: Optional[str] = Field(None, max_length=library.MAX_PGN_LENGTH)
+    orientation: Optional[Literal["white", "black"]] = None
+
+
+class StudyRequest(BaseModel):
+    name: str = Field(..., min_length=1, max_length=library.MAX_NAME_LENGTH)
+    chapters: List[SavedGameRequest] = []
+
+
+class StudyUpdate(BaseModel):
+    name: str = Field(..., min_length=1, max_length=library.MAX_NAME_LENGTH)
+
+
+class Arrow(BaseModel):
+    move: str = Field(..., pattern=r"^[a-h][1-8][a-h][1-8]$")
+    color: str = Field("Green", pattern=render.COLOR_PATTERN)  # PGN color name or "#rrggbb"
+
+
+class Circle(BaseModel):
+    square: str = Field(..., pattern=r"^[a-h][1-8]$")
+    color: str = Field("Green", pattern=render.COLOR_PATTERN)
+
+
+class SquareMark(BaseModel):
+    square: str = Field(..., pattern=r"^[a-h][1-8]$")
+    color: str = Field("Green", pattern=render.COLOR_PATTERN)
+
+
+class Ghost(BaseModel):
+    square: str = Field(..., pattern=r"^[a-h][1-8]$")
+    piece: str = Field(..., pattern=r"^[wb][KQRBNP]$")  # Image name: wN, bQ, ...
+
+
+class Annotations(BaseModel):
+    # Same shape as the board's annotations (getState() in chess-ui.js)
+    arrows: List[Arrow] = Field([], max_length=render.MAX_ANNOTATIONS)
+    circles: List[Circle] = Field([], max_length=render.MAX_ANNOTATIONS)
+    squares: List[SquareMark] = Field([], max_length=render.MAX_ANNOTATIONS)
+    ghosts: List[Ghost] = Field([], max_length=render.MAX_ANNOTATIONS)
+
+
+class ImageOptions(BaseModel):
+    orientation: Literal["white", "black"] = "white"
+    size: int = Field(render.DEFAULT_SIZE, ge=render.MIN_SIZE, le=render.MAX_SIZE)  # pixels, the image is square
+    coordinates: Literal["inside", "outside", "none"] = "inside"
+    theme: Literal["brown", "blue", "green", "gray", "purple"] = "brown"
+    check: bool = True  # Red glow on a king in check
+
+
+class RenderRequest(ImageOptions):
+    fen: str
+    variant: Variant = "standard"
+    format: Literal["svg", "png"] = "svg"
+    last_move: Optional[str] = Field(None, pattern=r"^[a-h][1-8][a-h][1-8][qrbn]?$")  # UCI, highlighted
+    annotations: Annotations = Annotations()
+
+
+class GifRequest(ImageOptions):
+    fen: Optional[str] = None  # Start position, the variant's start if omitted
+    variant: Variant = "standard"
+    moves: List[str] = Field(..., max_length=render.MAX_FRAMES)  # UCI or SAN, one frame each
+    size: int = Field(render.DEFAULT_SIZE, ge=render.MIN_SIZE, le=render.MAX_GIF_SIZE)
+    delay: int = Field(1000, ge=100, le=10000)  # milliseconds per move
+
+    @model_validator(mode="after")
+    def fits_in_memory(self):
+        # Checked before anything is drawn: long GIFs have to be smaller
+        if render.gif_pixels(len(self.moves) + 1, self.size) > render.MAX_GIF_PIXELS:
+            most = render.MAX_GIF_PIXELS // (self.size * self.size) - 1
+            raise ValueError(f"Too many moves for a {self.size} pixel GIF, at most {most} (or a smaller size)")
+        return self
+
+
+# HTTP status per error code; other rule errors are 400 (bad FEN, position, move or history)
+ERROR_STATUS = {
+    "game_over": 409,
+    "no_claimable_draw": 409,
+}
+
+
+def error_response(status: int, code: str, error: str, errors=None, **details) -> JSONResponse:
+    """The API's error body: message, machine-readable code, all details."""
+    return JSONResponse(
+        status_code=status,
+        content={"error": error, "code": code, "errors": errors or [error], **details},
+    )
+
+
+@app.exception_handler(rules.RulesError)
+async def rules_error_handler(request: Request, exc: rules.RulesError):
+    # valid: false as the rules endpoints answered before they had status codes
+    return error_response(ERROR_STATUS.get(exc.code, 400), exc.code, str(exc), exc.errors, valid=False, **exc.details)
+
+
+@app.exception_handler(RequestValidationError)
+async def validation_error_handler(request: Request, exc: RequestValidationError):
+    # Missing or mistyped fields, in the same shape as every other error
+    errors = [f"{'.'.join(str(part) for part in e['loc'])}: {e['msg']}" for e in exc.errors()]
+    return error_response(422, "invalid_request", "Invalid request", errors)
+
+
+# Human-readable reasons for python-chess position status flags
+STATUS_MESSAGES = [
+    (chess.STATUS_EMPTY, "The board is empty"),
+    (chess.STATUS_NO_WHITE_KING, "White king is missing"),
+    (chess.STATUS_NO_BLACK_KING, "Black king is missing"),
+    (chess.STATUS_TOO_MANY_KINGS, "There can only be one king per side"),
+    (chess.STATUS_TOO_MANY_WHITE_PAWNS, "White has more than 8 pawns"),
+    (chess.STATUS_TOO_MANY_BLACK_PAWNS, "Black has more than 8 pawns"),
+    (chess.STATUS_PAWNS_ON_BACKRANK, "Pawns cannot stand on the first or eighth rank"),
+    (chess.STATUS_TOO_MANY_WHITE_PIECES, "White has more than 16 pieces"),
+    (chess.STATUS_TOO_MANY_BLACK_PIECES, "Black has more than 16 pieces"),
+    (chess.STATUS_BAD_CASTLING_RIGHTS, "Castling rights do not match the king and rook positions"),
+    (chess.STATUS_INVALID_EP_SQUARE, "En passant square does not follow a double pawn push"),
+    (chess.STATUS_OPPOSITE_CHECK, "The side not to move is in check"),
+    (chess.STATUS_TOO_MANY_CHECKERS, "The side to move is in check from more than two pieces"),
+    (chess.STATUS_IMPOSSIBLE_CHECK, "The side to move is in a check that cannot arise from a legal move"),
+]
+
+
+def position_errors(board: chess.Board) -> list:
+    """List the reasons why a position is illegal (empty if it is valid)."""
+    status = board.status()
+    return [message for flag, message in STATUS_MESSAGES if status & flag]
+
+
+def make_board(fen: str, variant: str = "standard") -> chess.Board:
+    """Board with the rules of the given variant; raises ValueError for a bad FEN."""
+    return VARIANTS[variant](fen, chess960=variant == "chess960")
+
+
+def load_board(fen: str, variant: str = "standard") -> chess.Board:
+    """Board for a legal position; raises RulesError for a bad FEN or an illegal position."""
     try:
-        move = chess.Move.from_uci(req.move)
-        if move in board.legal_moves:
-            board.push(move)
-            return {
-                "fen": board.fen(),
-                "valid": True,
-                "legal_moves": [m.uci() for m in board.legal_moves],
-                "is_check": board.is_check(),
-                "is_checkmate": board.is_checkmate(),
-                "is_stalemate": board.is_stalemate(),
-                "is_game_over": board.is_game_over(),
-            }
-    except Exception:
-        pass
-    return {
-        "fen": req.fen,
-        "valid": False,
-        "legal_moves": [m.uci() for m in board.legal_moves],
+        board = make_board(fen, variant)
+    except ValueError as e:
+        raise rules.RulesError("invalid_fen", "Invalid FEN", [str(e)])
+
+    errors = position_errors(board)
+    if errors:
+        raise rules.RulesError("illegal_position", errors[0], errors)
+    return board
+
+
+def history_board(fen: str, variant: str, start_fen: Optional[str], moves: List[str]) -> chess.Board:
+    """Board at fen with the moves that led there on its stack; raises RulesError if they do not."""
+    board = load_board(fen, variant)
+    if not moves:
+        return board
+
+    try:
+        start = make_board(start_fen, variant) if start_fen else VARIANTS[variant](chess960=variant == "chess960")
+        rules.replay(start, moves)
+    except ValueError as e:
+        raise rules.RulesError("invalid_history", "Invalid game history", [str(e)])
+    if start.fen() != board.fen():
+        raise rules.RulesError("invalid_history", "Invalid game history", ["The moves do not lead to the given FEN"])
+    return start
+
+
+def outcome_json(board: chess.Board, variant: str):
+    """Result, reason and winner of a finished game, None while it is still going."""
+    outcome = board.outcome()
+    if not outcome:
+        return None
+
+    reason = outcome.termination.name.lower()
+    if outcome.termination in (chess.Termination.VARIANT_WIN, chess.Termination.VARIANT_LOSS):
+        reason = VARIANT_END_REASONS.get(variant, reason)
+    winner = None if outcome.winner is None else ("white" if outcome.winner == chess.WHITE else "black")
+    return {"result": outcome.result(), "reason": reason, "winner": winner}
+
+
+def game_state(board: chess.Board, variant: str) -> dict:
+    """Pieces, legal moves, check, draw counters and game over flags under the variant's rules."""
+    legal_moves = list(board.legal_moves)
+    state = {
+        "variant": variant,
+        "turn": "white" if board.turn == chess.WHITE else "black",
+        "pieces": rules.piece_map(board),
+        "legal_moves": [m.uci() for m in legal_moves],
+        "legal_moves_verbose": [rules.move_json(board, m) for m in legal_moves],
+        "halfmove_clock": board.halfmove_clock,
+        "fullmove_number": board.fullmove_number,
+        "repetitions": rules.repetitions(board),
         "is_check": board.is_check(),
         "is_checkmate": board.is_checkmate(),
         "is_stalemate": board.is_stalemate(),
         "is_game_over": board.is_game_over(),
+        "outcome": outcome_json(board, variant),
+        "claimable_draw": rules.claimable_draw(board),
     }
+    if isinstance(board, chess.variant.ThreeCheckBoard):
+        state["remaining_checks"] = {
+            "white": board.remaining_checks[chess.WHITE],
+            "black": board.remaining_checks[chess.BLACK],
+        }
+    return state
+
+
+def play_move(board: chess.Board, text: str) -> dict:
+    """Play a UCI or SAN move on the board; returns its description (rules.move_json)."""
+    if board.is_game_over():
+        raise rules.RulesError("game_over", "The game is over")
+    move = rules.parse_move(board, text)
+    played = rules.move_json(board, move)
+    board.push(move)
+    return played
+
+
+@app.post("/move")
+def make_move(req: MoveRequest):
+    """Validate and execute a UCI or SAN move. Returns the move in detail, the new FEN and game state."""
+    board = history_board(req.fen, req.variant, req.start_fen, req.moves)
+    played = play_move(board, req.move)
+    return {"fen": board.fen(), "valid": True, "san": played["san"], "move": played, **game_state(board, req.variant)}
+
+
+@app.post("/moves")
+def make_moves(req: BatchMoveRequest):
+    """Play a list of UCI/SAN moves from a position, stopping at the first one that fails."""
+    if req.fen:
+        board = load_board(req.fen, req.variant)
+    else:
+        board = VARIANTS[req.variant](chess960=req.variant == "chess960")
+
+    played = []
+    for index, text in enumerate(req.moves):
+        try:
+            played.append(play_move(board, text))
+        except rules.RulesError as e:
+            # The moves before it stay played: report how far the list got
+            e.details.update(index=index, move=text, fen=board.fen(), moves=played)
+            raise
+    return {"fen": board.fen(), "valid": True, "moves": played, **game_state(board, req.variant)}
 
 
 @app.post("/fen")
 def get_fen_info(req: FenRequest):
     """Get legal moves and game state for a given FEN position."""
-    try:
-        board = chess.Board(req.fen)
-        return {
-            "valid": True,
-            "legal_moves": [m.uci() for m in board.legal_moves],
-            "is_check": board.is_check(),
-            "is_checkmate": board.is_checkmate(),
-            "is_stalemate": board.is_stalemate(),
-            "is_game_over": board.is_game_over(),
-        }
-    except Exception:
-        return {"valid": False, "error": "Invalid FEN"}
+    board = history_board(req.fen, req.variant, req.start_fen, req.moves)
+    return {"valid": True, "fen": board.fen(), **game_state(board, req.variant)}
+
+
+@app.post("/claim-draw")
+def claim_draw(req: FenRequest):
+    """Claim a threefold repetition or 50-move draw for the side to move. Send the moves for repetitions."""
+    board = history_board(req.fen, req.variant, req.start_fen, req.moves)
+    reason = rules.claimable_draw(board)
+    if not reason:
+        raise rules.RulesError("no_claimable_draw", "No draw can be claimed in this position")
+    return {"valid": True, "outcome": {"result": "1/2-1/2", "reason": reason, "winner": None}}
 
 
 @app.get("/reset")
-def reset_game():
-    """Return the starting position FEN and initial game state."""
-    board = chess.Board()
+def reset_game(variant: Variant = "standard", start: Optional[int] = Query(None, ge=0, le=959)):
+    """Return the starting position FEN and initial game state (Chess960: numbered or random start)."""
+    if variant == "chess960":
+        if start is None:
+            start = random.randint(0, 959)
+        board = chess.Board.from_chess960_pos(start)
+        return {"fen": board.fen(), "chess960_position": start, **game_state(board, variant)}
+
+    board = VARIANTS[variant]()
+    return {"fen": board.fen(), **game_state(board, variant)}
+
+
+@app.post("/analyze")
+def analyze(req: AnalyzeRequest):
+    """Run the local UCI engine on a position. Returns evaluation and principal variations."""
+    board = load_board(req.fen)
+    if board.is_game_over():
+        return {"fen": board.fen(), "engine": None, "lines": []}
+
+    try:
+        result = engine.analyse(board, depth=req.depth, time=req.time, multipv=req.multipv)
+    except engine.EngineUnavailable as e:
+        return error_response(503, "engine_unavailable", str(e))
+    return {"fen": board.fen(), **result}
+
+
+@app.post("/engine/move")
+def engine_move(req: EngineMoveRequest):
+    """Pick the computer's reply with the local UCI engine, or the built-in searcher without one."""
+    board = load_board(req.fen)
+    if board.is_game_over():
+        raise rules.RulesError("game_over", "The game is over")
+
+    result = engine.play(board, req.level)
+    move = result["move"]
+    return {"move": move.uci(), "san": board.san(move), "source": result["source"]}
+
+
+@app.post("/engine/draw")
+def engine_draw(req: DrawOfferRequest):
+    """Offer the computer a draw. It accepts unless it thinks it stands clearly better."""
+    board = load_board(req.fen)
+    if board.is_game_over():
+        raise rules.RulesError("game_over", "The game is over")
+
+    return {"accepted": engine.accepts_draw(board, chess.WHITE if req.color == "white" else chess.BLACK)}
+
+
+@app.post("/insights")
+def position_insights(req: InsightsRequest):
+    """Coaching overlays of a position: attacked squares, hanging pieces, pins and king escape squares."""
+    board = load_board(req.fen, req.variant)
+    return {"fen": board.fen(), **insights.insights(board)}
+
+
+def image_options(req: ImageOptions) -> dict:
+    """Keyword arguments of the render module's functions."""
     return {
-        "fen": board.fen(),
-        "legal_moves": [m.uci() for m in board.legal_moves],
-        "is_check": False,
-        "is_checkmate": False,
-        "is_stalemate": False,
-        "is_game_over": False,
+        "orientation": chess.WHITE if req.orientation == "white" else chess.BLACK,
+        "size": req.size,
+        "coordinates": req.coordinates,
+        "theme": req.theme,
+        "check": req.check,
     }
 
 
+def image_response(content, fmt: str) -> Response:
+    media_types = {"svg": "image/svg+xml", "png": "image/png", "gif": "image/gif"}
+    name = "game" if fmt == "gif" else "position"
+    return Response(
+        content,
+        media_type=media_types[fmt],
+        headers={"Content-Disposition": f'inline; filename="{name}.{fmt}"'},
+    )
+
+
+@app.post("/render")
+def render_position(req: RenderRequest):
+    """Picture of a position as SVG or PNG, with the last move, check and the board's annotations."""
+    # Diagrams need not be legal positions, only readable ones
+    try:
+        board = make_board(req.fen, req.variant)
+    except ValueError as e:
+        raise rules.RulesError("invalid_fen", "Invalid FEN", [str(e)])
+
+    options = image_options(req)
+    options.update(lastmove=req.last_move, annotations=req.annotations.model_dump())
+    if req.format == "png":
+        return image_response(render.png(board, **options), "png")
+    return image_response(render.svg(board, **options), "svg")
+
+
+@app.get("/render")
+def render_position_link(
+    fen: str,
+    format: Literal["svg", "png"] = "svg",
+    orientation: Literal["white", "black"] = "white",
+    size: int = Query(render.DEFAULT_SIZE, ge=render.MIN_SIZE, le=render.MAX_SIZE),
+    coordinates: Literal["inside", "outside", "none"] = "inside",
+    theme: Literal["brown", "blue", "green", "gray", "purple"] = "brown",
+    last_move: Optional[str] = Query(None, pattern=r"^[a-h][1-8][a-h][1-8][qrbn]?$"),
+    check: bool = True,
+    arrows: str = Query("", pattern=r"^([GYRB][a-h][1-8][a-h][1-8](,|$))*$"),  # As PGN's [%cal Ge2e4,Rd8d1]
+    circles: str = Query("", pattern=r"^([GYRB][a-h][1-8](,|$))*$"),           # As PGN's [%csl Gd5]
+    squares: str = Query("", pattern=r"^([GYRB][a-h][1-8](,|$))*$"),           # As the UI's [%csq Be4]
+    ghosts: str = Query("", pattern=r"^([wb][KQRBNP][a-h][1-8](,|$))*$"),      # As the UI's [%cgh wNf3]
+):
+    """The same picture for an image link (docs, chat): annotations in PGN notation."""
+    colors = render.SHAPE_COLORS
+    try:
+        annotations = Annotations(
+            arrows=[Arrow(move=shape[1:], color=colors[shape[0]]) for shape in filter(None, arrows.split(","))],
+            circles=[Circle(square=shape[1:], color=colors[shape[0]]) for shape in filter(None, circles.split(","))],
+            squares=[SquareMark(square=shape[1:], color=colors[shape[0]])
+                     for shape in filter(None, squares.split(","))],
+            ghosts=[Ghost(square=shape[2:], piece=shape[:2]) for shape in filter(None, ghosts.split(","))],
+        )
+    except ValidationError as e:
+        # Too many shapes in a parameter: a 422 like any other bad query parameter
+        raise RequestValidationError([{**error, "loc": ("query", *error["loc"])} for error in e.errors()])
+    return render_position(RenderRequest(
+        fen=fen, format=format, orientation=orientation, size=size, coordinates=coordinates, theme=theme,
+        last_move=last_move, check=check, annotations=annotations,
+    ))
+
+
+@app.post("/render/gif")
+def render_gif(req: GifRequest):
+    """Animated GIF of a move sequence: the start position, then a frame per move."""
+    if req.fen:
+        board = load_board(req.fen, req.variant)
+    else:
+        board = VARIANTS[req.variant](chess960=req.variant == "chess960")
+
+    start = board.copy()
+    for index, text in enumerate(req.moves):
+        try:
+            play_move(board, text)
+        except rules.RulesError as e:
+            # Same details as /moves, without the moves played so far
+            e.details.update(index=index, move=text, fen=board.fen())
+            raise
+    return image_response(render.gif(start, board.move_stack, req.delay, **image_options(req)), "gif")
+
+
+@app.get("/puzzles/next")
+def next_puzzle(
+    theme: Optional[str] = None,
+    min_rating: int = Query(0, ge=0),
+    max_rating: int = Query(4000, ge=0),
+    exclude: str = "",  # Comma-separated IDs the client has already played
+):
+    """Pick a random puzzle for the trainer, filtered by theme and rating range."""
+    try:
+        puzzle = puzzles.next_puzzle(theme, min_rating, max_rating, set(filter(None, exclude.split(","))))
+    except (OSError, ValueError, KeyError) as e:
+        return error_response(503, "puzzles_unavailable", f"Puzzles unavailable: {e}")
+    if not puzzle:
+        return error_response(404, "not_found", "No puzzle matches these filters")
+    return puzzle
+
+
+@app.get("/puzzles/themes")
+def puzzle_themes():
+    """List the puzzle themes with the number of puzzles for each."""
+    try:
+        return {"themes": puzzles.themes()}
+    except (OSError, ValueError, KeyError) as e:
+        return error_response(503, "puzzles_unavailable", f"Puzzles unavailable: {e}")
+
+
+@app.post("/explorer")
+def opening_explorer(req: ExplorerRequest):
+    """Moves played from a position in the local game collection, with results, example games and the opening."""
+    try:
+        board = chess.Board(req.fen)
+    except ValueError as e:
+        raise rules.RulesError("invalid_fen", "Invalid FEN", [str(e)])
+
+    try:
+        stats = explorer.lookup(board)
+        opening = explorer.opening(board, req.moves)
+    except (OSError, ValueError) as e:
+        return error_response(503, "explorer_unavailable", f"Explorer unavailable: {e}")
+    return {"fen": board.fen(), "opening": opening, **stats}
+
+
+@app.get("/explorer/games/{game_id}")
+def explorer_game(game_id: int):
+    """PGN of an example game from the local game collection."""
+    try:
+        game = explorer.get_game(game_id)
+    except (OSError, ValueError) as e:
+        return error_response(503, "explorer_unavailable", f"Explorer unavailable: {e}")
+    if not game:
+        return error_response(404, "not_found", "Game not found")
+    return game
+
+
+def library_call(action, *args, **kwargs):
+    """Run a library operation, turning unknown IDs into 404 and storage failures into 503 responses."""
+    try:
+        return action(*args, **kwargs)
+    except library.NotFound as e:
+        return error_response(404, "not_found", str(e))
+    except (OSError, sqlite3.Error) as e:
+        return error_response(503, "library_unavailable", f"Library unavailable: {e}")
+
+
+@app.get("/library")
+def library_index():
+    """Saved games and studies, without their PGN."""
+    return library_call(lambda: {"games": library.list_games(), "studies": library.list_studies()})
+
+
+@app.post("/library/games")
+def save_game(req: SavedGameRequest):
+    """Save a game to the library."""
+    return library_call(library.create_game, req.name, req.pgn, req.orientation)
+
+
+@app.get("/library/games/{game_id}")
+def saved_game(game_id: int):
+    """A saved game with its PGN."""
+    return library_call(library.get_game, game_id)
+
+
+@app.patch("/library/games/{game_id}")
+def update_saved_game(game_id: int, req: SavedGameUpdate):
+    """Rename a saved game, or replace its PGN or orientation (autosave)."""
+    return library_call(library.update_game, game_id, **req.model_dump())
+
+
+@app.post("/library/games/{game_id}/duplicate")
+def duplicate_saved_game(game_id: int):
+    """Copy a saved game under a new name."""
+    return library_call(library.duplicate_game, game_id)
+
+
+@app.delete("/library/games/{game_id}")
+def delete_saved_game(game_id: int):
+    """Delete a saved game."""
+    return library_call(lambda: library.delete_game(game_id) or {"deleted": True})
+
+
+@app.post("/library/studies")
+def create_study(req: StudyRequest):
+    """Create a study, optionally with its first chapters."""
+    return library_call(library.create_study, req.name, [chapter.model_dump() for chapter in req.chapters])
+
+
+@app.get("/library/studies/{study_id}")
+def get_study(study_id: int):
+    """A study with all its chapters."""
+    return library_call(library.get_study, study_id)
+
+
+@app.patch("/library/studies/{study_id}")
+def rename_study(study_id: int, req: StudyUpdate):
+    """Rename a study."""
+    return library_call(library.rename_study, study_id, req.name)
+
+
+@app.post("/library/studies/{study_id}/duplicate")
+def duplicate_study(study_id: int):
+    """Copy a study and all its chapters under a new name."""
+    return library_call(library.duplicate_study, study_id)
+
+
+@app.delete("/library/studies/{study_id}")
+def delete_study(study_id: int):
+    """Delete a study and its chapters."""
+    return library_call(lambda: library.delete_study(study_id) or {"deleted": True})
+
+
+@app.post("/library/studies/{study_id}/chapters")
+def add_chapter(study_id: int, req: SavedGameRequest):
+    """Append a chapter to a study."""
+    return library_call(library.add_chapter, study_id, req.name, req.pgn, req.orientation)
+
+
+@app.patch("/library/studies/{study_id}/chapters/{chapter_id}")
+def update_chapter(study_id: int, chapter_id: int, req: SavedGameUpdate):
+    """Rename a chapter, or replace its PGN or orientation (autosave)."""
+    return library_call(library.update_chapter, study_id, chapter_id, **req.model_dump())
+
+
+@app.delete("/library/studies/{study_id}/chapters/{chapter_id}")
+def delete_chapter(study_id: int, chapter_id: int):
+    """Delete a chapter from a study."""
+    return library_call(lambda: library.delete_chapter(study_id, chapter_id) or {"deleted": True})
+
+
+@app.get("/library/export")
+def export_library():
+    """The whole library as one PGN file: all saved games, then all study chapters."""
+    pgn = library_call(library.export_pgn)
+    if isinstance(pgn, JSONResponse):
+        return pgn
+    return Response(
+        pgn,
+        media_type="application/x-chess-pgn",
+        headers={"Content-Disposition": 'attachment; filename="library.pgn"'},
+    )
+
+
+game_sessions = sessions.SessionManager()
+
+
+@app.post("/games")
+def create_game(req: CreateGameRequest):
+    """Create a two-player game session. Returns its ID and a join link for the UI."""
+    board = load_board(req.fen or chess.STARTING_FEN)
+
+    time_control = None
+    if req.time_control:
+        try:
+            time_control = parse_time_control(req.time_control)
+        except ValueError as e:
+            return error_response(400, "invalid_time_control", str(e))
+
+    session = game_sessions.create(board.fen(), time_control)
+    return {"id": session.id, "join_url": f"/?game={session.id}", "state": session.state()}
+
+
+@app.get("/games/{game_id}")
+def get_game(game_id: str):
+    """Return the current state of a game session."""
+    session = game_sessions.get(game_id)
+    if not session:
+        return error_response(404, "not_found", "Game not found")
+    return session.state()
+
+
+@app.websocket("/ws/games/{game_id}")
+async def game_socket(websocket: WebSocket, game_id: str, token: Optional[str] = None, seat: Optional[str] = None):
+    """Live channel for one game: seat assignment, then moves, offers and state broadcasts."""
+    await websocket.accept()
+    session = game_sessions.get(game_id)
+    if not session:
+        await websocket.send_json({"type": "error", "error": "Game not found"})
+        await websocket.close(code=4404)
+        return
+
+    # A known token gets its seat back after a reconnect
+    assigned = session.seat_for_token(token)
+    if not assigned:
+        assigned, token = session.take_seat(seat)
+    session.connections[websocket] = assigned
+
+    await websocket.send_json({"type": "joined", "seat": assigned, "token": token, "state": session.state()})
+    await session.broadcast({"type": "join", "seat": assigned})
+
+    try:
+        while True:
+            try:
+                message = json.loads(await websocket.receive_text())
+            except ValueError:
+                await websocket.send_json({"type": "error", "error": "Messages must be JSON"})
+                continue
+            if isinstance(message, dict):
+                await session.handle(websocket, message)
+    except WebSocketDisconnect:
+        pass
+    finally:
+        left = session.connections.pop(websocket, assigned)
+        await session.broadcast({"type": "leave", "seat": left})
+
+
+# Origins allowed to drive the embedded UI through postMessage ("*" allows any).
+# Comma-separated, e.g. EMBED_ALLOWED_ORIGINS="https://app.example.com,http://localhost:3000"
+EMBED_ALLOWED_ORIGINS = [
+    origin.strip()
+    for origin in os.environ.get("EMBED_ALLOWED_ORIGINS", "*").split(",")
+    if origin.strip()
+]
+
+
+@app.get("/health")
+def health():
+    """Answer that the server is up; offline clients poll it to know when to resync."""
+    return {"status": "ok"}
+
+
+@app.get("/embed-config")
+def embed_config():
+    """Return the settings the iframe postMessage bridge needs."""
+    return {"allowed_origins": EMBED_ALLOWED_ORIGINS}
+
+
 # Serve the frontend
 app.mount("/", StaticFiles(directory="static", html=True), name="static")
@@ -0,0 +1,150 @@
+"""Chess clock for server-side game sessions.
+
+Same rules and time control syntax as static/chess-clock.js: stages separated by
+commas, each "[moves/]minutes[+increment]", optionally followed by " d<seconds>"
+(simple delay) or " b<seconds>" (Bronstein delay), e.g. "5+3" or "40/90+30, 30+30".
+Times are in seconds; the server's clock is the authoritative one in online games.
+"""
+import re
+import time
+
+STAGE_RE = re.compile(r"^\s*(?:(\d+)\s*/\s*)?(\d+(?:\.\d+)?)\s*(?:\+\s*(\d+(?:\.\d+)?))?\s*$")
+CONTROL_RE = re.compile(r"^\s*(.+?)(?:\s+([db])\s*(\d+(?:\.\d+)?))?\s*$", re.IGNORECASE)
+
+
+def other(color):
+    return "black" if color == "white" else "white"
+
+
+def parse_time_control(text: str) -> dict:
+    """Parse time control text; raises ValueError with a readable message."""
+    match = CONTROL_RE.match(text or "")
+    if not match:
+        raise ValueError("Empty time control")
+
+    stages = []
+    for part in match.group(1).split(","):
+        stage = STAGE_RE.match(part)
+        if not stage:
+            raise ValueError(f'Invalid time control "{part.strip()}"')
+        stages.append({
+            "time": float(stage.group(2)) * 60,
+            "moves": int(stage.group(1)) if stage.group(1) else None,
+            "increment": float(stage.group(3)) if stage.group(3) else 0,
+        })
+    if any(stage["moves"] == 0 for stage in stages) or stages[0]["time"] <= 0:
+        raise ValueError("Invalid time control")
+    if any(stage["moves"] is None for stage in stages[:-1]):
+        raise ValueError("Only the last stage can be without a move count")
+
+    delay = float(match.group(3)) if match.group(3) else 0
+    delay_type = None
+    if delay:
+        delay_type = "simple" if match.group(2).lower() == "d" else "bronstein"
+    return {"text": text.strip(), "stages": stages, "delay": delay, "delay_type": delay_type}
+
+
+class ChessClock:
+    def __init__(self, control: dict):
+        self.control = control
+        initial = control["stages"][0]["time"]
+        self.remaining = {"white": initial, "black": initial}  # Banked before the running turn
+        self.moves_made = {"white": 0, "black": 0}
+        self.stage = {"white": 0, "black": 0}
+        self.running = None
+        self.turn_start = None
+        self.flagged = None
+
+    def elapsed(self, now=None):
+        if not self.running:
+            return 0
+        return (now if now is not None else time.monotonic()) - self.turn_start
+
+    def charge(self, elapsed):
+        """Time the running turn has cost so far (a simple delay is free)."""
+        if self.control["delay_type"] == "simple":
+            return max(0, elapsed - self.control["delay"])
+        return elapsed
+
+    def time_left(self, color, now=None):
+        if color != self.running:
+            return self.remaining[color]
+        return self.remaining[color] - self.charge(self.elapsed(now))
+
+    def start(self, color, now=None):
+        self.running = color
+        self.turn_start = now if now is not None else time.monotonic()
+
+    def stop(self, now=None):
+        if self.running:
+            self.remaining[self.running] = self.time_left(self.running, now)
+            self.running = None
+
+    def press(self, color, now=None) -> bool:
+        """The given color completed a move; returns False if its flag fell first."""
+        now = now if now is not None else time.monotonic()
+        if self.flagged:
+            return False
+        if self.running != color:
+            # First move of the game: it costs no time but counts as a move and earns the increment,
+            # then the clock starts for the other side
+            self.bank(color, self.remaining[color], 0)
+            self.start(other(color), now)
+            return True
+
+        elapsed = self.elapsed(now)
+        left = self.remaining[color] - self.charge(elapsed)
+        if left <= 0:
+            self.remaining[color] = 0
+            self.flagged = color
+            self.running = None
+            return False
+
+        self.bank(color, left, elapsed)
+        self.start(other(color), now)
+        return True
+
+    def bank(self, color, left, elapsed):
+        """Store the time left after a move, with its increment, Bronstein delay and the next stage's time."""
+        stage = self.control["stages"][self.stage[color]]
+        if self.control["delay_type"] == "bronstein":
+            left += min(elapsed, self.control["delay"])
+        left += stage["increment"]
+
+        self.moves_made[color] += 1
+        next_stage = self.next_stage(color)
+        if next_stage is not None:
+            self.stage[color] = next_stage
+            left += self.control["stages"][next_stage]["time"]
+        self.remaining[color] = left
+
+    def next_stage(self, color):
+        """Stage that adds its time after this move (a last stage with a move count repeats)."""
+        stages = self.control["stages"]
+        current = self.stage[color]
+        stage_moves = stages[current]["moves"]
+        if stage_moves is None:
+            return None
+
+        before = sum(stage["moves"] for stage in stages[:current])
+        if (self.moves_made[color] - before) % stage_moves:
+            return None
+        return current + 1 if current < len(stages) - 1 else current
+
+    def check_flag(self, now=None):
+        """Color whose time has run out, if any."""
+        if not self.flagged and self.running and self.time_left(self.running, now) <= 0:
+            self.remaining[self.running] = 0
+            self.flagged = self.running
+            self.running = None
+        return self.flagged
+
+    def to_json(self, now=None):
+        return {
+            "control": self.control,
+            "white": round(self.remaining["white"], 1),
+            "black": round(self.remaining["black"], 1),
+            "running": self.running,
+            "elapsed": round(self.elapsed(now), 1),
+            "flagged": self.flagged,
+        }
@@ -0,0 +1,181 @@
+"""Access to a locally installed UCI engine (e.g. Stockfish) through python-chess.
+
+The engine command comes from the CHESS_ENGINE_PATH environment variable and may
+include arguments, e.g. CHESS_ENGINE_PATH="/usr/games/stockfish" or
+CHESS_ENGINE_PATH="python3 tools/stub_uci_engine.py".
+"""
+import atexit
+import os
+import shlex
+import threading
+
+import chess
+import chess.engine
+
+import searcher
+
+# Limits applied when a request does not set its own
+DEFAULT_DEPTH = 14
+MAX_DEPTH = 40
+MAX_TIME = 30.0
+MAX_MULTIPV = 5
+
+# Playing strength levels for /engine/move:
+# level -> (UCI "Skill Level", seconds per move, built-in search depth, built-in randomness in cp)
+LEVELS = {
+    1: (0, 0.05, 1, 150),
+    2: (3, 0.1, 1, 60),
+    3: (6, 0.15, 2, 40),
+    4: (9, 0.25, 2, 15),
+    5: (12, 0.4, 3, 10),
+    6: (15, 0.6, 3, 0),
+    7: (18, 0.8, 4, 0),
+    8: (20, 1.0, 4, 0),
+}
+MAX_SKILL = 20
+
+# The computer turns a draw offer down when it is ahead by more than this (centipawns)
+DRAW_MARGIN = 50
+DRAW_DEPTH = 10
+
+
+class EngineUnavailable(Exception):
+    """No engine is configured, or the configured one cannot be used."""
+
+
+_engine = None
+_lock = threading.Lock()
+
+
+def engine_command():
+    """Return the configured engine command as an argument list, or None."""
+    command = os.environ.get("CHESS_ENGINE_PATH", "").strip()
+    return shlex.split(command) if command else None
+
+
+def _get_engine():
+    # One engine process is shared by all requests and started on first use
+    global _engine
+    if _engine is None:
+        command = engine_command()
+        if not command:
+            raise EngineUnavailable("No engine configured (set CHESS_ENGINE_PATH)")
+        try:
+            _engine = chess.engine.SimpleEngine.popen_uci(command, timeout=10)
+        except (OSError, chess.engine.EngineError, TimeoutError) as e:
+            raise EngineUnavailable(f"Could not start engine: {e}")
+    return _engine
+
+
+def _set_skill(engine, skill):
+    # Not every engine has a strength setting; those just play at full strength
+    if "Skill Level" in engine.options:
+        engine.configure({"Skill Level": skill})
+
+
+def close_engine():
+    """Stop the engine process if one is running."""
+    global _engine
+    if _engine is not None:
+        try:
+            _engine.quit()
+        except Exception:
+            pass
+        _engine = None
+
+
+atexit.register(close_engine)
+
+
+def score_json(score: chess.engine.PovScore) -> dict:
+    """Score from White's point of view: {"cp": 34} or {"mate": -3}."""
+    white = score.white()
+    if white.is_mate():
+        return {"mate": white.mate()}
+    return {"cp": white.score()}
+
+
+def analyse(board: chess.Board, depth=None, time=None, multipv=1) -> dict:
+    """Analyse a position and return the engine's best lines, best first."""
+    if depth is None and time is None:
+        depth = DEFAULT_DEPTH
+    limit = chess.engine.Limit(depth=depth, time=time)
+
+    with _lock:
+        engine = _get_engine()
+        try:
+            _set_skill(engine, MAX_SKILL)
+            infos = engine.analyse(board, limit, multipv=multipv)
+        except chess.engine.EngineTerminatedError:
+            close_engine()
+            raise EngineUnavailable("Engine terminated unexpectedly")
+        except chess.engine.EngineError as e:
+            raise EngineUnavailable(f"Engine error: {e}")
+        name = engine.id.get("name", "")
+
+    lines = []
+    for info in infos:
+        pv = info.get("pv", [])
+        if "score" not in info or not pv:
+            continue
+        lines.append({
+            "multipv": info.get("multipv", len(lines) + 1),
+            "depth": info.get("depth"),
+            "score": score_json(info["score"]),
+            "pv": [move.uci() for move in pv],
+            "san": san_line(board, pv),
+        })
+    return {"engine": name, "lines": lines}
+
+
+def san_line(board: chess.Board, moves) -> list:
+    """SAN for a sequence of moves played from the given position."""
+    board = board.copy(stack=False)
+    san = []
+    for move in moves:
+        if move not in board.legal_moves:
+            break
+        san.append(board.san(move))
+        board.push(move)
+    return san
+
+
+def play(board: chess.Board, level: int) -> dict:
+    """Choose a move for the side to move at the given strength level.
+
+    Uses the configured UCI engine, or the built-in searcher when there is none.
+    """
+    skill, seconds, depth, randomness = LEVELS[level]
+
+    try:
+        with _lock:
+            engine = _get_engine()
+            try:
+                _set_skill(engine, skill)
+                result = engine.play(board, chess.engine.Limit(time=seconds))
+            except chess.engine.EngineTerminatedError:
+                close_engine()
+                raise EngineUnavailable("Engine terminated unexpectedly")
+            except chess.engine.EngineError as e:
+                raise EngineUnavailable(f"Engine error: {e}")
+        if result.move is not None:
+            return {"move": result.move, "source": "engine"}
+    except EngineUnavailable:
+        pass  # The response's "source" tells the client which one played
+
+    return {"move": searcher.best_move(board, depth, seconds, randomness), "source": "builtin"}
+
+
+def accepts_draw(board: chess.Board, color: chess.Color) -> bool:
+    """Whether the computer playing color takes a draw offer in this position."""
+    try:
+        lines = analyse(board, depth=DRAW_DEPTH)["lines"]
+    except EngineUnavailable:
+        lines = []
+
+    if lines:
+        score = lines[0]["score"]
+        white = score["cp"] if "cp" in score else (searcher.MATE_SCORE if score["mate"] > 0 else -searcher.MATE_SCORE)
+    else:
+        white = searcher.evaluate(board) * (1 if board.turn == chess.WHITE else -1)
+    return (white if color == chess.WHITE else -white) <= DRAW_MARGIN
@@ -0,0 +1,188 @@
+"""Opening explorer over a local game collection.
+
+Games are read from the PGN file in the GAMES_PATH environment variable, by
+default data/games.pgn, and indexed by position (Zobrist hash) on first use:
+for each position of a game's first MAX_PLY plies the index counts the move
+played and the game's result, and keeps a few example games.
+
+Openings are named from the ECO table in data/eco.tsv, which has the columns
+eco, name and pgn like the Lichess chess-openings files.
+"""
+import os
+import threading
+
+import chess
+import chess.pgn
+import chess.polyglot
+
+DATA_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "data")
+DEFAULT_PATH = os.path.join(DATA_DIR, "games.pgn")
+ECO_PATH = os.path.join(DATA_DIR, "eco.tsv")
+
+MAX_PLY = 40       # Positions further into a game are not indexed
+MAX_EXAMPLES = 5   # Example games kept per position
+
+RESULTS = {"1-0": "white", "1/2-1/2": "draws", "0-1": "black"}
+
+_index = None
+_openings = None
+_lock = threading.Lock()
+
+
+def games_path():
+    return os.environ.get("GAMES_PATH", "").strip() or DEFAULT_PATH
+
+
+def _counts():
+    return {"white": 0, "draws": 0, "black": 0}
+
+
+def _percent(counts):
+    total = sum(counts.values())
+    return {key: round(100 * value / total, 1) if total else 0.0 for key, value in counts.items()}
+
+
+def _summary(game_id, headers):
+    return {
+        "id": game_id,
+        "white": headers.get("White", "?"),
+        "black": headers.get("Black", "?"),
+        "result": headers.get("Result", "*"),
+        "date": headers.get("Date", "????.??.??"),
+        "event": headers.get("Event", "?"),
+    }
+
+
+def _add_position(positions, board, outcome, game_id):
+    entry = positions.setdefault(
+        chess.polyglot.zobrist_hash(board), {"results": _counts(), "moves": {}, "games": []}
+    )
+    entry["results"][outcome] += 1
+    if len(entry["games"]) < MAX_EXAMPLES:
+        entry["games"].append(game_id)
+    return entry
+
+
+def load_games(path):
+    """Index a PGN file: game summaries, their file offsets and the stats of each position."""
+    games, offsets, positions = [], [], {}
+    with open(path, encoding="utf-8", errors="replace") as f:
+        while True:
+            offset = f.tell()
+            game = chess.pgn.read_game(f)
+            if game is None:
+                break
+
+            # Unfinished games say nothing about how a line turns out, variant games are another tree
+            outcome = RESULTS.get(game.headers.get("Result"))
+            board = game.board()
+            if outcome is None or type(board) is not chess.Board or board.chess960:
+                continue
+
+            game_id = len(games)
+            games.append(_summary(game_id, game.headers))
+            offsets.append(offset)
+            for ply, move in enumerate(game.mainline_moves()):
+                if ply == MAX_PLY:
+                    break
+                counts = _add_position(positions, board, outcome, game_id)["moves"].setdefault(move.uci(), _counts())
+                counts[outcome] += 1
+                board.push(move)
+            else:
+                _add_position(positions, board, outcome, game_id)
+    return games, offsets, positions
+
+
+def get_index():
+    # Built on first use and kept for the lifetime of the server
+    global _index
+    with _lock:
+        if _index is None:
+            _index = load_games(games_path())
+    return _index
+
+
+def lookup(board: chess.Board) -> dict:
+    """Result counts and percentages for a position and each move played from it, most played first."""
+    games, _, positions = get_index()
+    entry = positions.get(chess.polyglot.zobrist_hash(board))
+    if not entry:
+        return {"total": 0, **_counts(), "percent": _percent(_counts()), "moves": [], "games": []}
+
+    moves = []
+    for uci, counts in entry["moves"].items():
+        move = chess.Move.from_uci(uci)
+        if move not in board.legal_moves:
+            continue
+        moves.append({
+            "uci": uci,
+            "san": board.san(move),
+            "total": sum(counts.values()),
+            **counts,
+            "percent": _percent(counts),
+        })
+    moves.sort(key=lambda item: item["total"], reverse=True)
+
+    results = entry["results"]
+    return {
+        "total": sum(results.values()),
+        **results,
+        "percent": _percent(results),
+        "moves": moves,
+        "games": [games[game_id] for game_id in entry["games"]],
+    }
+
+
+def get_game(game_id: int):
+    """Summary and PGN text of an indexed game, None if there is no such game."""
+    games, offsets, _ = get_index()
+    if not 0 <= game_id < len(games):
+        return None
+    with open(games_path(), encoding="utf-8", errors="replace") as f:
+        f.seek(offsets[game_id])
+        game = chess.pgn.read_game(f)
+    return {**games[game_id], "pgn": str(game)}
+
+
+def load_openings(path):
+    """Map the EPD of the final position of each ECO table line to its code and name."""
+    openings = {}
+    with open(path, encoding="utf-8") as f:
+        next(f)  # Column names
+        for line in f:
+            if not line.strip():
+                continue
+            eco, name, pgn = line.rstrip("\n").split("\t")
+            board = chess.Board()
+            for token in pgn.split():
+                if not token.endswith("."):
+                    board.push_san(token)
+            openings[board.epd()] = {"eco": eco, "name": name}
+    return openings
+
+
+def get_openings():
+    global _openings
+    if _openings is None:
+        _openings = load_openings(ECO_PATH)
+    return _openings
+
+
+def opening(board: chess.Board, moves=()):
+    """ECO code and name of a position, or of the last named position on the way to it; None if unknown."""
+    # moves lead from the standard start position to board; without them only board itself is looked up
+    line = chess.Board()
+    try:
+        for uci in moves:
+            line.push_uci(uci)
+    except ValueError:
+        line = None
+    if line is None or line.epd() != board.epd():
+        line = board.copy(stack=False)
+
+    openings = get_openings()
+    while True:
+        named = openings.get(line.epd())
+        if named or not line.move_stack:
+            return named
+        line.pop()
@@ -0,0 +1,104 @@
+"""What is going on in a position, for coaching overlays on the board.
+
+Everything comes from python-chess's attack and pin queries on the position
+as it stands, whoever is to move:
+
+- attacks: how many pieces of each side attack each square (pinned pieces
+  included, as board.attackers() counts them)
+- hanging: pieces without a defender, and pieces en prise (attacked and
+  undefended, or attacked by a cheaper piece)
+- pins: pieces pinned to their king, with the piece pinning them
+- kings: the squares each king could step to without being attacked
+"""
+import chess
+
+# Pawn units, to tell when a capture wins material
+PIECE_VALUES = {chess.PAWN: 1, chess.KNIGHT: 3, chess.BISHOP: 3, chess.ROOK: 5, chess.QUEEN: 9, chess.KING: 100}
+
+SIDES = {"white": chess.WHITE, "black": chess.BLACK}
+
+
+def names(squares) -> list:
+    return [chess.square_name(square) for square in squares]
+
+
+def attacks(board: chess.Board, color: chess.Color) -> dict:
+    """Square name -> number of the side's pieces attacking it, for every attacked square."""
+    counts = {}
+    for square in chess.SQUARES:
+        count = len(board.attackers(color, square))
+        if count:
+            counts[chess.square_name(square)] = count
+    return counts
+
+
+def hanging(board: chess.Board) -> list:
+    """Pieces of both sides (kings aside) that are undefended or en prise."""
+    pieces = []
+    for square, piece in board.piece_map().items():
+        if piece.piece_type == chess.KING:
+            continue
+        attackers = board.attackers(not piece.color, square)
+        defenders = board.attackers(piece.color, square)
+        cheapest = min((PIECE_VALUES[board.piece_type_at(attacker)] for attacker in attackers), default=None)
+        en_prise = bool(attackers) and (not defenders or cheapest < PIECE_VALUES[piece.piece_type])
+        if defenders and not en_prise:
+            continue
+        pieces.append({
+            "square": chess.square_name(square),
+            "piece": piece.symbol(),
+            "attackers": names(attackers),
+            "defenders": names(defenders),
+            "undefended": not defenders,
+            "en_prise": en_prise,
+        })
+    return pieces
+
+
+def pins(board: chess.Board) -> list:
+    """Pieces pinned to their own king, with the pinner and the king."""
+    found = []
+    for square, piece in board.piece_map().items():
+        king = board.king(piece.color)
+        if piece.piece_type == chess.KING or king is None or not board.is_pinned(piece.color, square):
+            continue
+        # The pinner is the enemy piece on the pin's ray with only the pinned piece between it and the king
+        ray = board.pin(piece.color, square) & board.occupied_co[not piece.color]
+        pinner = next(other for other in ray
+                      if chess.SquareSet(chess.between(king, other)) & board.occupied == chess.SquareSet([square]))
+        found.append({
+            "square": chess.square_name(square),
+            "piece": piece.symbol(),
+            "pinner": chess.square_name(pinner),
+            "pinner_piece": board.piece_at(pinner).symbol(),
+            "king": chess.square_name(king),
+        })
+    return found
+
+
+def king_escapes(board: chess.Board, color: chess.Color):
+    """The king's square and the neighbouring squares it could step to, or None without a king."""
+    king = board.king(color)
+    if king is None:
+        return None
+
+    # Without the king on the board, sliders attack the squares behind it too
+    empty = board.copy(stack=False)
+    empty.remove_piece_at(king)
+    escapes = [square for square in chess.SquareSet(chess.BB_KING_ATTACKS[king])
+               if board.color_at(square) != color and not empty.is_attacked_by(not color, square)]
+    return {
+        "square": chess.square_name(king),
+        "escapes": names(escapes),
+        "in_check": board.is_attacked_by(not color, king),
+    }
+
+
+def insights(board: chess.Board) -> dict:
+    """All overlays of a position, in the /insights response format."""
+    return {
+        "attacks": {side: attacks(board, color) for side, color in SIDES.items()},
+        "hanging": hanging(board),
+        "pins": pins(board),
+        "kings": {side: king_escapes(board, color) for side, color in SIDES.items()},
+    }
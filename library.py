@@ -0,0 +1,285 @@
+"""Saved games and studies.
+
+Everything is kept in the SQLite file in the LIBRARY_PATH environment
+variable, by default data/library.sqlite3. A game is one PGN; a study is an
+ordered list of chapters, each a PGN with its own name. Comments and
+arrows/circles travel inside the PGN as {comments} with [%cal]/[%csl] tags,
+and the board orientation is stored next to it.
+"""
+import os
+import re
+import sqlite3
+import threading
+from contextlib import contextmanager
+from datetime import datetime, timezone
+
+DEFAULT_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), "data", "library.sqlite3")
+MAX_NAME_LENGTH = 200
+MAX_PGN_LENGTH = 1_000_000  # characters, a few thousand annotated moves
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS games (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    pgn TEXT NOT NULL,
+    orientation TEXT NOT NULL DEFAULT 'white',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS studies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS chapters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    study_id INTEGER NOT NULL REFERENCES studies(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    pgn TEXT NOT NULL,
+    orientation TEXT NOT NULL DEFAULT 'white'
+);
+CREATE INDEX IF NOT EXISTS chapters_study ON chapters (study_id, position);
+"""
+
+_initialized = False
+_lock = threading.Lock()
+
+
+class NotFound(Exception):
+    """Raised for a game, study or chapter ID that does not exist."""
+
+
+def library_path():
+    return os.environ.get("LIBRARY_PATH", "").strip() or DEFAULT_PATH
+
+
+@contextmanager
+def _connect():
+    """One connection and transaction per call, since endpoints run on several threads."""
+    global _initialized
+    conn = sqlite3.connect(library_path())
+    try:
+        conn.row_factory = sqlite3.Row
+        conn.execute("PRAGMA foreign_keys = ON")
+        with _lock:
+            if not _initialized:
+                conn.executescript(SCHEMA)
+                _initialized = True
+        with conn:
+            yield conn
+    finally:
+        conn.close()
+
+
+def _now():
+    return datetime.now(timezone.utc).isoformat(timespec="seconds")
+
+
+def _updates(fields):
+    return {key: value for key, value in fields.items() if value is not None}
+
+
+# ==================== GAMES ====================
+
+def list_games():
+    """Summaries of all saved games, most recently changed first."""
+    with _connect() as conn:
+        rows = conn.execute(
+            "SELECT id, name, orientation, created_at, updated_at FROM games ORDER BY updated_at DESC, id DESC"
+        ).fetchall()
+    return [dict(row) for row in rows]
+
+
+def get_game(game_id):
+    with _connect() as conn:
+        row = conn.execute("SELECT * FROM games WHERE id = ?", (game_id,)).fetchone()
+    if not row:
+        raise NotFound("Game not found")
+    return dict(row)
+
+
+def create_game(name, pgn, orientation="white"):
+    now = _now()
+    with _connect() as conn:
+        cursor = conn.execute(
+            "INSERT INTO games (name, pgn, orientation, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+            (name, pgn, orientation, now, now),
+        )
+    return get_game(cursor.lastrowid)
+
+
+def update_game(game_id, name=None, pgn=None, orientation=None):
+    """Change the given fields of a game; the others stay as they are."""
+    fields = _updates({"name": name, "pgn": pgn, "orientation": orientation})
+    fields["updated_at"] = _now()
+    assignments = ", ".join(f"{key} = ?" for key in fields)
+    with _connect() as conn:
+        cursor = conn.execute(f"UPDATE games SET {assignments} WHERE id = ?", (*fields.values(), game_id))
+    if not cursor.rowcount:
+        raise NotFound("Game not found")
+    return get_game(game_id)
+
+
+def duplicate_game(game_id):
+    game = get_game(game_id)
+    return create_game(f"{game['name']} (copy)", game["pgn"], game["orientation"])
+
+
+def delete_game(game_id):
+    with _connect() as conn:
+        cursor = conn.execute("DELETE FROM games WHERE id = ?", (game_id,))
+    if not cursor.rowcount:
+        raise NotFound("Game not found")
+
+
+# ==================== STUDIES ====================
+
+def list_studies():
+    """Summaries of all studies with their number of chapters, most recently changed first."""
+    with _connect() as conn:
+        rows = conn.execute(
+            "SELECT s.id, s.name, s.created_at, s.updated_at, COUNT(c.id) AS chapter_count"
+            " FROM studies s LEFT JOIN chapters c ON c.study_id = s.id"
+            " GROUP BY s.id ORDER BY s.updated_at DESC, s.id DESC"
+        ).fetchall()
+    return [dict(row) for row in rows]
+
+
+def get_study(study_id):
+    """A study with all its chapters in order."""
+    with _connect() as conn:
+        row = conn.execute("SELECT * FROM studies WHERE id = ?", (study_id,)).fetchone()
+        if not row:
+            raise NotFound("Study not found")
+        chapters = conn.execute(
+            "SELECT id, position, name, pgn, orientation FROM chapters WHERE study_id = ? ORDER BY position, id",
+            (study_id,),
+        ).fetchall()
+    return {**dict(row), "chapters": [dict(chapter) for chapter in chapters]}
+
+
+def create_study(name, chapters=()):
+    """New study; chapters are {"name", "pgn", "orientation"} dicts."""
+    now = _now()
+    with _connect() as conn:
+        cursor = conn.execute(
+            "INSERT INTO studies (name, created_at, updated_at) VALUES (?, ?, ?)", (name, now, now)
+        )
+        study_id = cursor.lastrowid
+        conn.executemany(
+            "INSERT INTO chapters (study_id, position, name, pgn, orientation) VALUES (?, ?, ?, ?, ?)",
+            [
+                (study_id, position, chapter["name"], chapter["pgn"], chapter.get("orientation", "white"))
+                for position, chapter in enumerate(chapters)
+            ],
+        )
+    return get_study(study_id)
+
+
+def rename_study(study_id, name):
+    with _connect() as conn:
+        cursor = conn.execute(
+            "UPDATE studies SET name = ?, updated_at = ? WHERE id = ?", (name, _now(), study_id)
+        )
+    if not cursor.rowcount:
+        raise NotFound("Study not found")
+    return get_study(study_id)
+
+
+def duplicate_study(study_id):
+    study = get_study(study_id)
+    return create_study(f"{study['name']} (copy)", study["chapters"])
+
+
+def delete_study(study_id):
+    with _connect() as conn:
+        cursor = conn.execute("DELETE FROM studies WHERE id = ?", (study_id,))
+    if not cursor.rowcount:
+        raise NotFound("Study not found")
+
+
+def _touch_study(conn, study_id):
+    cursor = conn.execute("UPDATE studies SET updated_at = ? WHERE id = ?", (_now(), study_id))
+    if not cursor.rowcount:
+        raise NotFound("Study not found")
+
+
+def _get_chapter(conn, study_id, chapter_id):
+    row = conn.execute(
+        "SELECT id, position, name, pgn, orientation FROM chapters WHERE id = ? AND study_id = ?",
+        (chapter_id, study_id),
+    ).fetchone()
+    if not row:
+        raise NotFound("Chapter not found")
+    return dict(row)
+
+
+def add_chapter(study_id, name, pgn, orientation="white"):
+    """Append a chapter to a study."""
+    with _connect() as conn:
+        _touch_study(conn, study_id)
+        position = conn.execute(
+            "SELECT COALESCE(MAX(position) + 1, 0) FROM chapters WHERE study_id = ?", (study_id,)
+        ).fetchone()[0]
+        cursor = conn.execute(
+            "INSERT INTO chapters (study_id, position, name, pgn, orientation) VALUES (?, ?, ?, ?, ?)",
+            (study_id, position, name, pgn, orientation),
+        )
+        return _get_chapter(conn, study_id, cursor.lastrowid)
+
+
+def update_chapter(study_id, chapter_id, name=None, pgn=None, orientation=None):
+    """Change the given fields of a chapter; the others stay as they are."""
+    fields = _updates({"name": name, "pgn": pgn, "orientation": orientation})
+    with _connect() as conn:
+        _touch_study(conn, study_id)
+        _get_chapter(conn, study_id, chapter_id)
+        if fields:
+            assignments = ", ".join(f"{key} = ?" for key in fields)
+            conn.execute(f"UPDATE chapters SET {assignments} WHERE id = ?", (*fields.values(), chapter_id))
+        return _get_chapter(conn, study_id, chapter_id)
+
+
+def delete_chapter(study_id, chapter_id):
+    with _connect() as conn:
+        _touch_study(conn, study_id)
+        _get_chapter(conn, study_id, chapter_id)
+        conn.execute("DELETE FROM chapters WHERE id = ?", (chapter_id,))
+
+
+# ==================== EXPORT ====================
+
+def _tag(name, value):
+    escaped = str(value).replace("\\", "\\\\").replace('"', '\\"')
+    return f'[{name} "{escaped}"]'
+
+
+def _with_tags(pgn, tags):
+    """PGN with extra tag pairs ahead of its own, replacing any it already has under those names."""
+    pgn = pgn.strip()
+    for name in tags:
+        pgn = re.sub(rf'^\[{name}\s+"(?:[^"\\]|\\.)*"\]\s*\n?', "", pgn, flags=re.MULTILINE).strip()
+    header = "\n".join(_tag(name, value) for name, value in tags.items()) + "\n"
+    # A PGN without tags of its own needs an empty line before its moves
+    return header + ("" if pgn.startswith("[") else "\n") + pgn
+
+
+def export_pgn():
+    """All games, then all study chapters, as one PGN file.
+
+    Games are tagged with their library name (GameName), chapters with their study and chapter name, so
+    the names survive an import of the file.
+    """
+    parts = []
+    with _connect() as conn:
+        for game in conn.execute("SELECT name, pgn FROM games ORDER BY id"):
+            parts.append(_with_tags(game["pgn"], {"GameName": game["name"]}))
+        chapters = conn.execute(
+            "SELECT s.name AS study, c.name AS chapter, c.pgn FROM chapters c JOIN studies s ON s.id = c.study_id"
+            " ORDER BY s.id, c.position, c.id"
+        )
+        for row in chapters:
+            parts.append(_with_tags(row["pgn"], {"StudyName": row["study"], "ChapterName": row["chapter"]}))
+    return "\n\n".join(parts) + "\n" if parts else ""
@@ -0,0 +1,85 @@
+"""Tactics puzzles for the puzzle trainer.
+
+Puzzles are read from the file in the PUZZLES_PATH environment variable, by
+default data/puzzles.json. A JSON file holds a list of
+{"id", "fen", "moves", "rating", "themes"} objects where "fen" has the solving
+side to move and "moves" alternates solver moves and opponent replies (UCI).
+A CSV file in the Lichess puzzle database format works too: there the first
+move is the opponent's and is applied to the FEN when loading.
+"""
+import csv
+import json
+import os
+import random
+
+import chess
+
+DEFAULT_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), "data", "puzzles.json")
+
+_puzzles = None
+
+
+def puzzles_path():
+    return os.environ.get("PUZZLES_PATH", "").strip() or DEFAULT_PATH
+
+
+def load_puzzles(path):
+    """Read and normalize all puzzles of a JSON or Lichess CSV file."""
+    if path.lower().endswith(".csv"):
+        with open(path, newline="", encoding="utf-8") as f:
+            return [_from_lichess_row(row) for row in csv.DictReader(f)]
+
+    with open(path, encoding="utf-8") as f:
+        return [
+            {
+                "id": str(item["id"]),
+                "fen": item["fen"],
+                "moves": list(item["moves"]),
+                "rating": int(item.get("rating", 1500)),
+                "themes": list(item.get("themes", [])),
+            }
+            for item in json.load(f)
+        ]
+
+
+def _from_lichess_row(row):
+    # Lichess puzzles start one move early: the opponent's move sets up the tactic
+    board = chess.Board(row["FEN"])
+    moves = row["Moves"].split()
+    board.push_uci(moves[0])
+    return {
+        "id": row["PuzzleId"],
+        "fen": board.fen(),
+        "moves": moves[1:],
+        "rating": int(row["Rating"]),
+        "themes": row["Themes"].split(),
+    }
+
+
+def get_puzzles():
+    # Loaded on first use and kept for the lifetime of the server
+    global _puzzles
+    if _puzzles is None:
+        _puzzles = load_puzzles(puzzles_path())
+    return _puzzles
+
+
+def themes():
+    """Number of puzzles per theme."""
+    counts = {}
+    for puzzle in get_puzzles():
+        for theme in puzzle["themes"]:
+            counts[theme] = counts.get(theme, 0) + 1
+    return dict(sorted(counts.items()))
+
+
+def next_puzzle(theme=None, min_rating=0, max_rating=4000, exclude=()):
+    """Random puzzle matching theme and rating range, preferring ones not in exclude; None if none match."""
+    matching = [
+        puzzle for puzzle in get_puzzles()
+        if (not theme or theme in puzzle["themes"]) and min_rating <= puzzle["rating"] <= max_rating
+    ]
+    # Once every matching puzzle has been seen, they come around again
+    fresh = [puzzle for puzzle in matching if puzzle["id"] not in exclude]
+    candidates = fresh or matching
+    return random.choice(candidates) if candidates else None
@@ -0,0 +1,371 @@
+"""Board images: a position as SVG or PNG, a sequence of moves as an animated GIF.
+
+Pictures look like the board in the page: the board themes of
+static/board-settings.js, the Wikipedia piece set from static/img, the last
+move and check highlights, and the annotations in the UI's format,
+{"arrows": [{"move": "e2e4", "color": "Green"}], "circles": [{"square": "d5", "color": "Red"}],
+"squares": [{"square": "e4", "color": "Blue"}], "ghosts": [{"square": "f3", "piece": "wN"}]},
+with the PGN color names (Green, Orange, Red, Blue) or "#rrggbb".
+
+SVG is written directly with the piece images embedded, so the file stands on
+its own; PNG and GIF are drawn with Pillow from the same geometry.
+"""
+import base64
+import functools
+import io
+import math
+import os
+from xml.sax.saxutils import quoteattr
+
+import chess
+from PIL import Image, ImageDraw, ImageFont
+
+PIECES_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "static", "img", "chesspieces", "wikipedia")
+
+# BoardSettings.BOARD_THEMES: light and dark squares, last move on light and dark squares
+THEMES = {
+    "brown": ("#f0d9b5", "#b58863", "#cdd26a", "#aaa23a"),
+    "blue": ("#dee3e6", "#8ca2ad", "#c3d887", "#92b166"),
+    "green": ("#ffffdd", "#86a666", "#f6f669", "#baca2b"),
+    "gray": ("#dcdcdc", "#9e9e9e", "#d9d97b", "#b3b34d"),
+    "purple": ("#ece4f4", "#9d80bb", "#ddd37a", "#b9a847"),
+}
+
+# BoardSettings.ARROW_COLORS, drawn at the page's opacity
+ARROW_COLORS = {"Green": "#15783c", "Orange": "#ffaa00", "Red": "#c82832", "Blue": "#3278c8"}
+ANNOTATION_OPACITY = 0.8
+MARK_OPACITY = 0.5   # Highlighted squares
+GHOST_OPACITY = 0.5  # Ghost pieces
+COLOR_PATTERN = r"^(Green|Orange|Red|Blue|#[0-9a-fA-F]{6})$"
+
+# Red glow on the king in check, as .square.in-check: (offset from the center, opacity)
+CHECK_GRADIENT = ((0.0, 0.8), (0.4, 0.5), (0.7, 0.2), (1.0, 0.0))
+
+# Pgn.SHAPE_COLORS: color letters of [%cal Ge2e4], [%csl Rd5] and [%csq Be4]
+SHAPE_COLORS = {"G": "Green", "Y": "Orange", "R": "Red", "B": "Blue"}
+
+OUTSIDE_COLOR = "#333333"
+
+DEFAULT_SIZE = 400
+MIN_SIZE = 80
+MAX_SIZE = 2000
+MAX_GIF_SIZE = 480   # GIF frames are kept in memory until the file is written
+MAX_FRAMES = 150     # moves per GIF
+MAX_GIF_PIXELS = 20_000_000  # frames x size x size: about 20 MB of palette frames held by the encoder
+MAX_ANNOTATIONS = 64  # arrows, circles, squares and ghosts each, per picture
+SUPERSAMPLE = 2  # Pillow draws without anti-aliasing, so PNG and GIF frames are drawn larger and scaled down
+
+
+def parse_squares(move: str):
+    """(from, to) squares of a UCI move or an arrow's move."""
+    return chess.parse_square(move[:2]), chess.parse_square(move[2:4])
+
+
+# ==================== GEOMETRY ====================
+
+class Layout:
+    """Where the squares, labels and shapes of a board picture go, in pixels."""
+
+    def __init__(self, size: int, orientation: chess.Color, coordinates: str):
+        self.size = size
+        self.orientation = orientation
+        self.coordinates = coordinates
+        # Outside labels take a strip on the left and at the bottom, like the page's board
+        self.margin = round(size / 20) if coordinates == "outside" else 0
+        self.step = (size - self.margin) / 8
+
+    def origin(self, square: chess.Square):
+        """Top left corner of a square."""
+        file, rank = chess.square_file(square), chess.square_rank(square)
+        if self.orientation == chess.BLACK:
+            file, rank = 7 - file, 7 - rank
+        return self.margin + file * self.step, (7 - rank) * self.step
+
+    def center(self, square: chess.Square):
+        x, y = self.origin(square)
+        return x + self.step / 2, y + self.step / 2
+
+    def labels(self):
+        """(text, x, y, anchor, on_light) per coordinate label.
+
+        anchor is horizontal (l, m, r) then vertical (t, m, b); on_light is None outside the board.
+        """
+        if self.coordinates == "none":
+            return []
+        files = "abcdefgh" if self.orientation == chess.WHITE else "hgfedcba"
+        ranks = "87654321" if self.orientation == chess.WHITE else "12345678"
+        step, margin, inset = self.step, self.margin, self.step * 0.06
+        labels = []
+        for i in range(8):
+            if self.coordinates == "inside":
+                # Ranks in the top left of the left column, files in the bottom right of the bottom row
+                labels.append((ranks[i], margin + inset, i * step + inset, "lt", i % 2 == 0))
+                labels.append((files[i], margin + (i + 1) * step - inset, 8 * step - inset, "rb", i % 2 == 1))
+            else:
+                labels.append((ranks[i], margin / 2, (i + 0.5) * step, "mm", None))
+                labels.append((files[i], margin + (i + 0.5) * step, 8 * step + margin / 2, "mm", None))
+        return labels
+
+    def font_size(self) -> float:
+        return self.margin * 0.6 if self.coordinates == "outside" else self.step * 0.2
+
+    def arrow(self, move: str):
+        """Shaft (start, end, width) and head triangle of an arrow, as drawArrow() in chess-ui.js."""
+        tail, head = parse_squares(move)
+        (x1, y1), (x2, y2) = self.center(tail), self.center(head)
+        angle = math.atan2(y2 - y1, x2 - x1)
+        head_length, head_width = self.step * 0.35, self.step * 0.45
+        shaft_end = (x2 - math.cos(angle) * head_length * 0.7, y2 - math.sin(angle) * head_length * 0.7)
+
+        base_x, base_y = x2 - math.cos(angle) * head_length, y2 - math.sin(angle) * head_length
+        side_x, side_y = math.cos(angle + math.pi / 2) * head_width / 2, math.sin(angle + math.pi / 2) * head_width / 2
+        triangle = [(x2, y2), (base_x - side_x, base_y - side_y), (base_x + side_x, base_y + side_y)]
+        return (x1, y1), shaft_end, self.step * 0.15, triangle
+
+    def circle(self, square: chess.Square):
+        """Center, radius and line width of a circle, as drawCircle() in chess-ui.js."""
+        return self.center(square), self.step * 0.45, self.step * 0.08
+
+
+def highlights(board: chess.Board, lastmove, check: bool):
+    """Squares of the last move, and the king's square if it is in check (or None)."""
+    marked = set(parse_squares(lastmove)) if lastmove else set()
+    king = board.king(board.turn) if check and board.is_check() else None
+    return marked, king
+
+
+def annotation_color(name: str) -> str:
+    return ARROW_COLORS.get(name, name)
+
+
+def is_light(square: chess.Square) -> bool:
+    return (chess.square_file(square) + chess.square_rank(square)) % 2 == 1
+
+
+# ==================== SVG ====================
+
+def svg(board: chess.Board, orientation: chess.Color = chess.WHITE, size: int = DEFAULT_SIZE,
+        coordinates: str = "inside", theme: str = "brown", lastmove=None, check: bool = True,
+        annotations=None) -> str:
+    """SVG picture of the position; lastmove is a UCI move, annotations the UI's shapes."""
+    layout = Layout(size, orientation, coordinates)
+    light, dark, last_light, last_dark = THEMES[theme]
+    marked, king = highlights(board, lastmove, check)
+    annotations = annotations or {}
+    step = layout.step
+
+    def attrs(**values):
+        return " ".join(f"{name.replace('_', '-')}={quoteattr(str(value))}" for name, value in values.items())
+
+    stops = "".join(f'<stop {attrs(offset=offset, stop_color="#ff0000", stop_opacity=opacity)}/>'
+                    for offset, opacity in CHECK_GRADIENT)
+    defs = [f'<radialGradient id="check" r="0.7071">{stops}</radialGradient>']
+    codes = {piece_code(piece) for piece in board.piece_map().values()}
+    codes.update(ghost["piece"] for ghost in annotations.get("ghosts", []))
+    for code in sorted(codes):
+        defs.append(f'<symbol {attrs(id=code, viewBox="0 0 80 80")}>'
+                    f'<image {attrs(width=80, height=80, href=piece_data_url(code))}/></symbol>')
+
+    body = []
+    if layout.margin:
+        body.append(f'<rect {attrs(width=size, height=size, fill="#ffffff")}/>')
+    for square in chess.SQUARES:
+        x, y = layout.origin(square)
+        if square in marked:
+            color = last_light if is_light(square) else last_dark
+        else:
+            color = light if is_light(square) else dark
+        body.append(f'<rect {attrs(x=x, y=y, width=step, height=step, fill=color)}/>')
+        if square == king:
+            body.append(f'<rect {attrs(x=x, y=y, width=step, height=step, fill="url(#check)")}/>')
+    for mark in annotations.get("squares", []):
+        x, y = layout.origin(chess.parse_square(mark["square"]))
+        fill = annotation_color(mark["color"])
+        body.append(f'<rect {attrs(x=x, y=y, width=step, height=step, fill=fill, opacity=MARK_OPACITY)}/>')
+
+    anchors = {"l": "start", "m": "middle", "r": "end"}
+    baselines = {"t": "hanging", "m": "central", "b": "alphabetic"}
+    for text, x, y, anchor, on_light in layout.labels():
+        color = OUTSIDE_COLOR if on_light is None else (dark if on_light else light)
+        label = attrs(x=x, y=y, fill=color, font_size=layout.font_size(), font_weight=600, font_family="sans-serif",
+                      text_anchor=anchors[anchor[0]], dominant_baseline=baselines[anchor[1]])
+        body.append(f"<text {label}>{text}</text>")
+
+    for square, piece in board.piece_map().items():
+        x, y = layout.origin(square)
+        body.append(f'<use {attrs(href="#" + piece_code(piece), x=x, y=y, width=step, height=step)}/>')
+    for ghost in annotations.get("ghosts", []):
+        x, y = layout.origin(chess.parse_square(ghost["square"]))
+        ghost_attrs = attrs(href="#" + ghost["piece"], x=x, y=y, width=step, height=step, opacity=GHOST_OPACITY)
+        body.append(f"<use {ghost_attrs}/>")
+
+    for circle in annotations.get("circles", []):
+        (cx, cy), radius, width = layout.circle(chess.parse_square(circle["square"]))
+        shape = attrs(cx=cx, cy=cy, r=radius, fill="none", stroke=annotation_color(circle["color"]),
+                      stroke_width=width, opacity=ANNOTATION_OPACITY)
+        body.append(f"<circle {shape}/>")
+    for arrow in annotations.get("arrows", []):
+        (x1, y1), (x2, y2), width, triangle = layout.arrow(arrow["move"])
+        color = annotation_color(arrow["color"])
+        points = " ".join(f"{x},{y}" for x, y in triangle)
+        shaft = attrs(x1=x1, y1=y1, x2=x2, y2=y2, stroke=color, stroke_width=width, stroke_linecap="round")
+        # Grouped so the shaft and head overlap without doubling the opacity
+        head = attrs(points=points, fill=color)
+        body.append(f'<g {attrs(opacity=ANNOTATION_OPACITY)}><line {shaft}/><polygon {head}/></g>')
+
+    return (f'<svg xmlns="http://www.w3.org/2000/svg" {attrs(width=size, height=size, viewBox=f"0 0 {size} {size}")}>'
+            f'<defs>{"".join(defs)}</defs>{"".join(body)}</svg>')
+
+
+def piece_code(piece: chess.Piece) -> str:
+    """Image name of a piece: wK, bP, ..."""
+    return ("w" if piece.color == chess.WHITE else "b") + piece.symbol().upper()
+
+
+@functools.lru_cache(maxsize=None)
+def piece_data_url(code: str) -> str:
+    with open(os.path.join(PIECES_DIR, f"{code}.png"), "rb") as f:
+        return "data:image/png;base64," + base64.b64encode(f.read()).decode("ascii")
+
+
+# ==================== PNG / GIF ====================
+
+def draw(board: chess.Board, orientation: chess.Color = chess.WHITE, size: int = DEFAULT_SIZE,
+         coordinates: str = "inside", theme: str = "brown", lastmove=None, check: bool = True,
+         annotations=None) -> Image.Image:
+    """The picture of svg() as a Pillow image."""
+    layout = Layout(size * SUPERSAMPLE, orientation, coordinates)
+    light, dark, last_light, last_dark = THEMES[theme]
+    marked, king = highlights(board, lastmove, check)
+    annotations = annotations or {}
+    step = layout.step
+
+    image = Image.new("RGB", (layout.size, layout.size), "#ffffff")
+    pen = ImageDraw.Draw(image)
+    for square in chess.SQUARES:
+        x, y = layout.origin(square)
+        if square in marked:
+            color = last_light if is_light(square) else last_dark
+        else:
+            color = light if is_light(square) else dark
+        pen.rectangle([x, y, x + step, y + step], fill=color)
+        if square == king:
+            image.paste("#ff0000", (round(x), round(y)), check_mask(round(step)))
+    for color, marks in by_color(annotations.get("squares", [])):
+        mask, shape = new_mask(layout.size)
+        for mark in marks:
+            x, y = layout.origin(chess.parse_square(mark["square"]))
+            shape.rectangle([x, y, x + step, y + step], fill=255)
+        overlay(image, mask, color, MARK_OPACITY)
+
+    font = ImageFont.load_default(size=round(layout.font_size()))
+    for text, x, y, anchor, on_light in layout.labels():
+        color = OUTSIDE_COLOR if on_light is None else (dark if on_light else light)
+        pen.text((x, y), text, fill=color, font=font, anchor=anchor[0] + {"t": "t", "m": "m", "b": "s"}[anchor[1]])
+
+    for square, piece in board.piece_map().items():
+        x, y = layout.origin(square)
+        sprite = piece_image(piece_code(piece), round(step))
+        image.paste(sprite, (round(x), round(y)), sprite)
+    for ghost in annotations.get("ghosts", []):
+        x, y = layout.origin(chess.parse_square(ghost["square"]))
+        sprite = piece_image(ghost["piece"], round(step))
+        alpha = sprite.getchannel("A").point(lambda value: round(value * GHOST_OPACITY))
+        image.paste(sprite, (round(x), round(y)), alpha)
+
+    # The shapes of one kind and color are drawn opaque into one mask, then laid over the board at the
+    # annotation opacity
+    for color, circles in by_color(annotations.get("circles", [])):
+        mask, shape = new_mask(layout.size)
+        for circle in circles:
+            (cx, cy), radius, width = layout.circle(chess.parse_square(circle["square"]))
+            shape.ellipse([cx - radius, cy - radius, cx + radius, cy + radius], outline=255, width=round(width))
+        overlay(image, mask, color)
+    for color, arrows in by_color(annotations.get("arrows", [])):
+        mask, shape = new_mask(layout.size)
+        for arrow in arrows:
+            (x1, y1), (x2, y2), width, triangle = layout.arrow(arrow["move"])
+            shape.line([x1, y1, x2, y2], fill=255, width=round(width))
+            shape.ellipse([x1 - width / 2, y1 - width / 2, x1 + width / 2, y1 + width / 2], fill=255)  # Round cap
+            shape.polygon(triangle, fill=255)
+        overlay(image, mask, color)
+
+    return image.resize((size, size), Image.Resampling.LANCZOS)
+
+
+def by_color(shapes):
+    """(display color, shapes) pairs, in the order the colors first appear."""
+    groups = {}
+    for shape in shapes:
+        groups.setdefault(annotation_color(shape["color"]), []).append(shape)
+    return groups.items()
+
+
+def new_mask(size: int):
+    mask = Image.new("L", (size, size), 0)
+    return mask, ImageDraw.Draw(mask)
+
+
+def overlay(image: Image.Image, mask: Image.Image, color: str, opacity: float = ANNOTATION_OPACITY):
+    image.paste(color, (0, 0), mask.point(lambda value: round(value * opacity)))
+
+
+@functools.lru_cache(maxsize=32)
+def piece_image(code: str, size: int) -> Image.Image:
+    with Image.open(os.path.join(PIECES_DIR, f"{code}.png")) as source:
+        return source.convert("RGBA").resize((size, size), Image.Resampling.LANCZOS)
+
+
+@functools.lru_cache(maxsize=8)
+def check_mask(size: int) -> Image.Image:
+    """Opacity of the check glow over one square: rings from the corners inwards."""
+    mask, shape = new_mask(size)
+    reach = size / 2 * math.sqrt(2)  # The gradient ends in the corners, like CSS's "ellipse at center"
+    rings = 24
+    for i in range(rings, -1, -1):
+        offset = i / rings
+        radius = reach * offset
+        shape.ellipse([size / 2 - radius, size / 2 - radius, size / 2 + radius, size / 2 + radius],
+                      fill=round(255 * gradient_opacity(offset)))
+    return mask
+
+
+def gradient_opacity(offset: float) -> float:
+    for (start, low), (end, high) in zip(CHECK_GRADIENT, CHECK_GRADIENT[1:]):
+        if offset <= end:
+            return low + (high - low) * (offset - start) / (end - start)
+    return 0.0
+
+
+def png(board: chess.Board, **options) -> bytes:
+    """PNG picture of the position, with the options of svg()."""
+    output = io.BytesIO()
+    draw(board, **options).save(output, format="PNG", optimize=True)
+    return output.getvalue()
+
+
+def gif_pixels(frames: int, size: int) -> int:
+    """What a GIF holds in memory while it is written, compared against MAX_GIF_PIXELS."""
+    return frames * size * size
+
+
+def gif(board: chess.Board, moves, delay: int = 1000, **options) -> bytes:
+    """Animated GIF: the position, then one frame per move with the move highlighted. delay in milliseconds."""
+    moves = list(moves)
+    board = board.copy()
+
+    def frame(lastmove=None):
+        # One byte per pixel: the supersampled RGB drawing is dropped as soon as it is reduced to a palette
+        return draw(board, lastmove=lastmove, **options).convert("P", palette=Image.Palette.ADAPTIVE)
+
+    def later_frames():
+        for move in moves:
+            board.push(move)
+            yield frame(move.uci())
+
+    output = io.BytesIO()
+    # The last position stays up a little longer before the animation starts over
+    durations = [delay] * len(moves) + [delay * 3]
+    # Frames are drawn one at a time while the encoder asks for them
+    frame().save(output, format="GIF", save_all=True, append_images=later_frames(), duration=durations, loop=0)
+    return output.getvalue()
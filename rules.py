@@ -0,0 +1,119 @@
+"""Move parsing, move descriptions and the rules that depend on a game's moves.
+
+Repetitions only show in the move stack, so /move, /fen and /claim-draw take
+the moves played since a start position next to the FEN and replay them.
+Fivefold repetition and the 75-move rule end the game by themselves
+(board.outcome()); threefold repetition and the 50-move rule are draws the
+player to move has to claim.
+
+Moves are read as UCI (e2e4, e7e8q) or SAN (e4, Nxf7+, O-O). Anything the
+rules refuse raises RulesError, whose code tells API clients what went wrong.
+"""
+import chess
+
+MAX_HISTORY = 2000  # plies sent with one request
+
+
+class RulesError(ValueError):
+    """A FEN, position, move or game history the rules refuse.
+
+    code is one of invalid_fen, illegal_position, invalid_move, ambiguous_move,
+    illegal_move, invalid_history, game_over or no_claimable_draw; errors
+    holds the details and details any extra fields for the response.
+    """
+
+    def __init__(self, code: str, message: str, errors=None, **details):
+        super().__init__(message)
+        self.code = code
+        self.errors = errors or [message]
+        self.details = details
+
+
+def parse_move(board: chess.Board, text: str) -> chess.Move:
+    """Legal move of the side to move, from UCI or SAN."""
+    try:
+        move = board.parse_uci(text)
+    except chess.IllegalMoveError:
+        raise RulesError("illegal_move", f"Illegal move {text}")
+    except chess.InvalidMoveError:
+        # Not UCI, so it has to be SAN
+        try:
+            move = board.parse_san(text)
+        except chess.AmbiguousMoveError:
+            raise RulesError("ambiguous_move", f"Ambiguous move {text}, say which piece moves (e.g. Nbd2)")
+        except chess.IllegalMoveError:
+            raise RulesError("illegal_move", f"Illegal move {text}")
+        except chess.InvalidMoveError:
+            raise RulesError("invalid_move", f"Cannot read move {text!r}, use UCI (e2e4) or SAN (e4)")
+
+    # parse_uci and parse_san both accept the null move (0000, --)
+    if not move:
+        raise RulesError("illegal_move", f"Illegal move {text}")
+    return move
+
+
+def move_json(board: chess.Board, move: chess.Move) -> dict:
+    """Everything about a legal move, described in the position before it is played."""
+    piece = board.piece_at(move.from_square)
+    if board.is_en_passant(move):
+        captured = chess.Piece(chess.PAWN, not board.turn)
+    elif board.is_castling(move):
+        captured = None  # Chess960 castling moves land on the own rook
+    else:
+        captured = board.piece_at(move.to_square)
+
+    castling = None
+    if board.is_kingside_castling(move):
+        castling = "kingside"
+    elif board.is_queenside_castling(move):
+        castling = "queenside"
+
+    san = board.san(move)
+    return {
+        "uci": move.uci(),
+        "san": san,
+        "from": chess.square_name(move.from_square),
+        "to": chess.square_name(move.to_square),
+        "piece": piece.symbol(),  # Upper case White, lower case Black, as in FEN
+        "captured": captured.symbol() if captured else None,
+        "promotion": chess.piece_symbol(move.promotion) if move.promotion else None,
+        "castling": castling,
+        "en_passant": board.is_en_passant(move),
+        "check": san.endswith(("+", "#")),
+        "checkmate": san.endswith("#"),
+    }
+
+
+def piece_map(board: chess.Board) -> dict:
+    """Square name -> FEN piece letter for every occupied square."""
+    return {chess.square_name(square): piece.symbol() for square, piece in board.piece_map().items()}
+
+
+def repetitions(board: chess.Board) -> int:
+    """How often the current position has occurred in the moves on the board's stack (1 = first time)."""
+    count = 1
+    while count < len(board.move_stack) and board.is_repetition(count + 1):
+        count += 1
+    return count
+
+
+def replay(board: chess.Board, moves) -> chess.Board:
+    """Play UCI moves on the board; raises ValueError naming the first illegal one."""
+    for ply, uci in enumerate(moves, 1):
+        try:
+            move = board.parse_uci(uci)
+        except ValueError:
+            raise ValueError(f"Move {ply} ({uci}) is not legal")
+        board.push(move)
+    return board
+
+
+def claimable_draw(board: chess.Board):
+    """Draw the side to move may claim: "fifty_moves" or "threefold_repetition", None if there is none."""
+    if board.is_game_over():
+        return None
+    if board.can_claim_fifty_moves():
+        return "fifty_moves"
+    if board.can_claim_threefold_repetition():
+        return "threefold_repetition"
+    return None
@@ -0,0 +1,187 @@
+"""Built-in move searcher used when no UCI engine is configured.
+
+Plain negamax with alpha-beta pruning, quiescence search on captures and
+piece-square tables. Weak by engine standards, but it plays sensible moves
+without any binary installed.
+"""
+import random
+import time
+
+import chess
+
+PIECE_VALUES = {
+    chess.PAWN: 100,
+    chess.KNIGHT: 320,
+    chess.BISHOP: 330,
+    chess.ROOK: 500,
+    chess.QUEEN: 900,
+    chess.KING: 0,
+}
+
+# Piece-square tables from White's point of view, a8..h8 first (as printed)
+PST = {
+    chess.PAWN: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+        5, 5, 10, 25, 25, 10, 5, 5,
+        0, 0, 0, 20, 20, 0, 0, 0,
+        5, -5, -10, 0, 0, -10, -5, 5,
+        5, 10, 10, -20, -20, 10, 10, 5,
+        0, 0, 0, 0, 0, 0, 0, 0,
+    ],
+    chess.KNIGHT: [
+        -50, -40, -30, -30, -30, -30, -40, -50,
+        -40, -20, 0, 0, 0, 0, -20, -40,
+        -30, 0, 10, 15, 15, 10, 0, -30,
+        -30, 5, 15, 20, 20, 15, 5, -30,
+        -30, 0, 15, 20, 20, 15, 0, -30,
+        -30, 5, 10, 15, 15, 10, 5, -30,
+        -40, -20, 0, 5, 5, 0, -20, -40,
+        -50, -40, -30, -30, -30, -30, -40, -50,
+    ],
+    chess.BISHOP: [
+        -20, -10, -10, -10, -10, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 10, 10, 5, 0, -10,
+        -10, 5, 5, 10, 10, 5, 5, -10,
+        -10, 0, 10, 10, 10, 10, 0, -10,
+        -10, 10, 10, 10, 10, 10, 10, -10,
+        -10, 5, 0, 0, 0, 0, 5, -10,
+        -20, -10, -10, -10, -10, -10, -10, -20,
+    ],
+    chess.ROOK: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        5, 10, 10, 10, 10, 10, 10, 5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        0, 0, 0, 5, 5, 0, 0, 0,
+    ],
+    chess.QUEEN: [
+        -20, -10, -10, -5, -5, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 5, 5, 5, 0, -10,
+        -5, 0, 5, 5, 5, 5, 0, -5,
+        0, 0, 5, 5, 5, 5, 0, -5,
+        -10, 5, 5, 5, 5, 5, 0, -10,
+        -10, 0, 5, 0, 0, 0, 0, -10,
+        -20, -10, -10, -5, -5, -10, -10, -20,
+    ],
+    chess.KING: [
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -20, -30, -30, -40, -40, -30, -30, -20,
+        -10, -20, -20, -20, -20, -20, -20, -10,
+        20, 20, 0, 0, 0, 0, 20, 20,
+        20, 30, 10, 0, 0, 10, 30, 20,
+    ],
+}
+
+MATE_SCORE = 100000
+
+
+class SearchTimeout(Exception):
+    pass
+
+
+def evaluate(board: chess.Board) -> int:
+    """Static evaluation in centipawns from the side to move's point of view."""
+    score = 0
+    for square, piece in board.piece_map().items():
+        # Tables are laid out rank 8 first, so White squares are mirrored
+        idx = chess.square_mirror(square) if piece.color == chess.WHITE else square
+        value = PIECE_VALUES[piece.piece_type] + PST[piece.piece_type][idx]
+        score += value if piece.color == chess.WHITE else -value
+    return score if board.turn == chess.WHITE else -score
+
+
+def order_moves(board: chess.Board, moves):
+    """Captures first, most valuable victim / least valuable attacker."""
+    def key(move):
+        if board.is_capture(move):
+            victim = board.piece_at(move.to_square)
+            victim_value = PIECE_VALUES[victim.piece_type] if victim else PIECE_VALUES[chess.PAWN]
+            return -(10 * victim_value - PIECE_VALUES[board.piece_type_at(move.from_square)])
+        return 0 if move.promotion else 1
+    return sorted(moves, key=key)
+
+
+class Searcher:
+    def __init__(self, deadline: float):
+        self.deadline = deadline
+        self.nodes = 0
+
+    def check_time(self):
+        self.nodes += 1
+        if self.nodes % 512 == 0 and time.monotonic() > self.deadline:
+            raise SearchTimeout()
+
+    def quiescence(self, board, alpha, beta):
+        self.check_time()
+        stand_pat = evaluate(board)
+        if stand_pat >= beta:
+            return beta
+        alpha = max(alpha, stand_pat)
+
+        for move in order_moves(board, [m for m in board.legal_moves if board.is_capture(m)]):
+            board.push(move)
+            score = -self.quiescence(board, -beta, -alpha)
+            board.pop()
+            if score >= beta:
+                return beta
+            alpha = max(alpha, score)
+        return alpha
+
+    def negamax(self, board, depth, alpha, beta, ply):
+        self.check_time()
+        if board.is_checkmate():
+            return -MATE_SCORE + ply
+        if board.is_stalemate() or board.is_insufficient_material() or board.is_fifty_moves():
+            return 0
+        if depth == 0:
+            return self.quiescence(board, alpha, beta)
+
+        for move in order_moves(board, board.legal_moves):
+            board.push(move)
+            score = -self.negamax(board, depth - 1, -beta, -alpha, ply + 1)
+            board.pop()
+            if score >= beta:
+                return beta
+            alpha = max(alpha, score)
+        return alpha
+
+    def root_scores(self, board, depth):
+        scores = []
+        for move in order_moves(board, board.legal_moves):
+            board.push(move)
+            scores.append((move, -self.negamax(board, depth - 1, -MATE_SCORE - 1, MATE_SCORE + 1, 1)))
+            board.pop()
+        return scores
+
+
+def best_move(board: chess.Board, max_depth: int = 3, time_limit: float = 1.0, randomness: int = 0):
+    """Pick a move by iterative deepening until max_depth or the time limit is reached.
+
+    randomness (centipawns) lets weaker levels choose among moves scoring
+    close to the best one instead of always the best.
+    """
+    board = board.copy()
+    searcher = Searcher(time.monotonic() + time_limit)
+    scores = [(move, 0) for move in board.legal_moves]
+
+    for depth in range(1, max_depth + 1):
+        try:
+            scores = searcher.root_scores(board, depth)
+        except SearchTimeout:
+            break
+
+    if not scores:
+        return None
+    best = max(score for _, score in scores)
+    candidates = [move for move, score in scores if score >= best - randomness]
+    return random.choice(candidates)
@@ -0,0 +1,352 @@
+"""Server-side game sessions for two-player games over WebSockets.
+
+Each session owns the authoritative board. Players hold a seat ("white" or
+"black") identified by a secret token, so a reconnecting client gets its seat
+back; everybody else watches as a spectator. Every change is broadcast to all
+connections of the session as the full game state. With a time control the
+server's clock decides flag-fall, also when nobody moves.
+
+Sessions nobody is connected to are dropped after a while (IDLE_TIMEOUT, or
+FINISHED_TIMEOUT once the game is over); their links stop working then.
+"""
+import asyncio
+import secrets
+import time
+
+import chess
+from fastapi import WebSocket
+
+import rules
+from clock import ChessClock
+
+SEATS = ("white", "black")
+
+# Seconds a session without connections is kept after its last activity
+IDLE_TIMEOUT = 2 * 60 * 60
+FINISHED_TIMEOUT = 10 * 60
+
+
+def opposite(seat):
+    return "black" if seat == "white" else "white"
+
+
+class SessionError(Exception):
+    """A client action that is not allowed in the current state."""
+
+
+class GameSession:
+    def __init__(self, session_id: str, fen: str = chess.STARTING_FEN, time_control: dict = None):
+        self.id = session_id
+        self.initial_fen = fen
+        self.board = chess.Board(fen)
+        self.time_control = time_control
+        self.clock = ChessClock(time_control) if time_control else None
+        self.flag_task = None
+        self.tokens = {seat: None for seat in SEATS}   # seat -> player token
+        self.connections = {}                          # WebSocket -> seat or "spectator"
+        self.result = None
+        self.reason = None
+        self.draw_offer = None      # Seat that offered a draw
+        self.rematch_offer = None   # Seat that asked for a rematch
+        self.last_active = time.time()  # Last join, leave or message
+
+    # ==================== SEATS ====================
+
+    def seat_for_token(self, token):
+        for seat in SEATS:
+            if token and self.tokens[seat] == token:
+                return seat
+        return None
+
+    def take_seat(self, requested=None):
+        """Give the requested seat (or any free one) to a new player, returns (seat, token)."""
+        if requested == "spectator":
+            return "spectator", None
+        free = [seat for seat in SEATS if self.tokens[seat] is None]
+        if requested in SEATS:
+            free = [requested] if requested in free else []
+        if not free:
+            return "spectator", None
+
+        seat = free[0]
+        self.tokens[seat] = secrets.token_urlsafe(16)
+        return seat, self.tokens[seat]
+
+    def connected_seats(self):
+        return {seat: seat in self.connections.values() for seat in SEATS}
+
+    # ==================== GAME ====================
+
+    @property
+    def status(self):
+        if self.result:
+            return "finished"
+        if None in self.tokens.values():
+            return "waiting"
+        return "playing"
+
+    def turn_seat(self):
+        return "white" if self.board.turn == chess.WHITE else "black"
+
+    def play(self, seat, uci):
+        if self.status != "playing":
+            raise SessionError("The game is not in progress")
+        if seat != self.turn_seat():
+            raise SessionError("It is not your turn")
+
+        try:
+            move = chess.Move.from_uci(uci)
+        except ValueError:
+            raise SessionError(f"Invalid move {uci}")
+        if move not in self.board.legal_moves:
+            raise SessionError(f"Illegal move {uci}")
+
+        # A move that arrives after the flag fell does not count
+        if self.clock and not self.clock.press(seat):
+            self.flag_fall()
+            return {"type": "flag", "seat": seat}
+
+        san = self.board.san(move)
+        self.board.push(move)
+        # Making a move declines a pending draw offer
+        self.draw_offer = None
+
+        outcome = self.board.outcome()
+        if outcome:
+            self.finish(outcome.result(), outcome.termination.name.lower())
+        return {"type": "move", "seat": seat, "uci": uci, "san": san}
+
+    def finish(self, result, reason):
+        self.result = result
+        self.reason = reason
+        self.draw_offer = None
+        if self.clock:
+            self.clock.stop()
+
+    def check_flag(self):
+        """End the game if the running clock has run out; True if that happened now."""
+        if self.result or not self.clock or not self.clock.check_flag():
+            return False
+        self.flag_fall()
+        return True
+
+    def flag_fall(self):
+        loser = self.clock.flagged
+        winner = chess.WHITE if loser == "black" else chess.BLACK
+        # Running out of time is only a loss if the opponent could still mate
+        if self.board.has_insufficient_material(winner):
+            self.finish("1/2-1/2", "timeout_vs_insufficient_material")
+        else:
+            self.finish("1-0" if winner == chess.WHITE else "0-1", "timeout")
+
+    def schedule_flag_check(self):
+        """Wake up when the running clock would run out, so flags fall without a move."""
+        if self.flag_task:
+            self.flag_task.cancel()
+            self.flag_task = None
+        if self.result or not self.clock or not self.clock.running:
+            return
+        delay = max(0, self.clock.time_left(self.clock.running)) + 0.05
+        self.flag_task = asyncio.get_running_loop().create_task(self.flag_watch(delay))
+
+    async def flag_watch(self, delay):
+        await asyncio.sleep(delay)
+        self.flag_task = None
+        if self.check_flag():
+            await self.broadcast({"type": "flag", "seat": self.clock.flagged})
+        else:
+            self.schedule_flag_check()
+
+    def expired(self, now):
+        """Nobody is connected and nobody has been for long enough."""
+        if self.connections:
+            return False
+        timeout = FINISHED_TIMEOUT if self.result else IDLE_TIMEOUT
+        return now - self.last_active > timeout
+
+    def close(self):
+        if self.flag_task:
+            self.flag_task.cancel()
+            self.flag_task = None
+
+    def resign(self, seat):
+        if self.status != "playing":
+            raise SessionError("The game is not in progress")
+        self.finish("0-1" if seat == "white" else "1-0", "resignation")
+
+    def offer_draw(self, seat):
+        if self.status != "playing":
+            raise SessionError("The game is not in progress")
+        if self.draw_offer == opposite(seat):
+            # Crossing offers are an agreement
+            self.finish("1/2-1/2", "agreement")
+        else:
+            self.draw_offer = seat
+
+    def answer_draw(self, seat, accept):
+        if self.draw_offer != opposite(seat):
+            raise SessionError("There is no draw offer to answer")
+        if accept:
+            self.finish("1/2-1/2", "agreement")
+        else:
+            self.draw_offer = None
+
+    def claim_draw(self, seat):
+        """Threefold repetition or the 50-move rule, claimed by the player to move."""
+        if self.status != "playing":
+            raise SessionError("The game is not in progress")
+        if seat != self.turn_seat():
+            raise SessionError("A draw can only be claimed on your turn")
+        reason = rules.claimable_draw(self.board)
+        if not reason:
+            raise SessionError("No draw can be claimed in this position")
+        self.finish("1/2-1/2", reason)
+
+    def offer_rematch(self, seat):
+        if self.status != "finished":
+            raise SessionError("A rematch can only be offered after the game")
+        if self.rematch_offer == opposite(seat):
+            self.rematch()
+        else:
+            self.rematch_offer = seat
+
+    def answer_rematch(self, seat, accept):
+        if self.rematch_offer != opposite(seat):
+            raise SessionError("There is no rematch offer to answer")
+        if accept:
+            self.rematch()
+        else:
+            self.rematch_offer = None
+
+    def rematch(self):
+        """New game from the same start position with colors swapped."""
+        self.board = chess.Board(self.initial_fen)
+        self.clock = ChessClock(self.time_control) if self.time_control else None
+        self.tokens = {"white": self.tokens["black"], "black": self.tokens["white"]}
+        self.connections = {
+            ws: opposite(seat) if seat in SEATS else seat for ws, seat in self.connections.items()
+        }
+        self.result = None
+        self.reason = None
+        self.draw_offer = None
+        self.rematch_offer = None
+
+    # ==================== STATE ====================
+
+    def state(self):
+        board = self.board
+        return {
+            "id": self.id,
+            "initial_fen": self.initial_fen,
+            "fen": board.fen(),
+            "moves": [move.uci() for move in board.move_stack],
+            "turn": self.turn_seat(),
+            "legal_moves": [m.uci() for m in board.legal_moves] if not self.result else [],
+            "is_check": board.is_check(),
+            "status": self.status,
+            "result": self.result,
+            "reason": self.reason,
+            "seats": {seat: self.tokens[seat] is not None for seat in SEATS},
+            "connected": self.connected_seats(),
+            "spectators": sum(1 for seat in self.connections.values() if seat not in SEATS),
+            "draw_offer": self.draw_offer,
+            "claimable_draw": rules.claimable_draw(board) if not self.result else None,
+            "rematch_offer": self.rematch_offer,
+            "clock": self.clock.to_json() if self.clock else None,
+        }
+
+    # ==================== CONNECTIONS ====================
+
+    async def send(self, websocket: WebSocket, message: dict):
+        try:
+            await websocket.send_json(message)
+        except Exception:
+            # Dropped connection; the receive loop cleans it up
+            pass
+
+    async def send_state(self, websocket: WebSocket, event=None, state=None):
+        # The receiver's own seat is included since a rematch swaps colors
+        await self.send(websocket, {
+            "type": "state",
+            "seat": self.connections.get(websocket, "spectator"),
+            "event": event,
+            "state": state or self.state(),
+        })
+
+    async def broadcast(self, event=None):
+        self.last_active = time.time()
+        state = self.state()
+        for websocket in list(self.connections):
+            await self.send_state(websocket, event, state)
+        self.schedule_flag_check()
+
+    async def handle(self, websocket: WebSocket, message: dict):
+        """Apply one client message; errors only go back to the sender."""
+        seat = self.connections.get(websocket)
+        kind = message.get("type")
+
+        if self.check_flag():
+            await self.broadcast({"type": "flag", "seat": self.clock.flagged})
+
+        if kind == "sync":
+            await self.send_state(websocket)
+            return
+        if seat not in SEATS:
+            await self.send(websocket, {"type": "error", "error": "Spectators cannot play"})
+            return
+
+        try:
+            if kind == "move":
+                event = self.play(seat, str(message.get("move", "")))
+            elif kind == "resign":
+                self.resign(seat)
+                event = {"type": "resign", "seat": seat}
+            elif kind == "draw_offer":
+                self.offer_draw(seat)
+                event = {"type": "draw_offer", "seat": seat}
+            elif kind in ("draw_accept", "draw_decline"):
+                self.answer_draw(seat, kind == "draw_accept")
+                event = {"type": kind, "seat": seat}
+            elif kind == "draw_claim":
+                self.claim_draw(seat)
+                event = {"type": "draw_claim", "seat": seat}
+            elif kind == "rematch_offer":
+                self.offer_rematch(seat)
+                # Crossing offers start the rematch right away
+                event = {"type": "rematch_offer" if self.rematch_offer else "rematch", "seat": seat}
+            elif kind in ("rematch_accept", "rematch_decline"):
+                self.answer_rematch(seat, kind == "rematch_accept")
+                event = {"type": "rematch" if kind == "rematch_accept" else kind, "seat": seat}
+            else:
+                raise SessionError(f"Unknown message type {kind!r}")
+        except SessionError as e:
+            await self.send(websocket, {"type": "error", "error": str(e)})
+            return
+
+        await self.broadcast(event)
+
+
+class SessionManager:
+    def __init__(self):
+        self.sessions = {}
+
+    def create(self, fen: str = chess.STARTING_FEN, time_control: dict = None) -> GameSession:
+        self.expire()
+        session_id = secrets.token_urlsafe(6)
+        while session_id in self.sessions:
+            session_id = secrets.token_urlsafe(6)
+        session = GameSession(session_id, fen, time_control)
+        self.sessions[session_id] = session
+        return session
+
+    def get(self, session_id: str):
+        self.expire()
+        return self.sessions.get(session_id)
+
+    def expire(self, now=None):
+        """Drop the sessions nobody uses any more, and stop their flag watches."""
+        now = now if now is not None else time.time()
+        for session_id, session in list(self.sessions.items()):
+            if session.expired(now):
+                session.close()
+                del self.sessions[session_id]
@@ -0,0 +1,301 @@
+/**
+ * Board Accessibility
+ * - Squares form an ARIA grid with a label per square ("e4, white knight")
+ * - Keyboard: arrow keys move a focus cursor over the board, Enter/Space select and drop
+ *   (same rules as clicking), Escape drops the selection
+ * - Typed moves in SAN or UCI ("Nf3", "g1f3"), and text commands such as "pieces white"
+ *   to read out where the pieces stand
+ * - A live region announces moves, checks and the end of the game as the status line changes
+ */
+
+class BoardAccessibility {
+    static PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+    static PIECE_ORDER = ['k', 'q', 'r', 'b', 'n', 'p'];
+    static SAN_PIECES = { N: 'knight', B: 'bishop', R: 'rook', Q: 'queen', K: 'king' };
+
+    static HELP = 'Type a move such as Nf3 or g1f3, "pieces" to hear where all pieces stand, ' +
+        '"pieces white" or "pieces black" for one side.';
+
+    constructor(ui) {
+        this.ui = ui;
+        this.cursor = 'e2';         // Square with the keyboard focus cursor
+        this.lastNode = null;       // Node and status text of the last announcement
+        this.lastStatus = null;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.liveEl = refs.announcer;
+        this.ownsLiveEl = false;    // Created here for custom markup without one
+        this.inputEl = refs.moveInput;
+        this.messageEl = refs.moveInputMessage;
+    }
+
+    bindEvents() {
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        const board = this.ui.boardEl;
+        board.setAttribute('role', 'grid');
+        board.setAttribute('aria-label', 'Chess board');
+        if (!this.liveEl) {
+            this.liveEl = document.createElement('div');
+            this.liveEl.className = 'sr-only';
+            this.liveEl.setAttribute('aria-live', 'polite');
+            this.liveEl.setAttribute('aria-atomic', 'true');
+            board.insertAdjacentElement('afterend', this.liveEl);
+            this.ownsLiveEl = true;
+        }
+
+        listen(board, 'keydown', (e) => this.handleKey(e));
+        // Mouse and touch input moves the cursor along, so keyboard use can pick up from there
+        listen(board, 'click', (e) => {
+            const square = e.target.closest('.square');
+            if (square) this.setCursor(square.dataset.square, false);
+        });
+
+        if (this.inputEl) {
+            listen(this.inputEl, 'keydown', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                this.submit(this.inputEl.value);
+            });
+        }
+    }
+
+    destroy() {
+        if (this.ownsLiveEl) this.liveEl.remove();
+    }
+
+    // ==================== SQUARES ====================
+
+    // Called by ChessUI after the pieces are drawn
+    renderLabels() {
+        for (const squareEl of this.ui.boardEl.querySelectorAll('.square')) {
+            const square = squareEl.dataset.square;
+            squareEl.setAttribute('aria-label', this.describeSquare(square));
+            squareEl.tabIndex = square === this.cursor ? 0 : -1;
+        }
+    }
+
+    describeSquare(square) {
+        const piece = this.ui.game.get(square);
+        return piece ? `${square}, ${BoardAccessibility.pieceName(piece)}` : square;
+    }
+
+    static pieceName(piece) {
+        return `${piece.color === 'w' ? 'white' : 'black'} ${BoardAccessibility.PIECE_NAMES[piece.type]}`;
+    }
+
+    setCursor(square, focus = true) {
+        this.cursor = square;
+        for (const squareEl of this.ui.boardEl.querySelectorAll('.square')) {
+            squareEl.tabIndex = squareEl.dataset.square === square ? 0 : -1;
+        }
+        const squareEl = this.squareEl(square);
+        if (focus && squareEl) squareEl.focus();
+    }
+
+    squareEl(square) {
+        return this.ui.boardEl.querySelector(`[data-square="${square}"]`);
+    }
+
+    handleKey(e) {
+        const squareEl = e.target.closest('.square');
+        if (!squareEl || this.ui.editor.active) return;
+
+        // Arrow keys follow the board as it is shown, flipped or not
+        const step = this.ui.isFlipped ? -1 : 1;
+        const moves = {
+            ArrowUp: [0, step],
+            ArrowDown: [0, -step],
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0]
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            const [df, dr] = moves[e.key];
+            const file = this.cursor.charCodeAt(0) - 97 + df;
+            const rank = parseInt(this.cursor[1], 10) - 1 + dr;
+            if (file >= 0 && file < 8 && rank >= 0 && rank < 8) this.setCursor(this.ui.coordsToSquare(file, rank));
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.activate(squareEl.dataset.square);
+        } else if (e.key === 'Escape' && this.ui.selectedSquare && !this.ui.pendingPromotion) {
+            e.preventDefault();
+            this.ui.clearSelection();
+            this.announce('Selection cleared');
+        }
+    }
+
+    // Enter/Space on a square: same as clicking it
+    activate(square) {
+        const squareEl = this.squareEl(square);
+        if (!squareEl) return;
+
+        const before = this.ui.selectedSquare;
+        this.ui.handleSquareClick({ target: squareEl });
+        this.setCursor(square);
+
+        const selected = this.ui.selectedSquare;
+        if (selected && selected !== before) {
+            const piece = this.ui.premoves.isPremoving() ? this.ui.premoves.pieceAt(selected) : this.ui.game.get(selected);
+            const targets = this.ui.premoves.isPremoving()
+                ? this.ui.premoves.targets(selected)
+                : this.ui.legalMoves.filter(m => m.startsWith(selected)).map(m => m.substring(2, 4));
+            const unique = [...new Set(targets)];
+            this.announce(`${BoardAccessibility.pieceName(piece)} on ${selected} selected. ` +
+                (unique.length ? `Moves to ${unique.join(', ')}` : 'No legal moves'));
+        }
+    }
+
+    // ==================== TYPED INPUT ====================
+
+    submit(text) {
+        const command = text.trim();
+        if (!command) return;
+
+        const words = command.toLowerCase().split(/\s+/);
+        if (words[0] === 'pieces') {
+            const color = { white: 'w', black: 'b' }[words[1]];
+            const text = color ? this.describePieces(color) : `${this.describePieces('w')} ${this.describePieces('b')}`;
+            this.showMessage(text, false);
+            this.announce(text);
+            this.inputEl.value = '';
+            return;
+        }
+        if (words[0] === 'help') {
+            this.showMessage(BoardAccessibility.HELP, false);
+            this.announce(BoardAccessibility.HELP);
+            return;
+        }
+
+        const result = this.playTyped(command);
+        if (result.error) {
+            this.showMessage(result.error, true);
+            this.announce(result.error);
+            return;
+        }
+        this.showMessage('', false);
+        this.inputEl.value = '';
+    }
+
+    // Play a move typed in SAN or UCI; { error } when it cannot be played now
+    playTyped(text) {
+        const ui = this.ui;
+        if (ui.readOnly) return { error: 'The board is read-only' };
+
+        const uci = this.parseMove(text);
+        if (!uci) {
+            return { error: ui.game.isStandard ? `"${text}" is not a legal move` : 'Type variant moves in UCI, e.g. e2e4' };
+        }
+
+        const from = uci.substring(0, 2);
+        const to = uci.substring(2, 4);
+        if (ui.premoves.isPremoving()) {
+            return ui.premoves.add(from, to) ? {} : { error: `Cannot premove ${text}` };
+        }
+
+        const piece = ui.game.get(from);
+        if (!piece || !ui.canMovePiece(piece)) return { error: 'You cannot move that piece now' };
+
+        const move = ui.legalMoves.find(m => m === uci || (uci.length === 4 && m.startsWith(uci))) ||
+            ui.findCastlingMove(from, to);
+        if (!move) return { error: `"${text}" is not a legal move` };
+
+        // Without a typed promotion piece the usual chooser comes up
+        ui.makeMove(uci.length === 5 ? uci : move.substring(0, 4));
+        return {};
+    }
+
+    // UCI for a typed move: UCI as is, SAN through chess.js (standard chess only)
+    parseMove(text) {
+        const compact = text.replace(/\s+/g, '');
+        if (/^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(compact)) return compact.toLowerCase();
+        if (!this.ui.game.isStandard) return null;
+
+        // Premoves are read as if it were already the user's turn
+        const fields = this.ui.game.fen().split(' ');
+        if (this.ui.premoves.isPremoving()) {
+            fields[1] = this.ui.premoves.color();
+            fields[3] = '-';
+        }
+        const chess = new Chess();
+        if (!chess.load(fields.join(' '))) return null;
+        const move = chess.move(compact.replace(/0/g, 'O'), { sloppy: true });
+        return move ? move.from + move.to + (move.promotion || '') : null;
+    }
+
+    showMessage(text, invalid) {
+        if (!this.messageEl) return;
+        this.messageEl.textContent = text;
+        this.messageEl.classList.toggle('invalid', invalid);
+        if (this.inputEl) this.inputEl.setAttribute('aria-invalid', String(invalid));
+    }
+
+    // "White: king on g1, rooks on a1 and f1, ..." for one side
+    describePieces(color) {
+        const squares = {};
+        for (const squareEl of this.ui.boardEl.querySelectorAll('.square')) {
+            const piece = this.ui.game.get(squareEl.dataset.square);
+            if (piece && piece.color === color) (squares[piece.type] = squares[piece.type] || []).push(squareEl.dataset.square);
+        }
+
+        const groups = BoardAccessibility.PIECE_ORDER.filter(type => squares[type]).map(type => {
+            const list = squares[type].sort();
+            const name = BoardAccessibility.PIECE_NAMES[type] + (list.length > 1 ? 's' : '');
+            const where = list.length > 1 ? `${list.slice(0, -1).join(', ')} and ${list[list.length - 1]}` : list[0];
+            return `${name} on ${where}`;
+        });
+        return `${color === 'w' ? 'White' : 'Black'}: ${groups.length ? groups.join(', ') : 'no pieces'}.`;
+    }
+
+    // ==================== ANNOUNCEMENTS ====================
+
+    // Called by ChessUI.updateStatus(); speaks the move that led to the position and the new status
+    statusChanged(status) {
+        const node = this.ui.currentNode;
+        if (this.lastStatus === null) {
+            // Nothing to announce for the position the board starts in
+            this.lastNode = node;
+            this.lastStatus = status;
+            return;
+        }
+        if (node === this.lastNode && status === this.lastStatus) return;
+
+        const parts = [];
+        if (node !== this.lastNode && node.san) {
+            const mover = this.ui.tree.isWhiteMove(node) ? 'White' : 'Black';
+            parts.push(`${mover} ${BoardAccessibility.spokenSan(node.san)}.`);
+        }
+        parts.push(status);
+        this.lastNode = node;
+        this.lastStatus = status;
+        this.announce(parts.join(' '));
+    }
+
+    announce(text) {
+        if (!this.liveEl) return;
+        // Re-setting the same text is not always read again, so clear it first
+        this.liveEl.textContent = '';
+        this.liveEl.textContent = text;
+    }
+
+    // SAN in words: "Nxe5+" -> "knight takes e5, check", "exd8=Q" -> "e pawn takes d8, promotes to queen"
+    static spokenSan(san) {
+        const check = san.endsWith('#') ? ', checkmate' : san.endsWith('+') ? ', check' : '';
+        const move = san.replace(/[+#!?]/g, '');
+
+        if (move === 'O-O') return `castles kingside${check}`;
+        if (move === 'O-O-O') return `castles queenside${check}`;
+
+        const match = move.match(/^([NBRQK])?([a-h]?[1-8]?)(x)?([a-h][1-8])(?:=([NBRQ]))?$/);
+        if (!match) return san;
+        const [, piece, from, capture, to, promotion] = match;
+
+        // Pawn captures name the pawn's file ("e pawn takes d5"), other pieces their disambiguation
+        let words = piece ? BoardAccessibility.SAN_PIECES[piece] : 'pawn';
+        if (from) words = piece ? `${words} from ${from}` : `${from} ${words}`;
+        words += capture ? ` takes ${to}` : ` to ${to}`;
+        if (promotion) words += `, promotes to ${BoardAccessibility.SAN_PIECES[promotion]}`;
+        return words + check;
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * Board Editor
+ * - Piece palette with move/place/erase tools
+ * - Drag pieces onto, around and off the board (mouse and touch)
+ * - Side to move, castling rights and en-passant controls
+ * - FEN paste, validated by the server with concrete reasons
+ */
+
+class BoardEditor {
+    static START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+
+        // Position being edited
+        this.pieces = {}; // square -> { color, type }
+        this.turn = 'w';
+        this.castling = { K: false, Q: false, k: false, q: false };
+        this.epSquare = '-';
+
+        // Input state
+        this.tool = 'move'; // 'move' | 'erase' | piece code such as 'wN'
+        this.drag = null;   // { piece, fromSquare, ghost }
+        this.validation = null;
+        this.validationId = 0;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.editorPanel;
+        this.paletteEl = refs.editorPalette;
+        this.turnEl = refs.editorTurn;
+        this.epEl = refs.editorEp;
+        this.fenEl = refs.editorFen;
+        this.messageEl = refs.editorMessage;
+        this.openBtn = refs.editBtn;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        this.buildPalette();
+
+        // Listeners go through ui.listen() so ChessUI.destroy() removes them
+        const listen = (target, type, handler, options) => this.ui.listen(target, type, handler, options);
+        const refs = this.ui.refs;
+
+        listen(this.openBtn, 'click', () => (this.active ? this.close() : this.open()));
+
+        // Board and palette input
+        const board = this.ui.boardEl;
+        listen(board, 'mousedown', (e) => this.handleBoardDown(e));
+        listen(board, 'touchstart', (e) => this.handleBoardDown(e), { passive: false });
+        listen(this.paletteEl, 'mousedown', (e) => this.handlePaletteDown(e));
+        listen(this.paletteEl, 'touchstart', (e) => this.handlePaletteDown(e), { passive: false });
+
+        listen(document, 'mousemove', (e) => this.handleDragMove(e));
+        listen(document, 'touchmove', (e) => this.handleDragMove(e), { passive: false });
+        listen(document, 'mouseup', (e) => this.handleDragEnd(e));
+        listen(document, 'touchend', (e) => this.handleDragEnd(e));
+
+        // Position controls
+        listen(this.turnEl, 'change', () => {
+            this.turn = this.turnEl.value;
+            this.epSquare = '-';
+            this.changed();
+        });
+        listen(this.epEl, 'change', () => {
+            this.epSquare = this.epEl.value;
+            this.changed();
+        });
+        this.panelEl.querySelectorAll('[data-castling]').forEach(box => {
+            listen(box, 'change', () => {
+                this.castling[box.dataset.castling] = box.checked;
+                this.changed();
+            });
+        });
+        listen(this.fenEl, 'change', () => this.loadFen(this.fenEl.value));
+
+        // Buttons
+        listen(refs.editorStartBtn, 'click', () => this.startFromHere());
+        listen(refs.editorCancelBtn, 'click', () => this.close());
+        listen(refs.editorClearBtn, 'click', () => this.loadFen('8/8/8/8/8/8/8/8 w - - 0 1'));
+        listen(refs.editorInitialBtn, 'click', () => this.loadFen(BoardEditor.START_FEN));
+    }
+
+    buildPalette() {
+        for (const color of ['w', 'b']) {
+            for (const type of ['k', 'q', 'r', 'b', 'n', 'p']) {
+                const item = document.createElement('div');
+                item.className = 'palette-item palette-piece';
+                item.dataset.tool = color + type.toUpperCase();
+                item.style.backgroundImage = `url('${this.ui.getPieceUrl({ color, type })}')`;
+                this.paletteEl.appendChild(item);
+            }
+        }
+        this.updateToolSelection();
+    }
+
+    // ==================== OPEN / CLOSE ====================
+
+    open() {
+        this.ui.cancelPromotion();
+        this.ui.clearSelection();
+        this.ui.drawingLayer.innerHTML = '';
+
+        this.active = true;
+        this.panelEl.classList.remove('hidden');
+        this.ui.boardEl.classList.add('editing');
+        this.openBtn.classList.add('active');
+
+        this.loadFen(this.ui.game.fen());
+    }
+
+    close(restore = true) {
+        this.active = false;
+        this.cancelDrag();
+        this.panelEl.classList.add('hidden');
+        this.ui.boardEl.classList.remove('editing');
+        this.openBtn.classList.remove('active');
+
+        // Put the game position back on the board
+        if (restore) this.ui.goToNode(this.ui.currentNode);
+    }
+
+    async startFromHere() {
+        const data = await this.validate();
+        if (!data || !data.valid) return;
+
+        const result = await this.ui.setPosition(data.fen);
+        if (result.valid) this.close(false);
+    }
+
+    // ==================== FEN ====================
+
+    loadFen(fen) {
+        try {
+            const position = this.parseFen(fen);
+            Object.assign(this, position);
+            this.changed();
+        } catch (error) {
+            this.showMessage([error.message], false);
+        }
+    }
+
+    parseFen(fen) {
+        const [placement = '', turn = 'w', castling = '-', epSquare = '-'] = fen.trim().split(/\s+/);
+        const rows = placement.split('/');
+        if (rows.length !== 8) throw new Error('FEN must describe 8 ranks separated by "/"');
+
+        const pieces = {};
+        rows.forEach((row, i) => {
+            const rank = 8 - i;
+            let file = 0;
+            for (const ch of row) {
+                if (/[1-8]/.test(ch)) {
+                    file += parseInt(ch, 10);
+                } else if (/[pnbrqk]/i.test(ch)) {
+                    if (file > 7) throw new Error(`Rank ${rank} has more than 8 squares`);
+                    const color = ch === ch.toUpperCase() ? 'w' : 'b';
+                    pieces[this.ui.coordsToSquare(file, rank - 1)] = { color, type: ch.toLowerCase() };
+                    file++;
+                } else {
+                    throw new Error(`Invalid piece "${ch}" on rank ${rank}`);
+                }
+            }
+            if (file !== 8) throw new Error(`Rank ${rank} does not have exactly 8 squares`);
+        });
+
+        if (!/^[wb]$/.test(turn)) throw new Error('Side to move must be "w" or "b"');
+
+        return {
+            pieces,
+            turn,
+            castling: {
+                K: castling.includes('K'),
+                Q: castling.includes('Q'),
+                k: castling.includes('k'),
+                q: castling.includes('q')
+            },
+            epSquare: /^[a-h][36]$/.test(epSquare) ? epSquare : '-'
+        };
+    }
+
+    toFen() {
+        const rows = [];
+        for (let rank = 7; rank >= 0; rank--) {
+            let row = '';
+            let empty = 0;
+            for (let file = 0; file < 8; file++) {
+                const piece = this.pieces[this.ui.coordsToSquare(file, rank)];
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty) row += empty;
+                empty = 0;
+                row += piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
+            }
+            if (empty) row += empty;
+            rows.push(row);
+        }
+
+        const castling = ['K', 'Q', 'k', 'q'].filter(right => this.castling[right]).join('') || '-';
+        return `${rows.join('/')} ${this.turn} ${castling} ${this.epSquare} 0 1`;
+    }
+
+    // ==================== RENDERING / VALIDATION ====================
+
+    changed() {
+        this.render();
+        this.validate();
+    }
+
+    render() {
+        this.ui.boardEl.querySelectorAll('.square').forEach(square => {
+            const existingPiece = square.querySelector('.piece');
+            if (existingPiece) existingPiece.remove();
+            square.classList.remove('selected', 'legal-move', 'legal-capture', 'last-move', 'in-check');
+
+            const piece = this.pieces[square.dataset.square];
+            if (piece) square.appendChild(this.ui.createPieceEl(piece));
+        });
+
+        // Controls reflect the current position
+        this.turnEl.value = this.turn;
+        this.panelEl.querySelectorAll('[data-castling]').forEach(box => {
+            box.checked = this.castling[box.dataset.castling];
+        });
+        this.renderEpOptions();
+        if (document.activeElement !== this.fenEl) this.fenEl.value = this.toFen();
+    }
+
+    renderEpOptions() {
+        // En passant target is on the 6th rank when White moves, 3rd when Black moves
+        const rank = this.turn === 'w' ? '6' : '3';
+        const squares = ['-', ...'abcdefgh'.split('').map(file => file + rank)];
+        if (!squares.includes(this.epSquare)) this.epSquare = '-';
+
+        this.epEl.innerHTML = '';
+        for (const square of squares) {
+            const option = document.createElement('option');
+            option.value = square;
+            option.textContent = square === '-' ? 'None' : square;
+            this.epEl.appendChild(option);
+        }
+        this.epEl.value = this.epSquare;
+    }
+
+    async validate() {
+        const requestId = ++this.validationId;
+
+        try {
+            const data = await this.ui.request('/fen', { fen: this.toFen() });
+
+            // A newer edit has been made since this request was sent
+            if (requestId !== this.validationId) return null;
+
+            this.validation = data;
+            if (data.valid) {
+                this.showMessage(['Valid position'], true);
+            } else {
+                this.showMessage(data.errors || [data.error || 'Invalid FEN'], false);
+            }
+            return data;
+        } catch (error) {
+            console.error('Validation failed:', error);
+            this.showMessage(['Could not reach the server to validate the position'], false);
+            return null;
+        }
+    }
+
+    showMessage(lines, isValid) {
+        this.messageEl.innerHTML = '';
+        this.messageEl.className = `editor-message ${isValid ? 'valid' : 'invalid'}`;
+        for (const line of lines) {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.messageEl.appendChild(item);
+        }
+    }
+
+    // ==================== INPUT ====================
+
+    setTool(tool) {
+        this.tool = tool;
+        this.updateToolSelection();
+    }
+
+    updateToolSelection() {
+        this.panelEl.querySelectorAll('[data-tool]').forEach(item => {
+            item.classList.toggle('selected', item.dataset.tool === this.tool);
+        });
+    }
+
+    getPoint(e) {
+        const touch = (e.touches && e.touches[0]) || (e.changedTouches && e.changedTouches[0]);
+        if (touch) return { x: touch.clientX, y: touch.clientY };
+        return { x: e.clientX, y: e.clientY };
+    }
+
+    handleBoardDown(e) {
+        if (!this.active || (e.button !== undefined && e.button !== 0)) return;
+
+        const point = this.getPoint(e);
+        const square = this.ui.getSquareAtPosition(point.x, point.y);
+        if (!square) return;
+        e.preventDefault();
+
+        if (this.tool === 'erase') {
+            delete this.pieces[square];
+            this.changed();
+        } else if (this.tool !== 'move') {
+            // Placing the same piece again removes it
+            const piece = { color: this.tool[0], type: this.tool[1].toLowerCase() };
+            const current = this.pieces[square];
+            if (current && current.color === piece.color && current.type === piece.type) {
+                delete this.pieces[square];
+            } else {
+                this.pieces[square] = piece;
+            }
+            this.changed();
+        } else if (this.pieces[square]) {
+            this.startDrag(this.pieces[square], square, point);
+        }
+    }
+
+    handlePaletteDown(e) {
+        const item = e.target.closest('[data-tool]');
+        if (!item || (e.button !== undefined && e.button !== 0)) return;
+        e.preventDefault();
+
+        this.setTool(item.dataset.tool);
+
+        // Pieces can also be dragged straight from the palette
+        if (item.classList.contains('palette-piece')) {
+            const piece = { color: item.dataset.tool[0], type: item.dataset.tool[1].toLowerCase() };
+            this.startDrag(piece, null, this.getPoint(e));
+        }
+    }
+
+    startDrag(piece, fromSquare, point) {
+        const ghost = document.createElement('div');
+        ghost.className = 'ghost-piece';
+        ghost.style.backgroundImage = `url('${this.ui.getPieceUrl(piece)}')`;
+        ghost.style.left = `${point.x - 35}px`;
+        ghost.style.top = `${point.y - 35}px`;
+        document.body.appendChild(ghost);
+
+        this.drag = { piece, fromSquare, ghost };
+
+        if (fromSquare) {
+            const pieceEl = this.ui.boardEl.querySelector(`[data-square="${fromSquare}"] .piece`);
+            if (pieceEl) pieceEl.classList.add('dragging');
+        }
+    }
+
+    handleDragMove(e) {
+        if (!this.drag) return;
+        if (e.cancelable) e.preventDefault();
+
+        const point = this.getPoint(e);
+        this.drag.ghost.style.left = `${point.x - 35}px`;
+        this.drag.ghost.style.top = `${point.y - 35}px`;
+    }
+
+    handleDragEnd(e) {
+        if (!this.drag) return;
+
+        const { piece, fromSquare } = this.drag;
+        const point = this.getPoint(e);
+        const target = this.ui.getSquareAtPosition(point.x, point.y);
+        this.cancelDrag();
+
+        if (target === fromSquare) {
+            this.render();
+            return;
+        }
+
+        // Dropping outside the board removes a piece that came from the board
+        if (fromSquare) delete this.pieces[fromSquare];
+        if (target) this.pieces[target] = piece;
+
+        if (fromSquare || target) this.changed();
+    }
+
+    cancelDrag() {
+        if (!this.drag) return;
+        this.drag.ghost.remove();
+        this.drag = null;
+    }
+}
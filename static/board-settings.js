@@ -0,0 +1,300 @@
+/**
+ * Board Settings
+ * - Board color themes, piece sets (PNG and SVG), coordinate labels inside/outside the board or off
+ * - Last move and selected square highlight colors, arrow/circle colors, board size
+ * - Piece animation speed and sounds on/off (piece-animator.js, sound-effects.js)
+ * - The ◐ Settings panel changes them live; choices are kept in localStorage
+ * - Constructor options win over stored choices, which win over the defaults; only choices made in the panel are stored
+ */
+
+class BoardSettings {
+    static STORAGE_KEY = 'chess-ui:settings';
+
+    static KEYS = [
+        'boardTheme', 'pieceTheme', 'coordinates', 'boardSize', 'lastMoveColor', 'selectedColor', 'arrowColors',
+        'animationSpeed', 'sound'
+    ];
+
+    static BOARD_THEMES = {
+        brown: { name: 'Brown', light: '#f0d9b5', dark: '#b58863', lastMove: ['#cdd26a', '#aaa23a'], selected: '#829769' },
+        blue: { name: 'Blue', light: '#dee3e6', dark: '#8ca2ad', lastMove: ['#c3d887', '#92b166'], selected: '#6c9ec2' },
+        green: { name: 'Green', light: '#ffffdd', dark: '#86a666', lastMove: ['#f6f669', '#baca2b'], selected: '#5d8fb0' },
+        gray: { name: 'Gray', light: '#dcdcdc', dark: '#9e9e9e', lastMove: ['#d9d97b', '#b3b34d'], selected: '#7b9cb3' },
+        purple: { name: 'Purple', light: '#ece4f4', dark: '#9d80bb', lastMove: ['#ddd37a', '#b9a847'], selected: '#7f9f6c' }
+    };
+
+    // Folders under pieceBaseUrl, each with wK, wQ, ... bP images
+    static PIECE_SETS = {
+        wikipedia: { name: 'Wikipedia', format: 'png' },
+        unicode: { name: 'Unicode', format: 'svg' },
+        letters: { name: 'Letters', format: 'svg' }
+    };
+
+    static COORDINATES = { inside: 'Inside', outside: 'Outside', none: 'Off' };
+
+    // Board widths offered in the panel; '' follows the window
+    static BOARD_SIZES = ['', 320, 400, 480, 560, 640, 720];
+
+    // Milliseconds a moving piece takes
+    static ANIMATION_SPEEDS = { 0: 'Off', 100: 'Fast', 200: 'Normal', 400: 'Slow' };
+
+    // Display colors of the arrow/circle color names used in PGN ([%cal Gb1c3]) and events
+    static ARROW_COLORS = { Green: '#15783c', Orange: '#ffaa00', Red: '#c82832', Blue: '#3278c8' };
+
+    // Panel labels: the modifier key that draws in each color
+    static ARROW_LABELS = { Green: 'Arrows', Orange: 'Shift', Red: 'Ctrl', Blue: 'Alt' };
+
+    constructor(ui, options = {}) {
+        this.ui = ui;
+        this.options = options;     // Settings forced by the page; "Restore Defaults" keeps them
+        this.values = this.initialValues(options);
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.settingsPanel;
+        this.openBtn = refs.settingsBtn;
+        this.resetBtn = refs.settingsResetBtn;
+    }
+
+    initialValues(options) {
+        const stored = BoardSettings.load();
+        const values = {};
+        for (const key of BoardSettings.KEYS) {
+            values[key] = key in options ? options[key] : key in stored ? stored[key] : ChessUI.DEFAULT_OPTIONS[key];
+        }
+        // Arrow colors are chosen one by one, so options and storage are merged color by color
+        values.arrowColors = { ...stored.arrowColors, ...options.arrowColors };
+        return BoardSettings.normalize(values);
+    }
+
+    // Unknown themes, sets and sizes fall back to the defaults instead of breaking the board
+    static normalize(values) {
+        const defaults = ChessUI.DEFAULT_OPTIONS;
+        const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        const size = parseInt(values.boardSize, 10);
+        const speed = parseInt(values.animationSpeed, 10);
+        const arrowColors = {};
+        for (const [name, color] of Object.entries(values.arrowColors || {})) {
+            if (name in BoardSettings.ARROW_COLORS && isColor(color)) arrowColors[name] = color;
+        }
+
+        return {
+            boardTheme: values.boardTheme in BoardSettings.BOARD_THEMES ? values.boardTheme : defaults.boardTheme,
+            // Custom sets are allowed, as long as their PNGs are under pieceBaseUrl
+            pieceTheme: typeof values.pieceTheme === 'string' && values.pieceTheme ? values.pieceTheme : defaults.pieceTheme,
+            coordinates: values.coordinates in BoardSettings.COORDINATES ? values.coordinates : defaults.coordinates,
+            boardSize: size >= 160 ? size : null,
+            lastMoveColor: isColor(values.lastMoveColor) ? values.lastMoveColor : null,
+            selectedColor: isColor(values.selectedColor) ? values.selectedColor : null,
+            arrowColors,
+            animationSpeed: speed >= 0 ? Math.min(speed, 2000) : defaults.animationSpeed,
+            sound: values.sound === undefined ? defaults.sound : Boolean(values.sound)
+        };
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.openBtn, 'click', () => this.panelEl.classList.toggle('hidden'));
+        listen(this.resetBtn, 'click', () => this.reset());
+        listen(this.panelEl, 'change', (e) => {
+            const input = e.target;
+            if (input.dataset.setting) {
+                this.set({ [input.dataset.setting]: input.value });
+            } else if (input.dataset.arrowColor) {
+                this.set({ arrowColors: { [input.dataset.arrowColor]: input.value } });
+            }
+        });
+        this.renderPanel();
+    }
+
+    // ==================== APPLY ====================
+
+    // Push the values to the board: CSS variables, coordinate labels, piece images, annotation colors
+    apply() {
+        const ui = this.ui;
+        const values = this.values;
+        const theme = BoardSettings.BOARD_THEMES[values.boardTheme];
+        const style = ui.container.style;
+
+        style.setProperty('--light-square', theme.light);
+        style.setProperty('--dark-square', theme.dark);
+        style.setProperty('--last-move-light', values.lastMoveColor || theme.lastMove[0]);
+        style.setProperty('--last-move-dark', values.lastMoveColor || theme.lastMove[1]);
+        style.setProperty('--selected-square', values.selectedColor || theme.selected);
+        if (values.boardSize) {
+            style.setProperty('--board-size', `min(85vw, ${values.boardSize}px)`);
+        } else {
+            style.removeProperty('--board-size');
+        }
+
+        ui.pieceTheme = values.pieceTheme;
+        for (const [name, color] of Object.entries(this.arrowColors())) {
+            ui.colorValues[name] = BoardSettings.rgba(color, 0.8);
+        }
+
+        ui.boardEl.classList.toggle('coords-inside', values.coordinates === 'inside');
+        ui.boardEl.classList.toggle('coords-outside', values.coordinates === 'outside');
+        this.renderCoordinates();
+    }
+
+    // Change some settings, show them and remember them; arrowColors changes only the colors it names
+    set(changes) {
+        const arrowColors = { ...this.values.arrowColors, ...changes.arrowColors };
+        this.values = BoardSettings.normalize({ ...this.values, ...changes, arrowColors });
+        this.save(changes);
+        this.refresh();
+    }
+
+    reset() {
+        try {
+            localStorage.removeItem(BoardSettings.STORAGE_KEY);
+        } catch (error) {
+            // Nothing was stored then
+        }
+        this.values = this.initialValues(this.options);
+        this.refresh();
+    }
+
+    refresh() {
+        const ui = this.ui;
+        this.apply();
+        ui.refreshPieceImages();
+        ui.renderAnnotations();
+        ui.sounds.render();
+        this.renderPanel();
+    }
+
+    arrowColors() {
+        return { ...BoardSettings.ARROW_COLORS, ...this.values.arrowColors };
+    }
+
+    // File letters along the bottom edge and rank numbers along the left edge, as the board is shown
+    renderCoordinates() {
+        const ui = this.ui;
+        for (const label of ui.boardEl.querySelectorAll('.coord')) label.remove();
+        if (this.values.coordinates === 'none') return;
+
+        const leftFile = ui.isFlipped ? 'h' : 'a';
+        const bottomRank = ui.isFlipped ? '8' : '1';
+        for (const squareEl of ui.boardEl.querySelectorAll('.square')) {
+            const [file, rank] = squareEl.dataset.square;
+            if (file === leftFile) squareEl.appendChild(BoardSettings.coordLabel('coord-rank', rank));
+            if (rank === bottomRank) squareEl.appendChild(BoardSettings.coordLabel('coord-file', file));
+        }
+    }
+
+    static coordLabel(className, text) {
+        const label = document.createElement('span');
+        label.className = `coord ${className}`;
+        label.textContent = text;
+        // Squares already carry their name in aria-label
+        label.setAttribute('aria-hidden', 'true');
+        return label;
+    }
+
+    // ==================== PANEL ====================
+
+    renderPanel() {
+        if (!this.panelEl) return;
+
+        for (const input of this.panelEl.querySelectorAll('[data-setting]')) {
+            const key = input.dataset.setting;
+            const value = this.values[key];
+            // Sizes, speeds and piece sets given as options need not be in the list
+            if (input.tagName === 'SELECT' && value !== null && !input.querySelector(`option[value="${value}"]`)) {
+                const units = { boardSize: 'px', animationSpeed: ' ms' };
+                input.add(new Option(`${value}${units[key] || ''}`, value));
+            }
+            input.value = value ?? this.themeColor(key) ?? '';
+        }
+        const arrowColors = this.arrowColors();
+        for (const input of this.panelEl.querySelectorAll('[data-arrow-color]')) {
+            input.value = arrowColors[input.dataset.arrowColor];
+        }
+    }
+
+    // Color the theme uses while the user has not picked one
+    themeColor(key) {
+        const theme = BoardSettings.BOARD_THEMES[this.values.boardTheme];
+        if (key === 'lastMoveColor') return theme.lastMove[0];
+        if (key === 'selectedColor') return theme.selected;
+        return null;
+    }
+
+    // Panel markup for ChessUI.template
+    static template() {
+        const options = (choices, label = value => value) => Object.entries(choices)
+            .map(([value, choice]) => `<option value="${value}">${label(choice)}</option>`).join('');
+
+        return `
+                <div class="settings-panel hidden" data-ref="settingsPanel">
+                    <div class="editor-options">
+                        <label>Board
+                            <select data-setting="boardTheme">${options(BoardSettings.BOARD_THEMES, theme => theme.name)}</select>
+                        </label>
+                        <label>Pieces
+                            <select data-setting="pieceTheme">${options(BoardSettings.PIECE_SETS, set => set.name)}</select>
+                        </label>
+                        <label>Coordinates
+                            <select data-setting="coordinates">${options(BoardSettings.COORDINATES)}</select>
+                        </label>
+                        <label>Size
+                            <select data-setting="boardSize">
+                                ${BoardSettings.BOARD_SIZES.map(size =>
+                                    `<option value="${size}">${size ? `${size}px` : 'Fit window'}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Animation
+                            <select data-setting="animationSpeed">${options(BoardSettings.ANIMATION_SPEEDS)}</select>
+                        </label>
+                    </div>
+                    <div class="editor-options">
+                        <label>Last move <input type="color" data-setting="lastMoveColor"></label>
+                        <label>Selected <input type="color" data-setting="selectedColor"></label>
+                        ${Object.entries(BoardSettings.ARROW_LABELS).map(([color, label]) =>
+                            `<label>${label} <input type="color" data-arrow-color="${color}"></label>`).join('')}
+                    </div>
+                    <div class="buttons">
+                        <button class="btn btn-reset" data-ref="settingsResetBtn">Restore Defaults</button>
+                    </div>
+                </div>`;
+    }
+
+    // ==================== STORAGE ====================
+
+    // Only the settings the user changed are stored, so values forced by constructor options stay out of storage
+    save(changes) {
+        const stored = BoardSettings.load();
+        for (const key of Object.keys(changes)) {
+            if (key === 'arrowColors') {
+                // Just the colors picked, not the others the board shows (which may come from options)
+                stored.arrowColors = { ...stored.arrowColors };
+                for (const name of Object.keys(changes.arrowColors || {})) {
+                    if (name in this.values.arrowColors) stored.arrowColors[name] = this.values.arrowColors[name];
+                }
+            } else {
+                stored[key] = this.values[key];
+            }
+        }
+        try {
+            localStorage.setItem(BoardSettings.STORAGE_KEY, JSON.stringify(stored));
+        } catch (error) {
+            // Private mode etc.: the settings last until the page is closed
+        }
+    }
+
+    static load() {
+        try {
+            return JSON.parse(localStorage.getItem(BoardSettings.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static rgba(hex, alpha) {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+}
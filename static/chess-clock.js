@@ -0,0 +1,191 @@
+/**
+ * Chess Clock
+ * - Time controls with stages, Fischer increment, simple (US) delay and Bronstein delay
+ * - Pure timing logic, no DOM; clock.py implements the same rules on the server
+ *
+ * Time control text: stages separated by commas, each "[moves/]minutes[+increment]",
+ * optionally followed by " d<seconds>" (simple delay) or " b<seconds>" (Bronstein delay).
+ *   "5+3"           5 minutes, 3 seconds per move
+ *   "40/90+30, 30+30" 90 minutes for 40 moves, then 30 more for the rest, 30 s per move throughout
+ *   "40/120"        120 minutes for every 40 moves (a last stage with a move count repeats)
+ *   "5 d5"          5 minutes with a 5 second simple delay
+ */
+
+class ChessClock {
+    static PRESETS = [
+        { name: 'Bullet 1+0', text: '1+0' },
+        { name: 'Bullet 2+1', text: '2+1' },
+        { name: 'Blitz 3+2', text: '3+2' },
+        { name: 'Blitz 5+0', text: '5+0' },
+        { name: 'Rapid 10+5', text: '10+5' },
+        { name: 'Rapid 15+10', text: '15+10' },
+        { name: 'Classical 40/90+30, 30+30', text: '40/90+30, 30+30' },
+        { name: 'Blitz 5 with 3 s delay', text: '5 d3' },
+        { name: 'Blitz 5 with 3 s Bronstein', text: '5 b3' }
+    ];
+
+    // Below this much time left the display shows tenths of a second
+    static LOW_TIME = 10000;
+
+    constructor(control) {
+        this.control = control;
+        const time = control.stages[0].time * 1000;
+
+        this.remaining = { w: time, b: time };  // Time banked before the running turn, in ms
+        this.movesMade = { w: 0, b: 0 };
+        this.stage = { w: 0, b: 0 };
+        this.running = null;                    // Color whose clock runs, 'w' | 'b'
+        this.turnStart = null;
+        this.flagged = null;
+    }
+
+    static parse(text) {
+        const match = /^\s*(.+?)(?:\s+([db])\s*(\d+(?:\.\d+)?))?\s*$/i.exec(text || '');
+        if (!match) throw new Error('Empty time control');
+
+        const stages = match[1].split(',').map(part => {
+            const stage = /^\s*(?:(\d+)\s*\/\s*)?(\d+(?:\.\d+)?)\s*(?:\+\s*(\d+(?:\.\d+)?))?\s*$/.exec(part);
+            if (!stage) throw new Error(`Invalid time control "${part.trim()}"`);
+            return {
+                time: parseFloat(stage[2]) * 60,
+                moves: stage[1] ? parseInt(stage[1], 10) : null,
+                increment: stage[3] ? parseFloat(stage[3]) : 0
+            };
+        });
+        if (stages.some(stage => stage.moves === 0) || stages[0].time <= 0) {
+            throw new Error('Invalid time control');
+        }
+        // Only the last stage may run for the rest of the game
+        if (stages.slice(0, -1).some(stage => stage.moves === null)) {
+            throw new Error('Only the last stage can be without a move count');
+        }
+
+        const delay = match[3] ? parseFloat(match[3]) : 0;
+        const delayType = !delay ? null : match[2].toLowerCase() === 'd' ? 'simple' : 'bronstein';
+        return { text: text.trim(), stages, delay, delay_type: delayType };
+    }
+
+    elapsed(now = Date.now()) {
+        return this.running ? now - this.turnStart : 0;
+    }
+
+    // Time the running turn has cost so far (a simple delay is free)
+    charge(elapsed) {
+        if (this.control.delay_type === 'simple') return Math.max(0, elapsed - this.control.delay * 1000);
+        return elapsed;
+    }
+
+    timeLeft(color, now = Date.now()) {
+        if (color !== this.running) return this.remaining[color];
+        return this.remaining[color] - this.charge(this.elapsed(now));
+    }
+
+    start(color, now = Date.now()) {
+        this.running = color;
+        this.turnStart = now;
+    }
+
+    stop(now = Date.now()) {
+        if (!this.running) return;
+        this.remaining[this.running] = this.timeLeft(this.running, now);
+        this.running = null;
+    }
+
+    // The given color completed a move; returns false if its flag fell first
+    press(color, now = Date.now()) {
+        if (this.flagged) return false;
+        if (this.running !== color) {
+            // First move of the game: it costs no time but counts as a move and earns the increment,
+            // then the clock starts for the other side
+            this.bank(color, this.remaining[color], 0);
+            this.start(color === 'w' ? 'b' : 'w', now);
+            return true;
+        }
+
+        const elapsed = this.elapsed(now);
+        const left = this.remaining[color] - this.charge(elapsed);
+        if (left <= 0) {
+            this.remaining[color] = 0;
+            this.flagged = color;
+            this.running = null;
+            return false;
+        }
+
+        this.bank(color, left, elapsed);
+        this.start(color === 'w' ? 'b' : 'w', now);
+        return true;
+    }
+
+    // Store the time left after a move, with its increment, Bronstein delay and the next stage's time
+    bank(color, left, elapsed) {
+        const control = this.control;
+        const stage = control.stages[this.stage[color]];
+        if (control.delay_type === 'bronstein') left += Math.min(elapsed, control.delay * 1000);
+        left += stage.increment * 1000;
+
+        this.movesMade[color]++;
+        const next = this.nextStage(color);
+        if (next !== null) {
+            this.stage[color] = next;
+            left += control.stages[next].time * 1000;
+        }
+        this.remaining[color] = left;
+    }
+
+    // Stage that adds its time after this move (a last stage with a move count repeats), or null
+    nextStage(color) {
+        const stages = this.control.stages;
+        const current = this.stage[color];
+        const stageMoves = stages[current].moves;
+        if (stageMoves === null) return null;
+
+        // Moves made before the current stage began
+        const before = stages.slice(0, current).reduce((sum, stage) => sum + stage.moves, 0);
+        if ((this.movesMade[color] - before) % stageMoves !== 0) return null;
+        return current < stages.length - 1 ? current + 1 : current;
+    }
+
+    // Color whose time has run out, if any
+    checkFlag(now = Date.now()) {
+        if (!this.flagged && this.running && this.timeLeft(this.running, now) <= 0) {
+            this.remaining[this.running] = 0;
+            this.flagged = this.running;
+            this.running = null;
+        }
+        return this.flagged;
+    }
+
+    toJSON(now = Date.now()) {
+        const seconds = ms => Math.round(ms / 100) / 10;
+        const color = c => (c === 'w' ? 'white' : c === 'b' ? 'black' : null);
+        return {
+            control: this.control,
+            white: seconds(this.remaining.w),
+            black: seconds(this.remaining.b),
+            running: color(this.running),
+            elapsed: seconds(this.elapsed(now)),
+            flagged: color(this.flagged)
+        };
+    }
+
+    // Display-only copy of a clock reported by the server
+    static fromJSON(json, now = Date.now()) {
+        const clock = new ChessClock(json.control);
+        clock.remaining = { w: json.white * 1000, b: json.black * 1000 };
+        clock.flagged = json.flagged ? json.flagged[0] : null;
+        if (json.running) clock.start(json.running[0], now - json.elapsed * 1000);
+        return clock;
+    }
+
+    static format(ms) {
+        ms = Math.max(0, ms);
+        const totalSeconds = ms < ChessClock.LOW_TIME ? ms / 1000 : Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        const pad = n => String(Math.floor(n)).padStart(2, '0');
+        if (ms < ChessClock.LOW_TIME) return `${pad(minutes)}:${seconds.toFixed(1).padStart(4, '0')}`;
+        return hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+    }
+}
@@ -1,24 +1,104 @@
 /**
  * Minimal Chess UI
+ * - Reusable component: new ChessUI(container, options), several per page
  * - Click-click and drag-drop move input
+ * - Promotion piece picker
  * - Legal move highlighting
  * - Last move highlighting  
  * - Check/checkmate indicators
  * - Board flipping
- * - Lichess-style arrow/circle annotations
+ * - Lichess-style arrow/circle annotations, comments and move glyphs (!, ?, ±, ...), kept per move
+ * - Drawing on touch screens and with a pen, square highlights and ghost pieces, undo/redo (draw-tools.js)
+ * - Move history with navigation and variations
+ * - PGN import/export
+ * - Position setup editor
+ * - Engine analysis with evaluation bar and best-move arrows
+ * - Coaching overlays: attacked squares, hanging pieces, pins and king escape squares (insight-overlays.js)
+ * - Play against the computer
+ * - Online two-player games with shareable join links
+ * - Chess clocks with increment, delay and multi-stage time controls
+ * - Variants: Chess960, King of the Hill, Three-check and Atomic (rules from the server)
+ * - Puzzle trainer with hints and per-puzzle progress
+ * - Opening explorer over the server's game collection, with ECO opening names
+ * - Premoves while the computer or online opponent is to move
+ * - Keyboard and screen reader support: focus cursor, typed moves, spoken moves and status
+ * - Library of saved games and studies on the server, with autosave of the game on the board
+ * - Board themes, piece sets, coordinates, highlight and arrow colors and board size (board-settings.js)
+ * - Animated piece movement and sound effects for moves, captures, checks, game end and low time
+ * - Every draw rule (repetitions from the move history, 50/75 moves), draw claims and offers, resignation
+ * - Keeps playing with the local rules while the server is down, and resyncs the moves once it is back
+ * - Download a PNG of the position with its arrows and circles, drawn by the server
+ * - Events via on()/off(): move, select, annotate, annotationsChanged, commentChanged, gameOver, connectionChanged
  */
 
 class ChessUI {
-    constructor() {
-        // Game state
-        this.game = new Chess();
+    // Most moves sent with one request (rules.MAX_HISTORY); longer games send their last part
+    static MAX_HISTORY = 2000;
+
+    // Width of downloaded board images when the board follows the window (boardSize setting unset)
+    static IMAGE_SIZE = 480;
+
+    static DEFAULT_OPTIONS = {
+        fen: null,                  // Initial position, standard start if omitted
+        orientation: 'white',       // 'white' | 'black'
+        boardTheme: 'brown',        // Key of BoardSettings.BOARD_THEMES
+        pieceTheme: 'wikipedia',    // Folder under pieceBaseUrl, see BoardSettings.PIECE_SETS
+        pieceBaseUrl: 'img/chesspieces',
+        coordinates: 'inside',      // 'inside' | 'outside' | 'none'
+        boardSize: null,            // Board width in pixels, null to fit the window
+        lastMoveColor: null,        // '#rrggbb' highlight colors, null for the board theme's
+        selectedColor: null,
+        arrowColors: null,          // { Green: '#rrggbb', ... } display colors of the annotation colors
+        animationSpeed: 200,        // Milliseconds per piece move, 0 for none
+        sound: true,                // Move, capture, check, game end and low time sounds
+        movableColors: 'both',      // 'both' | 'white' | 'black' | 'none'
+        readOnly: false,
+        serverUrl: '',              // Base URL of the rules API, '' for same origin
+        useServer: true,            // false validates moves locally with chess.js, never asking the server
+        controls: true,             // Panels rendered when ChessUI builds its own markup
+        movesPanel: true,
+        statePanel: true,
+        game: null,                 // Online game ID to join (see online-game.js)
+        variant: 'standard',        // Key of VariantGame.VARIANTS
+        premoves: 1,                // Moves that can be queued on the opponent's turn, 0 for none
+        autosave: true              // Keep the game in the library as it changes, reopen it after a reload
+    };
+
+    // Instance that receives keyboard shortcuts when several boards share a page
+    static activeInstance = null;
+
+    constructor(container, options = {}) {
+        if (typeof container === 'string') container = document.querySelector(container);
+        if (!container) throw new Error('ChessUI needs a container element');
+
+        this.container = container;
+        this.options = { ...ChessUI.DEFAULT_OPTIONS, ...options };
+        this.serverUrl = this.options.serverUrl.replace(/\/$/, '');
+        this.useServer = this.options.useServer;
+
+        // Game state (chess.js for standard chess, server rules for variants)
+        this.game = new VariantGame(this.options.variant);
         this.selectedSquare = null;
         this.legalMoves = [];
         this.lastMove = null;
         this.isFlipped = false;
+        this.readOnly = false;
+        this.movableColors = ['w', 'b'];
+        this.pendingPromotion = null;
+        this.claimableDraw = null;  // 'threefold_repetition' | 'fifty_moves' the side to move may claim
 
-        // Theme config
-        this.pieceTheme = 'wikipedia';
+        // Event listeners registered through on()
+        this.listeners = {};
+
+        // DOM listeners, tracked so destroy() can remove them
+        this.domListeners = [];
+
+        // Move history (game tree with variations)
+        this.tree = new MoveTree(this.game.fen());
+        this.currentNode = this.tree.root;
+
+        // Theme config, replaced by the user's settings in init()
+        this.pieceTheme = this.options.pieceTheme;
 
         // Drag state (left-click piece movement)
         this.isDragging = false;
@@ -26,16 +106,16 @@ class ChessUI {
         this.dragStartSquare = null;
         this.ghostPiece = null;
 
-        // Annotation state (right-click arrows/circles)
-        this.annotations = { arrows: [], circles: [] };
+        // Annotation state (right-click or Draw mode strokes), owned by the current tree node
+        this.annotations = this.currentNode.annotations;
         this.drawingState = {
             isDrawing: false,
             startSquare: null,
             currentSquare: null,
             modifiers: { shift: false, ctrl: false, alt: false }
         };
+        // Colors of modifier keys held while drawing; without one the toolbar's color is used
         this.annotationColors = {
-            default: 'Green',
             shift: 'Orange',
             ctrl: 'Red',
             alt: 'Blue'
@@ -48,27 +128,469 @@ class ChessUI {
             'Blue': 'rgba(50, 120, 200, 0.8)'
         };
 
-        // DOM elements
-        this.boardEl = document.getElementById('board');
-        this.drawingLayer = document.getElementById('drawing-layer');
-        this.statusEl = document.getElementById('status');
-        this.flipBtn = document.getElementById('flip-btn');
-        this.resetBtn = document.getElementById('reset-btn');
-        this.stateJsonEl = document.getElementById('state-json');
+        // DOM elements - custom markup is used as-is, otherwise the default layout is built
+        this.ownsMarkup = !container.querySelector('[data-ref="board"]');
+        if (this.ownsMarkup) container.innerHTML = ChessUI.template(this.options);
+
+        this.refs = {};
+        container.querySelectorAll('[data-ref]').forEach(el => {
+            this.refs[el.dataset.ref] = el;
+        });
+        this.boardEl = this.refs.board;
+        this.drawingLayer = this.refs.drawingLayer;
+        this.statusEl = this.refs.status;
+        this.resetBtn = this.refs.resetBtn;
+        this.stateJsonEl = this.refs.stateJson;
+        this.moveListEl = this.refs.moveList;
+        this.pgnDialogEl = this.refs.pgnDialog;
+        this.pgnTextEl = this.refs.pgnText;
+        this.pgnErrorEl = this.refs.pgnError;
+
+        // Comment and glyphs of the current move
+        this.comments = new CommentEditor(this);
+
+        // Draw mode, annotation color and shape, undo of strokes
+        this.drawTools = new DrawTools(this);
+
+        // Position setup editor (takes over board input while active)
+        this.editor = new BoardEditor(this);
+
+        // Engine analysis panel (inactive until switched on)
+        this.analysis = new EngineAnalysis(this);
+
+        // Coaching overlays panel (inactive until switched on)
+        this.insights = new InsightOverlays(this);
+
+        // Computer opponent (replies for one side when a game against it is running)
+        this.opponent = new ComputerOpponent(this);
+
+        // Online game session (server-authoritative while joined)
+        this.online = new OnlineGame(this);
+
+        // Moves entered while the opponent is to move, played on the user's turn
+        this.premoves = new PremoveQueue(this);
+
+        // Clocks (local time control, or the server's clock in online games)
+        this.clockPanel = new ClockPanel(this);
+
+        // Tactics puzzles (checks the user's moves while a puzzle is open)
+        this.puzzle = new PuzzleTrainer(this);
+
+        // Opening explorer panel (inactive until switched on)
+        this.explorer = new OpeningExplorer(this);
+
+        // Keyboard input, square labels and announcements for screen readers
+        this.accessibility = new BoardAccessibility(this);
+
+        // Saved games and studies, autosave of the game on the board
+        this.library = new LibraryPanel(this);
+
+        // Theme, pieces and colors; explicit options override what the user picked
+        this.settings = new BoardSettings(this, options);
+
+        // Piece elements kept in sync with the position, moves animated
+        this.animator = new PieceAnimator(this);
+
+        // Move, capture, check, game end and low time sounds
+        this.sounds = new SoundEffects(this);
+
+        // Draw claims and offers, resignation
+        this.gameResult = new GameResult(this);
 
-        this.init();
+        // Local rules while the server is unreachable, resync once it answers again
+        this.connection = new ServerConnection(this);
+
+        ChessUI.activeInstance = this;
+        this.ready = this.init();
+    }
+
+    static template(options) {
+        const controls = `
+            <div class="controls">
+                <div class="status" data-ref="status">White to move</div>
+                <div class="connection" data-ref="connection" role="status" hidden></div>
+                <div class="move-input">
+                    <input type="text" data-ref="moveInput" aria-label="Type a move or command" spellcheck="false"
+                        autocomplete="off" placeholder="Type a move (Nf3, g1f3), &quot;pieces&quot; or &quot;help&quot;">
+                    <div class="editor-message" data-ref="moveInputMessage"></div>
+                </div>
+                <div class="buttons">
+                    <button class="btn" data-action="flip">⟳ Flip Board</button>
+                    <button class="btn" data-ref="editBtn">✎ Edit Board</button>
+                    <button class="btn btn-reset" data-ref="resetBtn" data-action="reset">↺ Reset Game</button>
+                    <button class="btn" data-ref="analysisBtn">⚙ Analyze</button>
+                    <button class="btn" data-ref="insightsBtn">◎ Insights</button>
+                    <button class="btn" data-ref="computerBtn">♚ Play Computer</button>
+                    <button class="btn" data-ref="onlineBtn">⇄ Play Online</button>
+                    <button class="btn" data-ref="clockBtn">◷ Clock</button>
+                    <button class="btn" data-ref="puzzleBtn">✦ Puzzles</button>
+                    <button class="btn" data-ref="explorerBtn">☰ Explorer</button>
+                    <button class="btn" data-ref="libraryBtn">▤ Library</button>
+                    <button class="btn" data-ref="settingsBtn">◐ Settings</button>
+                    <button class="btn" data-ref="soundBtn">🔊 Sound</button>
+                </div>
+                <div class="buttons result-buttons" data-ref="resultButtons">
+                    <button class="btn" data-result="claim" hidden>½ Claim Draw</button>
+                    <button class="btn" data-result="offer" hidden>½ Offer Draw</button>
+                    <button class="btn" data-result="accept" hidden>Accept Draw</button>
+                    <button class="btn" data-result="decline" hidden>Decline Draw</button>
+                    <button class="btn btn-reset" data-result="resign" hidden>⚑ Resign</button>
+                </div>
+                <div class="analysis-info" data-ref="resultInfo"></div>
+                <div class="editor-options variant-options" data-ref="variantOptions">
+                    <label>Variant
+                        <select data-ref="variantSelect">
+                            ${Object.entries(VariantGame.VARIANTS).map(([key, variant]) =>
+                                `<option value="${key}"${key === options.variant ? ' selected' : ''}>${variant.name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label data-ref="chess960StartLabel" hidden>Start position
+                        <input type="number" data-ref="chess960Start" min="0" max="959" placeholder="Random">
+                    </label>
+                </div>
+                <div class="puzzle-panel hidden" data-ref="puzzlePanel">
+                    <div class="editor-options">
+                        <label>Theme
+                            <select data-ref="puzzleTheme">
+                                <option value="">All themes</option>
+                            </select>
+                        </label>
+                        <label>Rating
+                            <input type="number" data-ref="puzzleMinRating" min="0" max="4000" step="100" placeholder="Min">
+                            –
+                            <input type="number" data-ref="puzzleMaxRating" min="0" max="4000" step="100" placeholder="Max">
+                        </label>
+                    </div>
+                    <div class="analysis-info" data-ref="puzzleInfo"></div>
+                    <div class="analysis-info" data-ref="puzzleStats"></div>
+                    <div class="buttons">
+                        <button class="btn" data-ref="puzzleNextBtn">Next Puzzle</button>
+                        <button class="btn" data-ref="puzzleHintBtn" hidden>Hint</button>
+                        <button class="btn" data-ref="puzzleSolutionBtn" hidden>Show Solution</button>
+                        <button class="btn btn-reset" data-ref="puzzleStopBtn" hidden>Stop</button>
+                    </div>
+                </div>
+                <div class="clock-panel hidden" data-ref="clockPanel">
+                    <div class="editor-options">
+                        <label>Time control
+                            <select data-ref="clockPreset"></select>
+                        </label>
+                        <input class="clock-custom" data-ref="clockCustom" type="text" spellcheck="false"
+                            placeholder="e.g. 5+3, 40/90+30, 30+30 or 5 d3" hidden>
+                    </div>
+                    <div class="editor-message invalid" data-ref="clockMessage"></div>
+                    <div class="buttons">
+                        <button class="btn" data-ref="clockStartBtn">Set Clock</button>
+                        <button class="btn btn-reset" data-ref="clockStopBtn">Remove Clock</button>
+                    </div>
+                </div>
+                <div class="online-panel hidden" data-ref="onlinePanel">
+                    <div class="editor-options online-create">
+                        <label>Play as
+                            <select data-ref="onlineColor">
+                                <option value="white">White</option>
+                                <option value="black">Black</option>
+                                <option value="random">Random</option>
+                            </select>
+                        </label>
+                        <label>Time
+                            <select data-ref="onlineTime"></select>
+                        </label>
+                        <button class="btn" data-ref="onlineCreateBtn">Create Game</button>
+                    </div>
+                    <div class="analysis-info" data-ref="onlineInfo"></div>
+                    <input class="editor-fen online-link" data-ref="onlineLink" type="text" readonly placeholder="Join link appears here">
+                    <div class="buttons" data-ref="onlineGameButtons">
+                        <button class="btn" data-online="draw_offer" hidden>½ Offer Draw</button>
+                        <button class="btn" data-online="draw_claim" hidden>½ Claim Draw</button>
+                        <button class="btn" data-online="draw_accept" hidden>Accept Draw</button>
+                        <button class="btn" data-online="draw_decline" hidden>Decline Draw</button>
+                        <button class="btn" data-online="rematch_offer" hidden>Rematch</button>
+                        <button class="btn" data-online="rematch_accept" hidden>Accept Rematch</button>
+                        <button class="btn" data-online="rematch_decline" hidden>Decline Rematch</button>
+                        <button class="btn btn-reset" data-online="resign" hidden>⚑ Resign</button>
+                        <button class="btn btn-reset" data-online="leave" hidden>Leave</button>
+                    </div>
+                </div>
+                <div class="computer-panel hidden" data-ref="computerPanel">
+                    <div class="editor-options">
+                        <label>Play as
+                            <select data-ref="computerColor">
+                                <option value="white">White</option>
+                                <option value="black">Black</option>
+                                <option value="random">Random</option>
+                            </select>
+                        </label>
+                        <label>Level
+                            <select data-ref="computerLevel">
+                                ${[1, 2, 3, 4, 5, 6, 7, 8].map(level =>
+                                    `<option value="${level}"${level === 4 ? ' selected' : ''}>${level}</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="buttons">
+                        <button class="btn" data-ref="computerStartBtn">New Game</button>
+                        <button class="btn btn-reset" data-ref="computerStopBtn">Stop</button>
+                    </div>
+                </div>
+                <div class="analysis-panel hidden" data-ref="analysisPanel">
+                    <div class="editor-options">
+                        <label>Depth
+                            <select data-ref="analysisDepth">
+                                <option value="10">10</option>
+                                <option value="14" selected>14</option>
+                                <option value="18">18</option>
+                                <option value="22">22</option>
+                            </select>
+                        </label>
+                        <label>Lines
+                            <select data-ref="analysisMultipv">
+                                <option value="1">1</option>
+                                <option value="2">2</option>
+                                <option value="3" selected>3</option>
+                            </select>
+                        </label>
+                        <span class="analysis-info" data-ref="analysisInfo"></span>
+                    </div>
+                    <div class="analysis-lines" data-ref="analysisLines"></div>
+                </div>
+                <div class="insights-panel hidden" data-ref="insightsPanel">
+                    <div class="editor-options" data-ref="insightsOptions"></div>
+                    <div class="analysis-info" data-ref="insightsInfo"></div>
+                </div>
+                <div class="explorer-panel hidden" data-ref="explorerPanel">
+                    <div class="explorer-opening" data-ref="explorerOpening"></div>
+                    <div class="analysis-info" data-ref="explorerInfo"></div>
+                    <div class="explorer-moves" data-ref="explorerMoves"></div>
+                    <div class="explorer-games" data-ref="explorerGames"></div>
+                </div>
+                <div class="library-panel hidden" data-ref="libraryPanel">
+                    <div class="editor-options">
+                        <input type="text" data-ref="libraryName" aria-label="Name" placeholder="Name" maxlength="200">
+                        <button class="btn" data-ref="librarySaveBtn">Save</button>
+                        <button class="btn" data-ref="libraryStudyBtn">New Study</button>
+                        <button class="btn" data-ref="libraryChapterBtn" disabled>Add Chapter</button>
+                        <a class="btn" data-ref="libraryExport" download="library.pgn">⇩ Export All</a>
+                    </div>
+                    <div class="analysis-info" data-ref="libraryInfo"></div>
+                    <div class="library-list" data-ref="libraryList"></div>
+                </div>
+                ${BoardSettings.template()}
+                <div class="editor-panel hidden" data-ref="editorPanel">
+                    <div class="editor-palette" data-ref="editorPalette">
+                        <div class="palette-item palette-tool" data-tool="move" title="Move pieces">✋</div>
+                        <div class="palette-item palette-tool" data-tool="erase" title="Erase pieces">✕</div>
+                    </div>
+                    <div class="editor-options">
+                        <label>Side to move
+                            <select data-ref="editorTurn">
+                                <option value="w">White</option>
+                                <option value="b">Black</option>
+                            </select>
+                        </label>
+                        <label>En passant
+                            <select data-ref="editorEp"></select>
+                        </label>
+                    </div>
+                    <div class="editor-options">
+                        <span>Castling</span>
+                        <label><input type="checkbox" data-castling="K"> White O-O</label>
+                        <label><input type="checkbox" data-castling="Q"> White O-O-O</label>
+                        <label><input type="checkbox" data-castling="k"> Black O-O</label>
+                        <label><input type="checkbox" data-castling="q"> Black O-O-O</label>
+                    </div>
+                    <input class="editor-fen" data-ref="editorFen" type="text" spellcheck="false" placeholder="Paste FEN here">
+                    <ul class="editor-message" data-ref="editorMessage"></ul>
+                    <div class="buttons">
+                        <button class="btn" data-ref="editorInitialBtn">Initial</button>
+                        <button class="btn" data-ref="editorClearBtn">Clear</button>
+                        <button class="btn" data-ref="editorStartBtn">Start From Here</button>
+                        <button class="btn btn-reset" data-ref="editorCancelBtn">Cancel</button>
+                    </div>
+                </div>
+            </div>`;
+
+        const movesPanel = `
+            <div class="moves-panel">
+                <div class="moves-header">
+                    <h3>Moves</h3>
+                    <div class="moves-actions">
+                        <button class="copy-btn" data-action="promote" title="Promote variation">▲ Promote</button>
+                        <button class="copy-btn" data-action="delete-move" title="Delete from here">✕ Delete</button>
+                    </div>
+                </div>
+                <div class="move-list" data-ref="moveList"></div>
+                <div class="comment-panel" data-ref="commentPanel">
+                    <div class="comment-glyphs" data-ref="commentGlyphs"></div>
+                    <textarea class="comment-text" data-ref="commentText" rows="2" aria-label="Comment"></textarea>
+                    <button class="copy-btn" data-action="clear-annotations"
+                        title="Remove the arrows and circles of this position">✕ Clear arrows</button>
+                </div>
+                <div class="nav-buttons">
+                    <button class="btn nav-btn" data-action="first" title="First move">⏮</button>
+                    <button class="btn nav-btn" data-action="prev" title="Previous move">◀</button>
+                    <button class="btn nav-btn" data-action="next" title="Next move">▶</button>
+                    <button class="btn nav-btn" data-action="last" title="Last move">⏭</button>
+                </div>
+                <div class="pgn-buttons">
+                    <button class="copy-btn" data-action="pgn-import">Import PGN</button>
+                    <button class="copy-btn" data-action="pgn-export">Export PGN</button>
+                    <button class="copy-btn" data-action="download-image" data-ref="imageBtn"
+                        title="PNG of this position with its annotations">⇩ Image</button>
+                </div>
+            </div>
+            <div class="modal hidden" data-ref="pgnDialog">
+                <div class="modal-content">
+                    <h3>PGN</h3>
+                    <textarea class="pgn-text" data-ref="pgnText" spellcheck="false"></textarea>
+                    <div class="modal-error" data-ref="pgnError"></div>
+                    <div class="modal-buttons">
+                        <input type="file" data-ref="pgnFile" accept=".pgn,text/plain" hidden>
+                        <button class="btn import-only" data-action="pgn-file">Open File</button>
+                        <button class="btn import-only" data-action="pgn-import-confirm">Import</button>
+                        <button class="btn export-only" data-action="pgn-download">Download</button>
+                        <button class="btn btn-reset" data-action="pgn-close">Close</button>
+                    </div>
+                </div>
+            </div>`;
+
+        const statePanel = `
+            <div class="json-panel">
+                <div class="json-header">
+                    <h3>Game State</h3>
+                    <button class="copy-btn" data-action="copy-json">Copy JSON</button>
+                </div>
+                <pre><code class="state-json" data-ref="stateJson"></code></pre>
+            </div>`;
+
+        const evalBar = `
+            <div class="eval-bar hidden" data-ref="evalBar">
+                <div class="eval-fill" data-ref="evalFill"></div>
+                <span class="eval-text" data-ref="evalText"></span>
+            </div>`;
+
+        return `
+            <div class="main-container">
+                <div class="game-wrapper">
+                    <div class="board-area">
+                        ${options.controls ? evalBar : ''}
+                        <div class="board-column">
+                            ${options.controls ? '<div class="clock" data-ref="clockTop" hidden></div>' : ''}
+                            <div class="board" data-ref="board">
+                                <svg class="drawing-layer" data-ref="drawingLayer"></svg>
+                            </div>
+                            <div class="sr-only" data-ref="announcer" aria-live="polite" aria-atomic="true"></div>
+                            ${options.controls ? '<div class="clock" data-ref="clockBottom" hidden></div>' : ''}
+                            ${options.controls ? '<div class="draw-tools" data-ref="drawTools" role="toolbar" aria-label="Drawing"></div>' : ''}
+                        </div>
+                    </div>
+                    ${options.controls ? controls : ''}
+                </div>
+                ${options.movesPanel ? movesPanel : ''}
+                ${options.statePanel ? statePanel : ''}
+            </div>`;
     }
 
     async init() {
         this.createBoard();
+        this.settings.apply();
+        this.setMovableColors(this.options.movableColors);
+        this.setOrientation(this.options.orientation);
         this.renderPosition();
         this.bindEvents();
+        if (this.options.readOnly) this.setReadOnly(true);
+
+        if (this.options.game) {
+            this.online.join(this.options.game);
+            return;
+        }
+
+        if (this.options.fen) {
+            try {
+                const data = await this.setPosition(this.options.fen);
+                if (data.valid) return;
+                console.warn('Ignoring invalid initial FEN:', data.errors || data.error);
+            } catch (error) {
+                console.error('Failed to load initial FEN:', error);
+            }
+        }
+        if (!this.game.isStandard) {
+            await this.loadStartPosition(this.game.variant);
+            return;
+        }
+        if (await this.library.restore()) return;
         await this.syncWithServer();
     }
 
+    destroy() {
+        this.online.leave();
+        this.puzzle.stop();
+        this.premoves.clear();
+        this.accessibility.destroy();
+        this.library.destroy();
+        this.sounds.destroy();
+        this.connection.destroy();
+        this.drawTools.destroy();
+        this.clockPanel.stop();
+        this.cancelPromotion();
+        this.cleanupDrag();
+        this.editor.cancelDrag();
+
+        for (const { target, type, handler, options } of this.domListeners) {
+            target.removeEventListener(type, handler, options);
+        }
+        this.domListeners = [];
+        this.listeners = {};
+
+        if (this.ownsMarkup) this.container.innerHTML = '';
+        if (ChessUI.activeInstance === this) ChessUI.activeInstance = null;
+    }
+
+    // addEventListener that destroy() can undo
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    // JSON request to the rules API, or to the local rules when running without a server or it cannot be
+    // reached; GET without a body, POST with one, unless another method is given
+    async request(path, body, method = body === undefined ? 'GET' : 'POST') {
+        const local = ServerConnection.hasLocalRules(path);
+        if (!this.useServer || (local && this.connection.offline)) return LocalRules.handle(path, body);
+
+        let data;
+        try {
+            data = await this.fetchJSON(path, body, method);
+        } catch (error) {
+            // fetch() only rejects (with a TypeError) when there is no answer at all
+            if (error.name !== 'TypeError') throw error;
+            this.connection.lost();
+            if (!local) throw error;
+            return LocalRules.handle(path, body);
+        }
+        this.connection.reached();
+        return data;
+    }
+
+    // Plain request to the server, rejects when it cannot be reached
+    async fetchJSON(path, body, method = body === undefined ? 'GET' : 'POST') {
+        const init = { method };
+        if (body !== undefined) {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(body);
+        }
+        const response = await fetch(this.serverUrl + path, init);
+        return response.json();
+    }
+
     createBoard() {
         this.boardEl.innerHTML = '';
         for (let rank = 7; rank >= 0; rank--) {
+            // Rows only exist for the ARIA grid, squares still lay out in the board's CSS grid
+            const row = document.createElement('div');
+            row.className = 'board-row';
+            row.setAttribute('role', 'row');
+
             for (let file = 0; file < 8; file++) {
                 const square = document.createElement('div');
                 const squareName = this.coordsToSquare(file, rank);
@@ -76,9 +598,11 @@ class ChessUI {
 
                 square.className = `square ${isLight ? 'light' : 'dark'}`;
                 square.dataset.square = squareName;
+                square.setAttribute('role', 'gridcell');
 
-                this.boardEl.appendChild(square);
+                row.appendChild(square);
             }
+            this.boardEl.appendChild(row);
         }
         // Re-attach the drawing layer since innerHTML='' removed it
         if (!this.drawingLayer || !this.boardEl.contains(this.drawingLayer)) {
@@ -86,7 +610,6 @@ class ChessUI {
             // If it exists but was removed by innerHTML, re-create it.
             // If it was never created (e.g., initial load and element not found), create it.
             this.drawingLayer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-            this.drawingLayer.id = 'drawing-layer';
             this.drawingLayer.setAttribute('class', 'drawing-layer');
         }
         this.boardEl.appendChild(this.drawingLayer);
@@ -96,88 +619,170 @@ class ChessUI {
         const squares = this.boardEl.querySelectorAll('.square');
 
         squares.forEach(square => {
-            // Clear existing pieces
-            const existingPiece = square.querySelector('.piece');
-            if (existingPiece) existingPiece.remove();
-
             // Clear state classes
-            square.classList.remove('selected', 'legal-move', 'legal-capture', 'last-move', 'in-check');
-
-            // Add piece if present
-            const squareName = square.dataset.square;
-            const piece = this.game.get(squareName);
-
-            if (piece) {
-                const pieceEl = document.createElement('div');
-                const pieceClass = piece.color === 'w' ? 'w' : 'b';
-                pieceEl.className = `piece ${pieceClass}${piece.type.toUpperCase()}`;
-                pieceEl.style.backgroundImage = `url('${this.getPieceUrl(piece)}')`;
-                pieceEl.draggable = true;
-                square.appendChild(pieceEl);
-            }
+            square.classList.remove('selected', 'legal-move', 'legal-capture', 'last-move', 'in-check', 'wrong-move',
+                'premove', 'premove-target');
         });
 
+        // Pieces: only what changed is redrawn, a single move is animated
+        const move = this.animator.render();
+        if (move) this.sounds.playMove(move);
+
         // Apply visual indicators
         this.highlightLastMove();
         this.highlightCheck();
+        this.premoves.render();
+        this.accessibility.renderLabels();
         this.updateStatus();
+        this.updateMoveList();
+        this.comments.render();
         this.updateStatePanel();
+        this.analysis.positionChanged();
+        this.insights.positionChanged();
+        this.opponent.positionChanged();
+        this.puzzle.positionChanged();
+        this.explorer.positionChanged();
+        this.premoves.positionChanged();
+        this.library.positionChanged();
+    }
+
+    createPieceEl(piece) {
+        const pieceEl = document.createElement('div');
+        const pieceClass = piece.color === 'w' ? 'w' : 'b';
+        pieceEl.className = `piece ${pieceClass}${piece.type.toUpperCase()}`;
+        pieceEl.style.backgroundImage = `url('${this.getPieceUrl(piece)}')`;
+        pieceEl.draggable = true;
+        return pieceEl;
     }
 
     bindEvents() {
-        // Square click events (left-click clears annotations)
-        this.boardEl.addEventListener('click', (e) => {
-            this.clearAnnotations();
+        const board = this.boardEl;
+
+        // Square click events (annotations stay with their move; "Clear arrows" removes them)
+        this.listen(board, 'click', (e) => {
+            if (this.editor.active) return;
             this.handleSquareClick(e);
         });
 
-        // Left-click drag events for piece movement
-        this.boardEl.addEventListener('mousedown', (e) => {
-            if (e.button === 0) this.handleDragStart(e);
+        // Left-click drag events for piece movement (pens send mouse events too)
+        const draws = e => e.button === 2 || (e.button === 0 && this.drawTools.mode);
+        this.listen(board, 'mousedown', (e) => {
+            if (e.button === 0 && !this.drawTools.mode) this.handleDragStart(e);
         });
-        document.addEventListener('mousemove', (e) => {
+        this.listen(document, 'mousemove', (e) => {
             this.handleDragMove(e);
             this.handleDrawingMove(e);
         });
-        document.addEventListener('mouseup', (e) => {
+        this.listen(document, 'mouseup', (e) => {
             if (e.button === 0) this.handleDragEnd(e);
-            if (e.button === 2) this.handleDrawingEnd(e);
+            if (draws(e)) this.handleDrawingEnd(e);
         });
 
-        // Right-click for annotations
-        this.boardEl.addEventListener('contextmenu', (e) => e.preventDefault());
-        this.boardEl.addEventListener('mousedown', (e) => {
-            if (e.button === 2) this.handleDrawingStart(e);
+        // Right-click (or the left button in Draw mode) for annotations
+        this.listen(board, 'contextmenu', (e) => e.preventDefault());
+        this.listen(board, 'mousedown', (e) => {
+            if (draws(e)) this.handleDrawingStart(e);
         });
 
         // Touch events for mobile
-        this.boardEl.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-        document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        document.addEventListener('touchend', (e) => this.handleTouchEnd(e));
-
-        // Button events
-        this.flipBtn.addEventListener('click', () => this.flipBoard());
-        this.resetBtn.addEventListener('click', () => this.resetGame());
-
-        // Copy JSON event
-        const copyBtn = document.getElementById('copy-json-btn');
-        if (copyBtn) {
-            copyBtn.addEventListener('click', () => {
-                if (this.stateJsonEl) {
-                    navigator.clipboard.writeText(this.stateJsonEl.textContent)
-                        .then(() => {
-                            const originalText = copyBtn.textContent;
-                            copyBtn.textContent = 'Copied!';
-                            setTimeout(() => copyBtn.textContent = originalText, 2000);
-                        })
-                        .catch(err => console.error('Failed to copy JSON: ', err));
-                }
+        this.listen(board, 'touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        this.listen(document, 'touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.listen(document, 'touchend', (e) => this.handleTouchEnd(e));
+        this.listen(document, 'touchcancel', () => this.drawTools.cancelPress());
+
+        // Buttons are wired through data-action attributes
+        const actions = {
+            'flip': () => this.flipBoard(),
+            'reset': () => this.resetGame(...this.getVariantChoice()),
+            'first': () => this.goToFirst(),
+            'prev': () => this.goBack(),
+            'next': () => this.goForward(),
+            'last': () => this.goToLast(),
+            'promote': () => this.promoteCurrentVariation(),
+            'delete-move': () => this.deleteCurrentMove(),
+            'clear-annotations': () => this.clearAnnotations(),
+            'pgn-import': () => this.openPgnDialog('import'),
+            'pgn-export': () => this.openPgnDialog('export'),
+            'pgn-import-confirm': () => this.importPgnFromDialog(),
+            'pgn-download': () => this.downloadPgn(),
+            'pgn-close': () => this.closePgnDialog(),
+            'pgn-file': () => this.refs.pgnFile.click(),
+            'download-image': () => this.downloadImage(),
+            'copy-json': (btn) => this.copyStateJson(btn)
+        };
+        this.listen(this.container, 'click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (btn && this.container.contains(btn) && actions[btn.dataset.action]) {
+                actions[btn.dataset.action](btn);
+            }
+        });
+        // Picking a variant starts a new game in it
+        if (this.refs.variantSelect) {
+            this.listen(this.refs.variantSelect, 'change', () => this.resetGame(...this.getVariantChoice()));
+        }
+        this.updateVariantControls();
+        // Images are drawn by the server
+        if (this.refs.imageBtn) this.refs.imageBtn.hidden = !this.useServer;
+
+        this.comments.bindEvents();
+        this.drawTools.bindEvents();
+        this.editor.bindEvents();
+        this.analysis.bindEvents();
+        this.insights.bindEvents();
+        this.opponent.bindEvents();
+        this.online.bindEvents();
+        this.clockPanel.bindEvents();
+        this.puzzle.bindEvents();
+        this.explorer.bindEvents();
+        this.accessibility.bindEvents();
+        this.library.bindEvents();
+        this.settings.bindEvents();
+        this.sounds.bindEvents();
+        this.gameResult.bindEvents();
+        this.connection.bindEvents();
+
+        // Move list clicks jump to that position
+        if (this.moveListEl) {
+            this.listen(this.moveListEl, 'click', (e) => {
+                const moveEl = e.target.closest('.move');
+                if (!moveEl) return;
+                const node = this.tree.findById(parseInt(moveEl.dataset.nodeId, 10));
+                if (node) this.goToNode(node);
+            });
+        }
+
+        // Keyboard shortcuts go to the board the user last interacted with
+        const activate = () => { ChessUI.activeInstance = this; };
+        this.listen(this.container, 'mousedown', activate);
+        this.listen(this.container, 'touchstart', activate, { passive: true });
+        this.listen(this.container, 'focusin', activate);
+        this.listen(document, 'keydown', (e) => this.handleNavigationKey(e));
+
+        // PGN file loading
+        if (this.refs.pgnFile) {
+            this.listen(this.refs.pgnFile, 'change', async () => {
+                const file = this.refs.pgnFile.files[0];
+                if (!file) return;
+                this.pgnTextEl.value = await file.text();
+                this.refs.pgnFile.value = '';
             });
         }
     }
 
+    copyStateJson(copyBtn) {
+        if (!this.stateJsonEl) return;
+
+        navigator.clipboard.writeText(this.stateJsonEl.textContent)
+            .then(() => {
+                const originalText = copyBtn.textContent;
+                copyBtn.textContent = 'Copied!';
+                setTimeout(() => copyBtn.textContent = originalText, 2000);
+            })
+            .catch(err => console.error('Failed to copy JSON: ', err));
+    }
+
     handleSquareClick(e) {
-        if (this.isDragging) return;
+        if (this.isDragging || this.readOnly || this.drawTools.mode) return;
 
         const square = e.target.closest('.square');
         if (!square) return;
@@ -185,36 +790,49 @@ class ChessUI {
         const squareName = square.dataset.square;
         const piece = this.game.get(squareName);
 
+        // On the opponent's turn clicks pick premoves instead
+        if (this.premoves.isPremoving()) {
+            this.premoves.handleClick(squareName);
+            return;
+        }
+
         // If we have a selected square, try to make a move
         if (this.selectedSquare) {
             const moveUci = this.selectedSquare + squareName;
 
+            const castling = this.findCastlingMove(this.selectedSquare, squareName);
+
             // Check if this is a legal move
             if (this.legalMoves.some(m => m.startsWith(moveUci))) {
                 this.makeMove(moveUci);
-            } else if (piece && piece.color === this.game.turn()) {
+            } else if (castling) {
+                this.makeMove(castling);
+            } else if (piece && this.canMovePiece(piece)) {
                 // Clicked on another piece of same color - select it
                 this.selectSquare(squareName);
             } else {
                 // Deselect
                 this.clearSelection();
             }
-        } else if (piece && piece.color === this.game.turn()) {
+        } else if (piece && this.canMovePiece(piece)) {
             // Select piece
             this.selectSquare(squareName);
         }
     }
 
     handleDragStart(e) {
+        if (this.editor.active || this.readOnly) return;
+
         const pieceEl = e.target.closest('.piece');
         if (!pieceEl) return;
 
         const square = pieceEl.closest('.square');
         const squareName = square.dataset.square;
-        const piece = this.game.get(squareName);
+        const premove = this.premoves.isPremoving();
+        const piece = premove ? this.premoves.pieceAt(squareName) : this.game.get(squareName);
 
-        // Only allow dragging pieces of current turn
-        if (!piece || piece.color !== this.game.turn()) return;
+        // Only allow dragging pieces of current turn, or the user's pieces for a premove
+        if (!piece || !(premove ? this.premoves.canSelect(squareName) : this.canMovePiece(piece))) return;
 
         e.preventDefault();
 
@@ -223,7 +841,11 @@ class ChessUI {
         this.dragStartSquare = squareName;
 
         // Select the square and show legal moves
-        this.selectSquare(squareName);
+        if (premove) {
+            this.premoves.select(squareName);
+        } else {
+            this.selectSquare(squareName);
+        }
 
         // Add dragging class
         pieceEl.classList.add('dragging');
@@ -251,11 +873,19 @@ class ChessUI {
         // Find target square
         const targetSquare = this.getSquareAtPosition(x, y);
 
-        if (targetSquare && this.dragStartSquare) {
+        if (targetSquare && this.dragStartSquare && this.premoves.isPremoving()) {
+            this.premoves.add(this.dragStartSquare, targetSquare);
+        } else if (targetSquare && this.dragStartSquare) {
             const moveUci = this.dragStartSquare + targetSquare;
+            const castling = this.findCastlingMove(this.dragStartSquare, targetSquare);
 
+            // The piece was dropped on its square, sliding it there again would look like a second move
             if (this.legalMoves.some(m => m.startsWith(moveUci))) {
+                this.animator.dropSquare = targetSquare;
                 this.makeMove(moveUci);
+            } else if (castling) {
+                this.animator.dropSquare = castling.substring(2, 4);
+                this.makeMove(castling);
             }
         }
 
@@ -264,7 +894,22 @@ class ChessUI {
     }
 
     handleTouchStart(e) {
+        if (this.editor.active) return;
+
         const touch = e.touches[0];
+        const point = { clientX: touch.clientX, clientY: touch.clientY, preventDefault: () => { } };
+
+        // Draw mode draws right away; otherwise resting on a square turns the touch into a stroke
+        if (this.drawTools.mode) {
+            e.preventDefault();
+            this.handleDrawingStart(point);
+            return;
+        }
+        this.drawTools.pressStart(this.getSquareFromEvent(point), () => {
+            if (this.isDragging) this.cleanupDrag();
+            this.handleDrawingStart(point);
+        });
+
         const pieceEl = document.elementFromPoint(touch.clientX, touch.clientY)?.closest('.piece');
 
         if (pieceEl) {
@@ -279,16 +924,28 @@ class ChessUI {
     }
 
     handleTouchMove(e) {
-        if (this.isDragging) {
+        const point = { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY };
+        if (this.drawTools.press) this.drawTools.pressMove(this.getSquareFromEvent(point));
+
+        if (this.drawingState.isDrawing) {
             e.preventDefault();
-            this.handleDragMove({
-                clientX: e.touches[0].clientX,
-                clientY: e.touches[0].clientY
-            });
+            this.handleDrawingMove(point);
+        } else if (this.isDragging) {
+            e.preventDefault();
+            this.handleDragMove(point);
         }
     }
 
     handleTouchEnd(e) {
+        this.drawTools.cancelPress();
+        if (this.drawingState.isDrawing) {
+            // Keep the browser from turning the touch into a click on the square
+            if (e.cancelable) e.preventDefault();
+            const touch = e.changedTouches[0];
+            this.handleDrawingEnd({ clientX: touch.clientX, clientY: touch.clientY });
+            return;
+        }
+
         this.handleDragEnd({
             changedTouches: e.changedTouches
         });
@@ -326,21 +983,61 @@ class ChessUI {
     }
 
     getSquareAtPosition(x, y) {
+        // Only squares of this board count when several boards share a page
         const elements = document.elementsFromPoint(x, y);
-        const square = elements.find(el => el.classList.contains('square'));
+        const square = elements.find(el => el.classList.contains('square') && this.boardEl.contains(el));
         return square ? square.dataset.square : null;
     }
 
+    // Chess960 castling is king-takes-own-rook (e.g. b1a1); dropping the king on its castled
+    // square (c- or g-file) picks the matching castling move too
+    findCastlingMove(from, to) {
+        const king = this.game.get(from);
+        if (!king || king.type !== 'k' || from[1] !== to[1] || !['c', 'g'].includes(to[0])) return null;
+
+        const kingside = to[0] === 'g';
+        return this.legalMoves.find(move => {
+            if (!move.startsWith(from)) return false;
+            const target = this.game.get(move.substring(2, 4));
+            return target && target.type === 'r' && target.color === king.color && (move[2] > from[0]) === kingside;
+        }) || null;
+    }
+
+    canMovePiece(piece) {
+        if (this.clockPanel.isFlagged() || this.currentNode.result) return false;
+        if (this.online.active && !this.online.canMove(piece)) return false;
+        if (this.puzzle.active && !this.puzzle.canMove()) return false;
+        return piece.color === this.game.turn() && this.movableColors.includes(piece.color);
+    }
+
+    setMovableColors(colors) {
+        const presets = { both: ['w', 'b'], white: ['w'], black: ['b'], none: [] };
+        if (!Array.isArray(colors) && !presets[colors]) {
+            throw new Error(`Invalid movable colors "${colors}"`);
+        }
+        this.movableColors = Array.isArray(colors) ? colors : presets[colors];
+        this.clearSelection();
+    }
+
     selectSquare(squareName) {
         this.clearSelection();
         this.selectedSquare = squareName;
 
         // Highlight selected square
         const square = this.boardEl.querySelector(`[data-square="${squareName}"]`);
-        if (square) square.classList.add('selected');
+        if (square) {
+            square.classList.add('selected');
+            square.setAttribute('aria-selected', 'true');
+        }
 
         // Show legal moves from this square
         this.showLegalMoves(squareName);
+
+        this.emit('select', {
+            square: squareName,
+            piece: this.game.get(squareName),
+            moves: this.legalMoves.filter(m => m.startsWith(squareName))
+        });
     }
 
     clearSelection() {
@@ -348,7 +1045,8 @@ class ChessUI {
 
         const squares = this.boardEl.querySelectorAll('.square');
         squares.forEach(sq => {
-            sq.classList.remove('selected', 'legal-move', 'legal-capture');
+            sq.classList.remove('selected', 'legal-move', 'legal-capture', 'premove-target');
+            sq.setAttribute('aria-selected', 'false');
         });
     }
 
@@ -406,17 +1104,16 @@ class ChessUI {
         let statusClass = '';
 
         const turn = this.game.turn() === 'w' ? 'White' : 'Black';
+        const outcome = this.getOutcome();
 
-        if (this.game.in_checkmate()) {
+        if (outcome) {
+            status = `${GameResult.text(outcome)} · ${outcome.result}`;
+            statusClass = outcome.winner ? 'checkmate' : outcome.reason === 'stalemate' ? 'stalemate' : 'draw';
+        } else if (this.game.in_checkmate()) {
+            // Variant positions the server has not answered for yet
             const winner = this.game.turn() === 'w' ? 'Black' : 'White';
             status = `Checkmate! ${winner} wins`;
             statusClass = 'checkmate';
-        } else if (this.game.in_stalemate()) {
-            status = 'Stalemate - Draw';
-            statusClass = 'stalemate';
-        } else if (this.game.in_draw()) {
-            status = 'Draw';
-            statusClass = 'draw';
         } else if (this.game.in_check()) {
             status = `${turn} is in check`;
             statusClass = 'check';
@@ -424,60 +1121,160 @@ class ChessUI {
             status = `${turn} to move`;
         }
 
+        // Three-check: checks each side still has to give
+        const checks = this.game.remainingChecks();
+        if (checks && !this.isGameOver()) {
+            status += ` · Checks to win: White ${checks.white}, Black ${checks.black}`;
+        }
+
+        // Components running the game take over the status line (later ones win)
+        const overrides = [
+            this.isGameOver() ? null : this.opponent.getStatus(),
+            this.puzzle.getStatus(),
+            this.clockPanel.getStatus(),
+            this.online.getStatus()
+        ];
+        for (const override of overrides) {
+            if (!override) continue;
+            status = override.text;
+            statusClass = override.className;
+        }
+
         this.statusEl.textContent = status;
         this.statusEl.className = `status ${statusClass}`;
+        this.accessibility.statusChanged(status);
+        this.gameResult.render();
+        this.connection.render();
     }
 
-    updateStatePanel() {
-        if (!this.stateJsonEl) return;
+    // { result, reason, winner } if the game ended at the current move, otherwise null
+    getOutcome() {
+        return this.currentNode.result || this.game.outcome();
+    }
+
+    isGameOver() {
+        return this.getOutcome() !== null;
+    }
+
+    // Moves from the start of the game to a node, sent along for repetition draws (see rules.py)
+    historyOf(node) {
+        const path = this.tree.pathTo(node).slice(-ChessUI.MAX_HISTORY);
+        if (!path.length) return {};
+        return { start_fen: path[0].parent.fen, moves: path.map(n => n.uci) };
+    }
 
-        const state = {
+    // Server's answer for the current node: outcomes that need the moves (repetitions), draws to claim
+    recordGameState(data) {
+        if (data.outcome && !this.currentNode.result) this.currentNode.result = data.outcome;
+        this.claimableDraw = data.claimable_draw || null;
+    }
+
+    getState() {
+        return {
             fen: this.game.fen(),
+            variant: this.game.variant,
             lastMove: this.lastMove,
-            annotations: this.annotations
+            orientation: this.getOrientation(),
+            moves: this.tree.pathTo(this.currentNode).map(node => node.san),
+            currentNodeId: this.currentNode.id,
+            tree: this.tree.toJSON(),
+            annotations: this.annotations,
+            comment: this.currentNode.comment,
+            nags: [...this.currentNode.nags],
+            outcome: this.getOutcome(),
+            claimableDraw: this.claimableDraw,
+            clock: this.clockPanel.toJSON(),
+            premoves: [...this.premoves.queue],
+            connection: this.connection.toJSON()
         };
+    }
 
-        this.stateJsonEl.textContent = JSON.stringify(state, null, 2);
+    updateStatePanel() {
+        if (!this.stateJsonEl) return;
+
+        this.stateJsonEl.textContent = JSON.stringify(this.getState(), null, 2);
     }
 
     async makeMove(moveUci) {
-        // Handle promotion - default to queen
         let finalMove = moveUci;
         const from = moveUci.substring(0, 2);
         const to = moveUci.substring(2, 4);
         const piece = this.game.get(from);
 
-        // Check if pawn promotion
-        if (piece && piece.type === 'p') {
+        // Pawn reaching the last rank - let the user pick the piece
+        if (piece && piece.type === 'p' && moveUci.length === 4) {
             const toRank = to[1];
             if ((piece.color === 'w' && toRank === '8') || (piece.color === 'b' && toRank === '1')) {
-                finalMove = moveUci + 'q'; // Auto-promote to queen
+                const promotion = await this.choosePromotion(to, piece.color);
+                if (!promotion) {
+                    // Cancelled - put the pawn back
+                    this.clearSelection();
+                    this.renderPosition();
+                    return;
+                }
+                finalMove = moveUci + promotion;
+            }
+        }
+
+        // Puzzles reject moves that are not part of the solution
+        if (!this.puzzle.checkMove(finalMove)) {
+            this.clearSelection();
+            return;
+        }
+
+        // SAN has to be computed from the position before the move (the server's covers variants)
+        const local = this.game.isStandard ? new Chess(this.game.fen()) : null;
+        const localMove = local && local.move({ from, to, promotion: finalMove[4] });
+
+        // Online games: show the move right away, the server confirms or rejects it
+        if (this.online.active) {
+            if (localMove && this.online.send({ type: 'move', move: finalMove })) {
+                this.lastMove = from + to;
+                this.setCurrentNode(this.tree.addMove(this.currentNode, finalMove, localMove.san, local.fen()));
+                this.game.load(local.fen());
+                this.legalMoves = [];
             }
+            this.clearSelection();
+            this.renderPosition();
+            return;
         }
 
         try {
-            const response = await fetch('/move', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    fen: this.game.fen(),
-                    move: finalMove
-                })
+            const data = await this.request('/move', {
+                fen: this.game.fen(),
+                move: finalMove,
+                variant: this.game.variant,
+                ...this.historyOf(this.currentNode)
             });
 
-            const data = await response.json();
-
             if (data.valid) {
                 // Store last move
                 this.lastMove = from + to;
+                this.setCurrentNode(this.tree.addMove(
+                    this.currentNode,
+                    finalMove,
+                    data.san || (localMove ? localMove.san : finalMove),
+                    data.fen
+                ));
+                this.connection.played(this.currentNode);
 
                 // Update game state
-                this.game.load(data.fen);
+                this.game.load(data.fen, data);
                 this.legalMoves = data.legal_moves || [];
+                this.recordGameState(data);
 
                 // Re-render
                 this.clearSelection();
                 this.renderPosition();
+
+                this.emit('move', {
+                    uci: finalMove,
+                    san: this.currentNode.san,
+                    fen: data.fen
+                });
+                if (this.isGameOver()) this.emit('gameOver', this.getOutcome());
+            } else if (data.error) {
+                console.error('Move failed:', data.error, data.errors);
             }
         } catch (error) {
             console.error('Move failed:', error);
@@ -485,17 +1282,20 @@ class ChessUI {
     }
 
     async syncWithServer() {
-        try {
-            const response = await fetch('/fen', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ fen: this.game.fen() })
-            });
+        const fen = this.game.fen();
+        const node = this.currentNode;
 
-            const data = await response.json();
+        try {
+            const data = await this.request('/fen', { fen, variant: this.game.variant, ...this.historyOf(node) });
 
-            if (data.valid) {
+            // Ignore answers for a position that has been left in the meantime
+            if (data.valid && fen === this.game.fen() && node === this.currentNode) {
                 this.legalMoves = data.legal_moves || [];
+                this.game.setState(data);
+                this.recordGameState(data);
+                // Check and game over of variant positions, repetitions and claims are only known now
+                if (!this.game.isStandard) this.highlightCheck();
+                this.updateStatus();
             }
         } catch (error) {
             console.error('Sync failed:', error);
@@ -507,28 +1307,487 @@ class ChessUI {
     flipBoard() {
         this.isFlipped = !this.isFlipped;
         this.boardEl.classList.toggle('flipped', this.isFlipped);
+        if (this.refs.evalBar) this.refs.evalBar.classList.toggle('flipped', this.isFlipped);
+        this.clockPanel.render();
+        this.settings.renderCoordinates();
+        this.library.scheduleAutosave();
+    }
+
+    getOrientation() {
+        return this.isFlipped ? 'black' : 'white';
     }
 
-    async resetGame() {
+    setOrientation(color) {
+        if (color !== 'white' && color !== 'black') {
+            throw new Error(`Invalid orientation "${color}"`);
+        }
+        if (color !== this.getOrientation()) this.flipBoard();
+    }
+
+    // Block move input (and game-changing controls) for view-only boards
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.boardEl.classList.toggle('readonly', readOnly);
+        this.clearSelection();
+        if (readOnly && this.editor.active) this.editor.close();
+
+        if (readOnly) this.opponent.stop();
+        for (const btn of [this.resetBtn, this.editor.openBtn, this.opponent.openBtn, this.puzzle.openBtn, this.refs.variantOptions]) {
+            if (btn) btn.hidden = readOnly || this.online.active;
+        }
+        this.comments.render();
+    }
+
+    // Start a new game from an arbitrary position once the server accepts it
+    async setPosition(fen) {
+        const data = await this.request('/fen', { fen, variant: this.game.variant });
+        if (!data.valid) return data;
+
+        this.cancelPromotion();
+        this.game.load(data.fen, data);
+        this.legalMoves = data.legal_moves || [];
+        this.lastMove = null;
+        this.selectedSquare = null;
+        this.resetTree();
+
+        this.renderPosition();
+        this.renderAnnotations();
+        return data;
+    }
+
+    // New game, in another variant if given (Chess960: start position 0-959, random if null)
+    async resetGame(variant = this.game.variant, start = null) {
+        if (this.readOnly || this.online.active) return;
+        this.cancelPromotion();
+        if (this.editor.active) this.editor.close();
+        this.clockPanel.restart();
+        await this.loadStartPosition(variant, start);
+    }
+
+    async loadStartPosition(variant, start = null) {
+        const params = new URLSearchParams();
+        if (variant !== 'standard') params.set('variant', variant);
+        if (variant === 'chess960' && start !== null) params.set('start', start);
+        const query = params.toString();
+
         try {
-            const response = await fetch('/reset');
-            const data = await response.json();
+            const data = await this.request(query ? `/reset?${query}` : '/reset');
+            if (!data.fen) throw new Error(data.error || 'No start position');
 
-            this.game.load(data.fen);
+            this.game.setVariant(data.variant || 'standard');
+            this.game.load(data.fen, data);
             this.legalMoves = data.legal_moves || [];
             this.lastMove = null;
             this.selectedSquare = null;
+            this.resetTree();
+            this.updateVariantControls();
 
             this.clearAnnotations();
             this.renderPosition();
         } catch (error) {
             console.error('Reset failed:', error);
-            // Local fallback
-            this.game.reset();
-            this.legalMoves = this.game.moves({ verbose: true }).map(m => m.from + m.to + (m.promotion || ''));
-            this.lastMove = null;
-            this.selectedSquare = null;
-            this.renderPosition();
+            // Variants need the rules server; the local rules start a standard game
+            if (variant !== 'standard') await this.loadStartPosition('standard');
+        }
+    }
+
+    // Variant and Chess960 start number picked in the controls, as resetGame() arguments
+    getVariantChoice() {
+        const select = this.refs.variantSelect;
+        const startInput = this.refs.chess960Start;
+        const start = startInput && startInput.value !== '' ? parseInt(startInput.value, 10) : null;
+        return [select ? select.value : this.game.variant, Number.isInteger(start) ? start : null];
+    }
+
+    // Engine, editor, online play, puzzles and the opening explorer know standard chess only
+    updateVariantControls() {
+        const standard = this.game.isStandard;
+        if (this.refs.variantSelect) this.refs.variantSelect.value = this.game.variant;
+        if (this.refs.chess960StartLabel) this.refs.chess960StartLabel.hidden = this.game.variant !== 'chess960';
+
+        for (const btn of [this.editor.openBtn, this.analysis.toggleBtn, this.opponent.openBtn, this.online.openBtn, this.puzzle.openBtn, this.explorer.toggleBtn]) {
+            if (!btn) continue;
+            btn.disabled = !standard;
+            btn.title = standard ? '' : 'Standard chess only';
+        }
+        if (standard) return;
+        if (this.analysis.active) this.analysis.toggle();
+        if (this.explorer.active) this.explorer.toggle();
+        this.opponent.stop();
+        for (const panel of [this.refs.computerPanel, this.refs.onlinePanel, this.refs.puzzlePanel]) {
+            if (panel) panel.classList.add('hidden');
+        }
+    }
+
+    // ==================== MOVE HISTORY ====================
+
+    resetTree() {
+        this.tree = new MoveTree(this.game.fen());
+        const variant = VariantGame.VARIANTS[this.game.variant].pgn;
+        if (variant) this.tree.headers.Variant = variant;
+        this.setCurrentNode(this.tree.root);
+    }
+
+    setCurrentNode(node) {
+        this.currentNode = node;
+        this.annotations = node.annotations;
+        this.claimableDraw = null;
+    }
+
+    goToNode(node) {
+        if (!node) return;
+
+        this.cancelPromotion();
+        this.setCurrentNode(node);
+        this.game.load(node.fen);
+        this.lastMove = node.uci ? node.uci.substring(0, 4) : null;
+
+        this.clearSelection();
+        this.renderPosition();
+        this.renderAnnotations();
+        this.syncWithServer();
+    }
+
+    goBack() {
+        if (this.currentNode.parent) this.goToNode(this.currentNode.parent);
+    }
+
+    goForward() {
+        if (this.currentNode.children.length) this.goToNode(this.currentNode.children[0]);
+    }
+
+    goToFirst() {
+        this.goToNode(this.tree.root);
+    }
+
+    goToLast() {
+        this.goToNode(this.tree.lineEnd(this.currentNode));
+    }
+
+    promoteCurrentVariation() {
+        if (this.tree.promoteVariation(this.currentNode)) {
+            this.updateMoveList();
+            this.updateStatePanel();
+        }
+    }
+
+    deleteCurrentMove() {
+        if (!this.currentNode.parent) return;
+        this.goToNode(this.tree.deleteNode(this.currentNode));
+    }
+
+    handleNavigationKey(e) {
+        if (ChessUI.activeInstance !== this) return;
+
+        // Leave arrow keys alone while the user is typing somewhere
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        if (this.editor.active) return;
+
+        if (e.key === 'Escape' && this.pendingPromotion) {
+            this.cancelPromotion();
+            return;
+        }
+
+        // Keys the board's focus cursor already used
+        if (e.defaultPrevented) return;
+
+        // Undo and redo of the drawn shapes
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                this.drawTools.redo();
+            } else {
+                this.drawTools.undo();
+            }
+            return;
+        }
+
+        const actions = {
+            ArrowLeft: () => this.goBack(),
+            ArrowRight: () => this.goForward(),
+            Home: () => this.goToFirst(),
+            End: () => this.goToLast()
+        };
+        if (actions[e.key]) {
+            e.preventDefault();
+            actions[e.key]();
+        }
+    }
+
+    updateMoveList() {
+        if (!this.moveListEl) return;
+
+        this.moveListEl.innerHTML = '';
+        if (this.tree.root.comment) this.moveListEl.appendChild(this.createCommentEl(this.tree.root));
+        this.renderLine(this.tree.root, this.moveListEl, true);
+
+        const current = this.moveListEl.querySelector('.move.current');
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    renderLine(node, container, needNumber) {
+        // PGN order: main move first, then its sibling variations in parentheses
+        while (node.children.length) {
+            const [main, ...variations] = node.children;
+            container.appendChild(this.createMoveEl(main, needNumber));
+            // As in PGN, a move after a comment repeats its number
+            needNumber = Boolean(main.comment);
+
+            for (const variation of variations) {
+                const variationEl = document.createElement('span');
+                variationEl.className = 'variation';
+                variationEl.appendChild(this.createMoveEl(variation, true));
+                this.renderLine(variation, variationEl, Boolean(variation.comment));
+                container.appendChild(variationEl);
+                needNumber = true;
+            }
+
+            node = main;
+        }
+    }
+
+    createMoveEl(node, withNumber) {
+        const fragment = document.createDocumentFragment();
+        const isWhite = this.tree.isWhiteMove(node);
+
+        if (isWhite || withNumber) {
+            const numberEl = document.createElement('span');
+            numberEl.className = 'move-number';
+            numberEl.textContent = `${this.tree.moveNumber(node)}${isWhite ? '.' : '...'}`;
+            fragment.appendChild(numberEl);
+        }
+
+        const moveEl = document.createElement('span');
+        moveEl.className = 'move';
+        if (node === this.currentNode) moveEl.classList.add('current');
+        if (this.connection.isUnconfirmed(node)) moveEl.classList.add('unconfirmed');
+        const divergence = this.connection.divergence(node);
+        if (divergence) {
+            moveEl.classList.add('diverged');
+            moveEl.title = divergence;
+        }
+        moveEl.dataset.nodeId = node.id;
+        moveEl.textContent = node.san;
+        const glyphs = node.nags.map(nag => Pgn.NAG_SYMBOLS[nag]).filter(Boolean);
+        if (glyphs.length) {
+            const glyphEl = document.createElement('span');
+            glyphEl.className = 'move-glyph';
+            glyphEl.textContent = glyphs.join(' ');
+            moveEl.appendChild(glyphEl);
+        }
+        fragment.appendChild(moveEl);
+
+        if (node.comment) fragment.appendChild(this.createCommentEl(node));
+        return fragment;
+    }
+
+    createCommentEl(node) {
+        const commentEl = document.createElement('span');
+        commentEl.className = 'move-comment';
+        commentEl.textContent = node.comment;
+        return commentEl;
+    }
+
+    // ==================== PROMOTION ====================
+
+    /**
+     * Show the promotion chooser on the target file, stacked from the board edge.
+     * Resolves with 'q' | 'n' | 'r' | 'b', or null when cancelled.
+     */
+    choosePromotion(to, color) {
+        this.cancelPromotion();
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'promotion-overlay';
+
+            // Positions are in unflipped board coordinates; the .flipped
+            // rotation carries the chooser to the right visual edge
+            const file = to.charCodeAt(0) - 97;
+            const fromTopEdge = to[1] === '8';
+
+            ['q', 'n', 'r', 'b'].forEach((type, i) => {
+                const choice = document.createElement('div');
+                choice.className = 'promotion-choice';
+                choice.dataset.piece = type;
+                choice.style.left = `${file * 12.5}%`;
+                choice.style.top = `${(fromTopEdge ? i : 7 - i) * 12.5}%`;
+                choice.style.backgroundImage = `url('${this.getPieceUrl({ color, type })}')`;
+                choice.setAttribute('role', 'button');
+                choice.setAttribute('aria-label', `Promote to ${BoardAccessibility.PIECE_NAMES[type]}`);
+                choice.tabIndex = 0;
+                overlay.appendChild(choice);
+            });
+
+            // Keep board click/drag/drawing handlers from seeing chooser input
+            overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+            overlay.addEventListener('touchstart', (e) => e.stopPropagation());
+            overlay.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const choice = e.target.closest('.promotion-choice');
+                this.resolvePromotion(choice ? choice.dataset.piece : null);
+            });
+            overlay.addEventListener('keydown', (e) => {
+                const choice = e.target.closest('.promotion-choice');
+                if (!choice || (e.key !== 'Enter' && e.key !== ' ')) return;
+                e.preventDefault();
+                this.resolvePromotion(choice.dataset.piece);
+            });
+
+            this.pendingPromotion = { overlay, resolve };
+            this.boardEl.appendChild(overlay);
+            overlay.querySelector('.promotion-choice').focus();
+        });
+    }
+
+    resolvePromotion(pieceType) {
+        if (!this.pendingPromotion) return;
+
+        const { overlay, resolve } = this.pendingPromotion;
+        this.pendingPromotion = null;
+        // Keyboard users continue from the board's cursor
+        const hadFocus = overlay.contains(document.activeElement);
+        overlay.remove();
+        if (hadFocus) this.accessibility.setCursor(this.accessibility.cursor);
+        resolve(pieceType);
+    }
+
+    cancelPromotion() {
+        this.resolvePromotion(null);
+    }
+
+    // ==================== PGN ====================
+
+    loadPgn(text, gameIndex = 0) {
+        const games = Pgn.parse(text);
+        if (!games.length) throw new Error('No game found in PGN');
+        if (gameIndex >= games.length) throw new Error(`PGN only contains ${games.length} game(s)`);
+
+        // Moves are replayed with chess.js, which only knows standard chess
+        const variant = games[gameIndex].headers.Variant;
+        if (variant && !/^(standard|from position)$/i.test(variant)) {
+            throw new Error(`${variant} games cannot be imported`);
+        }
+
+        this.tree = Pgn.toTree(games[gameIndex]);
+        this.game.setVariant('standard');
+        this.updateVariantControls();
+        this.goToNode(this.tree.root);
+        return games.length;
+    }
+
+    exportPgn() {
+        return Pgn.write(this.tree, this.getGameResult());
+    }
+
+    // Result of the main line if it ends the game, otherwise undefined
+    getGameResult() {
+        const end = this.tree.lineEnd(this.tree.root);
+        if (end.result) return end.result.result;
+        if (!this.game.isStandard) {
+            const state = this.game.stateOf(end.fen);
+            return state && state.outcome ? state.outcome.result : undefined;
+        }
+        const outcome = VariantGame.standardOutcome(new Chess(end.fen));
+        return outcome ? outcome.result : undefined;
+    }
+
+    openPgnDialog(mode) {
+        if (!this.pgnDialogEl) return;
+
+        this.pgnDialogEl.dataset.mode = mode;
+        this.pgnDialogEl.classList.remove('hidden');
+        this.pgnErrorEl.textContent = '';
+        this.pgnTextEl.value = mode === 'export' ? this.exportPgn() : '';
+        this.pgnTextEl.readOnly = mode === 'export';
+        this.pgnTextEl.focus();
+    }
+
+    closePgnDialog() {
+        if (this.pgnDialogEl) this.pgnDialogEl.classList.add('hidden');
+    }
+
+    importPgnFromDialog() {
+        try {
+            this.loadPgn(this.pgnTextEl.value);
+            this.closePgnDialog();
+        } catch (error) {
+            console.error('PGN import failed:', error);
+            this.pgnErrorEl.textContent = error.message;
+        }
+    }
+
+    downloadPgn() {
+        const blob = new Blob([this.exportPgn()], { type: 'application/x-chess-pgn' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'game.pgn';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // PNG of the position as shown: board theme, coordinates, last move and annotations, drawn by /render
+    async downloadImage() {
+        const values = this.settings.values;
+        const colors = this.settings.arrowColors();
+        const recolor = shapes => shapes.map(shape => ({ ...shape, color: colors[shape.color] || shape.color }));
+
+        try {
+            const response = await fetch(`${this.serverUrl}/render`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    fen: this.game.fen(),
+                    variant: this.game.variant,
+                    format: 'png',
+                    orientation: this.getOrientation(),
+                    size: values.boardSize || ChessUI.IMAGE_SIZE,
+                    coordinates: values.coordinates,
+                    theme: values.boardTheme,
+                    last_move: this.lastMove,
+                    annotations: {
+                        arrows: recolor(this.annotations.arrows),
+                        circles: recolor(this.annotations.circles),
+                        squares: recolor(this.annotations.squares),
+                        ghosts: this.annotations.ghosts
+                    }
+                })
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = 'position.png';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Image download failed:', error);
+        }
+    }
+
+    // ==================== EVENTS ====================
+
+    on(type, callback) {
+        if (!this.listeners[type]) this.listeners[type] = [];
+        this.listeners[type].push(callback);
+        return this;
+    }
+
+    off(type, callback) {
+        if (!this.listeners[type]) return this;
+        this.listeners[type] = callback ? this.listeners[type].filter(cb => cb !== callback) : [];
+        return this;
+    }
+
+    emit(type, detail) {
+        for (const callback of this.listeners[type] || []) {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
         }
     }
 
@@ -539,13 +1798,27 @@ class ChessUI {
     getPieceUrl(piece) {
         const color = piece.color;
         const type = piece.type.toUpperCase();
-        return `img/chesspieces/${this.pieceTheme}/${color}${type}.png`;
+        const format = BoardSettings.PIECE_SETS[this.pieceTheme]?.format || 'png';
+        return `${this.options.pieceBaseUrl}/${this.pieceTheme}/${color}${type}.${format}`;
+    }
+
+    // Point pieces already shown (board and editor palette) at the current piece set
+    refreshPieceImages() {
+        const imageOf = code => `url('${this.getPieceUrl({ color: code[0], type: code[1].toLowerCase() })}')`;
+        for (const pieceEl of this.boardEl.querySelectorAll('.piece')) {
+            const code = PieceAnimator.codeOf(pieceEl);
+            if (code) pieceEl.style.backgroundImage = imageOf(code);
+        }
+        for (const item of this.container.querySelectorAll('.palette-piece')) {
+            item.style.backgroundImage = imageOf(item.dataset.tool);
+        }
     }
 
     // ==================== ANNOTATION SYSTEM ====================
 
     handleDrawingStart(e) {
         e.preventDefault();
+        if (this.editor.active) return;
         const square = this.getSquareFromEvent(e);
         console.log('Drawing Start:', square, e.button);
         if (!square) return;
@@ -579,15 +1852,15 @@ class ChessUI {
         const endSquare = this.getSquareFromEvent(e) || this.drawingState.currentSquare;
         const startSquare = this.drawingState.startSquare;
         const color = this.getAnnotationColor(this.drawingState.modifiers);
+        const stroke = this.drawTools.strokeFor(startSquare, endSquare, color);
 
-        console.log('Finishing annotation:', { start: startSquare, end: endSquare, color });
+        console.log('Finishing annotation:', stroke);
 
-        if (startSquare === endSquare) {
-            // Circle
-            this.toggleCircle(startSquare, color);
-        } else {
-            // Arrow
-            this.toggleArrow(startSquare, endSquare, color);
+        if (stroke) {
+            this.drawTools.record();
+            this.applyStroke(stroke);
+            this.emit('annotate', { ...stroke, annotations: this.annotations });
+            this.emit('annotationsChanged', this.annotations);
         }
 
         this.drawingState.isDrawing = false;
@@ -602,18 +1875,22 @@ class ChessUI {
     }
 
     getSquareFromEvent(e) {
-        const x = e.clientX;
-        const y = e.clientY;
-        const elements = document.elementsFromPoint(x, y);
-        const squareEl = elements.find(el => el.classList.contains('square'));
-        return squareEl ? squareEl.dataset.square : null;
+        return this.getSquareAtPosition(e.clientX, e.clientY);
     }
 
     getAnnotationColor(modifiers) {
-        if (modifiers.ctrl) return this.annotationColors.ctrl;
-        if (modifiers.shift) return this.annotationColors.shift;
-        if (modifiers.alt) return this.annotationColors.alt;
-        return this.annotationColors.default;
+        return this.drawTools.colorFor(modifiers);
+    }
+
+    // Add, recolor or remove the shape of a stroke (DrawTools.strokeFor)
+    applyStroke(stroke) {
+        switch (stroke.shape) {
+            case 'arrow': return this.toggleArrow(stroke.move.substring(0, 2), stroke.move.substring(2, 4), stroke.color);
+            case 'circle': return this.toggleCircle(stroke.square, stroke.color);
+            case 'square': return this.toggleSquare(stroke.square, stroke.color);
+            case 'ghost': return this.toggleGhost(stroke.square, stroke.piece);
+            default: throw new Error(`Unknown shape "${stroke.shape}"`);
+        }
     }
 
     toggleArrow(from, to, color) {
@@ -635,29 +1912,120 @@ class ChessUI {
     }
 
     toggleCircle(square, color) {
-        const idx = this.annotations.circles.findIndex(c => c.square === square);
+        ChessUI.toggleOnSquare(this.annotations.circles, square, color);
+    }
+
+    toggleSquare(square, color) {
+        ChessUI.toggleOnSquare(this.annotations.squares, square, color);
+    }
+
+    // Same color again removes the shape, another color recolors it
+    static toggleOnSquare(shapes, square, color) {
+        const idx = shapes.findIndex(s => s.square === square);
         if (idx !== -1) {
-            if (this.annotations.circles[idx].color === color) {
-                this.annotations.circles.splice(idx, 1);
+            if (shapes[idx].color === color) {
+                shapes.splice(idx, 1);
             } else {
-                this.annotations.circles[idx].color = color;
+                shapes[idx].color = color;
             }
         } else {
-            this.annotations.circles.push({ square, color });
+            shapes.push({ square, color });
+        }
+    }
+
+    // One ghost per square: the same piece again removes it
+    toggleGhost(square, piece) {
+        const ghosts = this.annotations.ghosts;
+        const idx = ghosts.findIndex(g => g.square === square);
+        if (idx !== -1 && ghosts[idx].piece === piece) {
+            ghosts.splice(idx, 1);
+        } else if (idx !== -1) {
+            ghosts[idx].piece = piece;
+        } else {
+            ghosts.push({ square, piece });
         }
     }
 
     clearAnnotations() {
         console.log('Clearing annotations');
-        this.annotations = { arrows: [], circles: [] };
+        const hadAnnotations = MoveTree.hasAnnotations(this.annotations);
+
+        if (hadAnnotations) this.drawTools.record();
+        this.replaceAnnotations(MoveTree.emptyAnnotations());
+
+        if (hadAnnotations) this.emit('annotationsChanged', this.annotations);
+    }
+
+    replaceAnnotations(annotations) {
+        this.annotations = annotations;
+        this.currentNode.annotations = annotations;
         this.renderAnnotations();
     }
 
+    // Replace the annotations of the current position, e.g. from a host page
+    setAnnotations(annotations) {
+        const shapes = {};
+        for (const shape of MoveTree.SHAPES) shapes[shape] = (annotations && annotations[shape]) || [];
+
+        const isColor = color => color in this.colorValues;
+        const isSquare = square => /^[a-h][1-8]$/.test(square);
+        if (!shapes.arrows.every(a => /^[a-h][1-8][a-h][1-8]$/.test(a.move) && isColor(a.color)) ||
+            !shapes.circles.every(c => isSquare(c.square) && isColor(c.color)) ||
+            !shapes.squares.every(s => isSquare(s.square) && isColor(s.color)) ||
+            !shapes.ghosts.every(g => isSquare(g.square) && /^[wb][KQRBNP]$/.test(g.piece))) {
+            throw new Error('Invalid annotations');
+        }
+
+        this.replaceAnnotations({
+            arrows: shapes.arrows.map(({ move, color }) => ({ move, color })),
+            circles: shapes.circles.map(({ square, color }) => ({ square, color })),
+            squares: shapes.squares.map(({ square, color }) => ({ square, color })),
+            ghosts: shapes.ghosts.map(({ square, piece }) => ({ square, piece }))
+        });
+        this.library.scheduleAutosave();
+    }
+
+    // Comment of a move (the current one if no node ID is given), e.g. from a host page
+    setComment(comment, nodeId = this.currentNode.id) {
+        const node = this.getNode(nodeId);
+        node.comment = String(comment ?? '');
+        this.commentsChanged();
+    }
+
+    // NAGs of a move, e.g. [1] for "!" or [2, 16] for "?" and "±"
+    setNags(nags, nodeId = this.currentNode.id) {
+        const node = this.getNode(nodeId);
+        if (!node.parent) throw new Error('The start position has no move to annotate');
+        if (!Array.isArray(nags) || !nags.every(nag => Number.isInteger(nag) && nag >= 0 && nag <= 255)) {
+            throw new Error('Invalid NAGs');
+        }
+        node.nags = [...new Set(nags)];
+        this.commentsChanged();
+    }
+
+    getNode(nodeId) {
+        const node = this.tree.findById(nodeId);
+        if (!node) throw new Error(`No move with node ID ${nodeId}`);
+        return node;
+    }
+
+    commentsChanged() {
+        this.updateMoveList();
+        this.comments.render();
+        this.updateStatePanel();
+        this.library.scheduleAutosave();
+    }
+
     renderAnnotations() {
         this.updateStatePanel();
+        this.drawTools.render();
 
-        // Clear SVG
+        // Clear SVG and square highlights
         this.drawingLayer.innerHTML = '';
+        for (const squareEl of this.boardEl.querySelectorAll('.square.marked')) {
+            squareEl.classList.remove('marked');
+            squareEl.style.removeProperty('--mark-color');
+        }
 
         const boardRect = this.boardEl.getBoundingClientRect();
         const squareSize = boardRect.width / 8;
@@ -670,6 +2038,20 @@ class ChessUI {
             arrows: this.annotations.arrows.length
         });
 
+        // Coaching overlays, under everything the user draws
+        this.insights.draw(squareSize);
+
+        // Highlight squares, under the pieces
+        const colors = this.settings.arrowColors();
+        for (const mark of this.annotations.squares) {
+            this.markSquare(mark.square, BoardSettings.rgba(colors[mark.color], 0.5));
+        }
+
+        // Draw ghost pieces
+        for (const ghost of this.annotations.ghosts) {
+            this.drawGhost(ghost.square, ghost.piece, 0.5, squareSize);
+        }
+
         // Draw circles
         for (const circle of this.annotations.circles) {
             console.log('Drawing circle at', circle.square);
@@ -683,32 +2065,59 @@ class ChessUI {
             this.drawArrow(from, to, this.colorValues[arrow.color], squareSize);
         }
 
-        // Draw preview arrow if drawing
-        if (this.drawingState.isDrawing &&
-            this.drawingState.startSquare !== this.drawingState.currentSquare) {
+        // Engine suggestions and puzzle hints, drawn over the user's annotations but not stored with them
+        this.analysis.drawArrows(squareSize);
+        this.puzzle.drawArrows(squareSize);
+
+        // Draw a preview of the stroke if drawing
+        if (this.drawingState.isDrawing) {
+            const { startSquare, currentSquare } = this.drawingState;
             const colorName = this.getAnnotationColor(this.drawingState.modifiers);
-            const colorRgba = this.colorValues[colorName];
-            this.drawArrow(
-                this.drawingState.startSquare,
-                this.drawingState.currentSquare,
-                colorRgba.replace('0.8', '0.5'), // More transparent for preview
-                squareSize
-            );
+            const preview = this.drawTools.strokeFor(startSquare, currentSquare, colorName);
+            const colorRgba = BoardSettings.rgba(colors[colorName], 0.5); // More transparent for preview
+
+            if (preview && preview.shape === 'arrow') {
+                this.drawArrow(startSquare, currentSquare, colorRgba, squareSize);
+            } else if (preview && preview.shape === 'square') {
+                this.markSquare(currentSquare, BoardSettings.rgba(colors[colorName], 0.3));
+            } else if (preview && preview.shape === 'ghost' && startSquare !== currentSquare) {
+                this.drawGhost(currentSquare, preview.piece, 0.3, squareSize);
+            }
         }
     }
 
+    markSquare(square, color) {
+        const squareEl = this.boardEl.querySelector(`[data-square="${square}"]`);
+        if (!squareEl) return;
+        squareEl.classList.add('marked');
+        squareEl.style.setProperty('--mark-color', color);
+    }
+
+    drawGhost(square, piece, opacity, squareSize) {
+        const center = this.getSquareCenter(square, squareSize);
+        const size = squareSize * 0.85; // As large as the pieces
+
+        const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+        image.setAttribute('href', this.getPieceUrl({ color: piece[0], type: piece[1].toLowerCase() }));
+        image.setAttribute('x', center.x - size / 2);
+        image.setAttribute('y', center.y - size / 2);
+        image.setAttribute('width', size);
+        image.setAttribute('height', size);
+        image.setAttribute('opacity', opacity);
+        // Upright on a flipped board, whose drawing layer is rotated with it
+        if (this.isFlipped) image.setAttribute('transform', `rotate(180 ${center.x} ${center.y})`);
+
+        this.drawingLayer.appendChild(image);
+    }
+
     getSquareCenter(square, squareSize) {
         const file = square.charCodeAt(0) - 97; // 0-7
         const rank = parseInt(square[1]) - 1;   // 0-7
 
-        let x, y;
-        if (this.isFlipped) {
-            x = (7 - file + 0.5) * squareSize;
-            y = (rank + 0.5) * squareSize;
-        } else {
-            x = (file + 0.5) * squareSize;
-            y = (7 - rank + 0.5) * squareSize;
-        }
+        // The drawing layer rotates with the board when flipped,
+        // so coordinates are always in white-at-bottom orientation
+        const x = (file + 0.5) * squareSize;
+        const y = (7 - rank + 0.5) * squareSize;
         return { x, y };
     }
 
@@ -774,8 +2183,3 @@ class ChessUI {
         this.drawingLayer.appendChild(arrowhead);
     }
 }
-
-// Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    window.chessUI = new ChessUI();
-});
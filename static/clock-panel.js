@@ -0,0 +1,212 @@
+/**
+ * Clock Panel
+ * - Time control picker (presets or custom text, see chess-clock.js)
+ * - One clock display per side above and below the board, following orientation
+ * - Local games: the clock starts with the first move and decides flag-fall, and stops when the game ends
+ * - Online games: shows the server's clock, which is authoritative
+ * - A warning sound when the user's running clock gets low
+ */
+
+class ClockPanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.clock = null;
+        this.remote = false;       // Clock state comes from the server
+        this.timer = null;
+        this.low = { w: false, b: false };  // Clocks shown as low, to warn once as each gets there
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.clockPanel;
+        this.openBtn = refs.clockBtn;
+        this.presetEl = refs.clockPreset;
+        this.customEl = refs.clockCustom;
+        this.messageEl = refs.clockMessage;
+        this.topEl = refs.clockTop;
+        this.bottomEl = refs.clockBottom;
+    }
+
+    bindEvents() {
+        if (this.presetEl) {
+            this.presetEl.innerHTML = ChessClock.PRESETS
+                .map(preset => `<option value="${preset.text}">${preset.name}</option>`)
+                .join('') + '<option value="">Custom…</option>';
+        }
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        const refs = this.ui.refs;
+        listen(this.openBtn, 'click', () => this.panelEl.classList.toggle('hidden'));
+        listen(this.presetEl, 'change', () => {
+            this.customEl.hidden = this.presetEl.value !== '';
+        });
+        listen(refs.clockStartBtn, 'click', () => {
+            try {
+                this.start(this.presetEl.value || this.customEl.value);
+                this.messageEl.textContent = '';
+            } catch (error) {
+                this.messageEl.textContent = error.message;
+            }
+        });
+        listen(refs.clockStopBtn, 'click', () => this.stop());
+
+        this.ui.on('move', () => this.handleMove());
+        this.ui.on('gameOver', () => this.pause());
+        this.render();
+    }
+
+    // Set a time control for the current game; the clock starts with the next move
+    start(text) {
+        const control = ChessClock.parse(text);
+        this.stop();
+        this.clock = new ChessClock(control);
+        this.remote = false;
+        if (this.openBtn) this.openBtn.classList.add('active');
+        this.render();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.clock = null;
+        this.remote = false;
+        if (this.openBtn) this.openBtn.classList.remove('active');
+        this.render();
+        this.ui.updateStatus();
+        this.ui.updateStatePanel();
+    }
+
+    // New game with the same time control
+    restart() {
+        if (!this.clock || this.remote) return;
+        this.start(this.clock.control.text);
+        this.ui.updateStatus();
+    }
+
+    handleMove() {
+        if (!this.clock || this.remote || this.clock.flagged) return;
+
+        // The 'move' event fires after the move, so the mover is the side not to move
+        const mover = this.ui.game.turn() === 'w' ? 'b' : 'w';
+        if (!this.clock.press(mover)) {
+            this.flagFall();
+            return;
+        }
+        this.tick();
+    }
+
+    // The game ended on the board (mate, draw, resignation): both clocks keep the time they show
+    pause() {
+        if (!this.clock || this.remote || !this.clock.running) return;
+        this.clock.stop();
+        this.tick();
+    }
+
+    // Server clock of an online game (null when the game is untimed)
+    setRemote(json) {
+        if (!json) {
+            if (this.remote) this.stop();
+            return;
+        }
+        const wasFlagged = this.clock && this.clock.flagged;
+        this.clock = ChessClock.fromJSON(json);
+        this.remote = true;
+        if (!wasFlagged && this.clock.flagged) this.ui.updateStatus();
+        this.tick();
+    }
+
+    tick() {
+        if (this.clock && !this.remote && this.clock.checkFlag()) {
+            this.flagFall();
+            return;
+        }
+
+        this.render();
+        const running = this.clock && this.clock.running;
+        if (running && !this.timer) {
+            this.timer = setInterval(() => this.tick(), 100);
+        } else if (!running && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    flagFall() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.ui.clearSelection();
+        this.render();
+        this.ui.updateStatus();
+        this.ui.updateStatePanel();
+        this.ui.emit('gameOver', this.getFlagResult());
+    }
+
+    // Flag-fall loses, unless the opponent could not mate with any series of legal moves
+    getFlagResult() {
+        const loser = this.clock.flagged === 'w' ? 'white' : 'black';
+        const winner = loser === 'white' ? 'black' : 'white';
+        if (ClockPanel.hasInsufficientMaterial(this.ui.game, winner[0])) {
+            return { result: '1/2-1/2', reason: 'timeout_vs_insufficient_material', winner: null };
+        }
+        return { result: winner === 'white' ? '1-0' : '0-1', reason: 'timeout', winner };
+    }
+
+    static hasInsufficientMaterial(game, color) {
+        const pieces = [];
+        for (const row of game.board()) {
+            for (const piece of row) {
+                if (piece && piece.color === color && piece.type !== 'k') pieces.push(piece.type);
+            }
+        }
+        if (pieces.some(type => type === 'p' || type === 'r' || type === 'q')) return false;
+        return pieces.length === 0 || (pieces.length === 1 && (pieces[0] === 'n' || pieces[0] === 'b'));
+    }
+
+    isFlagged() {
+        return Boolean(this.clock && this.clock.flagged);
+    }
+
+    render() {
+        if (!this.topEl || !this.bottomEl) return;
+
+        // White's clock sits on White's side of the board
+        const bottom = this.ui.isFlipped ? 'b' : 'w';
+        const top = bottom === 'w' ? 'b' : 'w';
+        this.renderClock(this.topEl, top);
+        this.renderClock(this.bottomEl, bottom);
+    }
+
+    renderClock(el, color) {
+        el.hidden = !this.clock;
+        if (!this.clock) return;
+
+        const left = this.clock.timeLeft(color);
+        const low = left < ChessClock.LOW_TIME * 2;
+        if (low && !this.low[color] && this.clock.running === color && this.ui.movableColors.includes(color)) {
+            this.ui.sounds.play('lowTime');
+        }
+        this.low[color] = low;
+
+        el.textContent = ChessClock.format(left);
+        el.dataset.color = color;
+        el.classList.toggle('running', this.clock.running === color);
+        el.classList.toggle('low', low);
+        el.classList.toggle('flagged', this.clock.flagged === color);
+    }
+
+    getStatus() {
+        if (!this.isFlagged() || this.remote) return null;
+
+        const info = this.getFlagResult();
+        const loser = this.clock.flagged === 'w' ? 'White' : 'Black';
+        if (info.winner) {
+            const winner = loser === 'White' ? 'Black' : 'White';
+            return { text: `${loser} ran out of time · ${winner} wins`, className: 'checkmate' };
+        }
+        return { text: `${loser} ran out of time · Draw (insufficient material)`, className: 'draw' };
+    }
+
+    toJSON() {
+        return this.clock ? this.clock.toJSON() : null;
+    }
+}
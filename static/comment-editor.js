@@ -0,0 +1,110 @@
+/**
+ * Comment Editor
+ * - Text comment for the move on the board (or the start of the game), saved as the user types
+ * - Move glyphs (!, ?, !!, ??, !?, ?!) and position glyphs (=, ±, +−, ...) per move; one of
+ *   each kind at a time, clicking the active one removes it
+ * - Clear button for the arrows and circles drawn on the position
+ * - Everything is stored on the move's tree node, so it is exported with the PGN and state JSON
+ */
+
+class CommentEditor {
+    // [NAG, tooltip] in button order
+    static MOVE_GLYPHS = [
+        [3, 'Brilliant move'], [1, 'Good move'], [5, 'Interesting move'],
+        [6, 'Dubious move'], [2, 'Mistake'], [4, 'Blunder']
+    ];
+    static POSITION_GLYPHS = [
+        [18, 'White is winning'], [16, 'White is better'], [14, 'White is slightly better'], [10, 'Equal position'],
+        [13, 'Unclear position'], [15, 'Black is slightly better'], [17, 'Black is better'], [19, 'Black is winning']
+    ];
+
+    constructor(ui) {
+        this.ui = ui;
+        this.node = null;           // Node the text field shows
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.commentPanel;
+        this.textEl = refs.commentText;
+        this.glyphsEl = refs.commentGlyphs;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        this.renderButtons();
+        listen(this.textEl, 'input', () => this.edit({ comment: this.textEl.value }));
+        listen(this.glyphsEl, 'click', (e) => {
+            const glyphEl = e.target.closest('[data-nag]');
+            if (glyphEl) this.toggleNag(parseInt(glyphEl.dataset.nag, 10));
+        });
+        this.render();
+    }
+
+    renderButtons() {
+        this.glyphsEl.innerHTML = '';
+        for (const glyphs of [CommentEditor.MOVE_GLYPHS, CommentEditor.POSITION_GLYPHS]) {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'comment-glyph-group';
+            for (const [nag, title] of glyphs) {
+                const glyphEl = document.createElement('button');
+                glyphEl.className = 'comment-glyph';
+                glyphEl.dataset.nag = nag;
+                glyphEl.textContent = Pgn.NAG_SYMBOLS[nag];
+                glyphEl.title = title;
+                glyphEl.setAttribute('aria-label', title);
+                glyphEl.setAttribute('aria-pressed', 'false');
+                groupEl.appendChild(glyphEl);
+            }
+            this.glyphsEl.appendChild(groupEl);
+        }
+    }
+
+    // Called by ChessUI whenever the displayed position or the node's comment changes
+    render() {
+        if (!this.panelEl) return;
+
+        const node = this.ui.currentNode;
+        // Rewriting the field while the user types in it would move the caret
+        if (node !== this.node || document.activeElement !== this.textEl) this.textEl.value = node.comment;
+        this.node = node;
+        this.textEl.disabled = this.ui.readOnly;
+        this.textEl.placeholder = node.parent ? `Comment on ${this.moveLabel(node)}` : 'Comment on the game';
+
+        for (const glyphEl of this.glyphsEl.querySelectorAll('[data-nag]')) {
+            const active = node.nags.includes(parseInt(glyphEl.dataset.nag, 10));
+            glyphEl.classList.toggle('active', active);
+            glyphEl.setAttribute('aria-pressed', String(active));
+            // Glyphs belong to moves, not to the start position
+            glyphEl.disabled = this.ui.readOnly || !node.parent;
+        }
+    }
+
+    moveLabel(node) {
+        const tree = this.ui.tree;
+        return `${tree.moveNumber(node)}${tree.isWhiteMove(node) ? '.' : '...'}${node.san}`;
+    }
+
+    // Switch a glyph on or off; it replaces any other glyph of the same kind
+    toggleNag(nag) {
+        const node = this.ui.currentNode;
+        if (this.ui.readOnly || !node.parent) return;
+
+        const isMoveGlyph = CommentEditor.MOVE_GLYPHS.some(([glyph]) => glyph === nag);
+        const group = isMoveGlyph ? CommentEditor.MOVE_GLYPHS : CommentEditor.POSITION_GLYPHS;
+        const nags = node.nags.filter(other => !group.some(([glyph]) => glyph === other));
+        if (!node.nags.includes(nag)) nags.push(nag);
+        this.edit({ nags: nags.sort((a, b) => a - b) });
+    }
+
+    edit({ comment, nags }) {
+        const ui = this.ui;
+        if (ui.readOnly) return;
+
+        const node = ui.currentNode;
+        if (comment !== undefined) ui.setComment(comment, node.id);
+        if (nags !== undefined) ui.setNags(nags, node.id);
+        ui.emit('commentChanged', { nodeId: node.id, comment: node.comment, nags: [...node.nags] });
+    }
+}
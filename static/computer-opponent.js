@@ -0,0 +1,120 @@
+/**
+ * Computer Opponent
+ * - "Play vs computer": the user picks a color and a strength level
+ * - The computer's replies come from the server (/engine/move)
+ * - Board oriented for the user's side, input locked for the computer's color
+ */
+
+class ComputerOpponent {
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.color = null;      // Computer's color, 'w' | 'b'
+        this.level = 4;
+        this.thinking = false;
+        this.thinkingFen = null;
+        this.error = null;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.computerPanel;
+        this.openBtn = refs.computerBtn;
+        this.colorEl = refs.computerColor;
+        this.levelEl = refs.computerLevel;
+        this.startBtn = refs.computerStartBtn;
+        this.stopBtn = refs.computerStopBtn;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.openBtn, 'click', () => this.panelEl.classList.toggle('hidden'));
+        listen(this.startBtn, 'click', () => this.start(this.colorEl.value, parseInt(this.levelEl.value, 10)));
+        listen(this.stopBtn, 'click', () => this.stop());
+        listen(this.levelEl, 'change', () => { this.level = parseInt(this.levelEl.value, 10); });
+    }
+
+    // Start a new game against the computer; userColor is 'white', 'black' or 'random'
+    async start(userColor = 'white', level = this.level) {
+        if (userColor === 'random') userColor = Math.random() < 0.5 ? 'white' : 'black';
+
+        this.stop();
+        await this.ui.resetGame();
+
+        this.active = true;
+        this.level = level;
+        this.color = userColor === 'white' ? 'b' : 'w';
+        this.ui.setOrientation(userColor);
+        this.ui.setMovableColors(userColor);
+        if (this.openBtn) this.openBtn.classList.add('active');
+
+        this.positionChanged();
+    }
+
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.thinking = false;
+        this.thinkingFen = null;
+        this.error = null;
+        this.ui.setMovableColors(this.ui.options.movableColors);
+        if (this.openBtn) this.openBtn.classList.remove('active');
+        this.ui.updateStatus();
+    }
+
+    // Called by ChessUI whenever the displayed position changes
+    positionChanged() {
+        if (!this.active) return;
+
+        const game = this.ui.game;
+        const fen = game.fen();
+
+        // Only reply at the end of a line, so browsing back through the game stays possible
+        if (game.turn() !== this.color || this.ui.isGameOver() || this.ui.currentNode.children.length) return;
+        if (this.thinkingFen === fen) return;
+
+        this.requestMove(fen);
+    }
+
+    async requestMove(fen) {
+        this.thinking = true;
+        this.thinkingFen = fen;
+        this.error = null;
+        this.ui.updateStatus();
+
+        let data;
+        try {
+            data = await this.ui.request('/engine/move', { fen, level: this.level });
+        } catch (error) {
+            data = { error: error.message };
+        }
+
+        // The game may have been stopped, reset or navigated in the meantime
+        if (!this.active || this.thinkingFen !== fen) return;
+        this.thinking = false;
+
+        if (fen !== this.ui.game.fen() || !data.move) {
+            if (!data.move) {
+                console.error('Computer move failed:', data.error);
+                this.error = data.error || 'Computer move failed';
+            }
+            this.thinkingFen = null;
+            this.ui.updateStatus();
+            return;
+        }
+
+        // thinkingFen stays set until the move is in, so re-renders on the way don't ask again
+        await this.ui.makeMove(data.move);
+        this.thinkingFen = null;
+    }
+
+    // Replaces the normal status line while the computer is thinking or has failed
+    getStatus() {
+        if (!this.active) return null;
+        if (this.thinking && this.thinkingFen === this.ui.game.fen()) return { text: 'Computer is thinking…', className: 'thinking' };
+        if (this.error) return { text: `Computer error: ${this.error}`, className: 'engine-error' };
+        return null;
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Draw Tools
+ * - Toolbar under the board: Draw mode, annotation color, shape, undo and redo
+ * - Draw mode turns touch, pen and the left mouse button into drawing instead of moving pieces;
+ *   without it a long press on the board starts a stroke on touch screens
+ * - Shapes: arrow (a circle when the stroke ends where it started), square highlight, and ghost piece
+ *   (a see-through copy of the piece a stroke starts on, where the stroke ends)
+ * - The picked color is used for every stroke; Shift, Ctrl and Alt still pick Orange, Red and Blue
+ * - Undo and redo per position (Ctrl+Z, Ctrl+Y), covering strokes and clearing the arrows
+ */
+
+class DrawTools {
+    static COLORS = ['Green', 'Orange', 'Red', 'Blue'];
+
+    static SHAPES = {
+        arrow: { label: '➚', title: 'Arrows and circles' },
+        square: { label: '■', title: 'Highlight squares' },
+        ghost: { label: '♘', title: 'Ghost piece: draw from a piece to where it could go' }
+    };
+
+    // Milliseconds a finger has to rest on a square before it draws
+    static LONG_PRESS = 500;
+
+    // Changes kept for undo per position
+    static MAX_UNDO = 100;
+
+    constructor(ui) {
+        this.ui = ui;
+        this.mode = false;          // Draw mode: left button, touch and pen draw
+        this.color = 'Green';       // Color of strokes without a modifier key
+        this.shape = 'arrow';       // Key of DrawTools.SHAPES
+        this.history = new WeakMap(); // Tree node -> { undo: [annotations], redo: [annotations] }
+        this.press = null;          // { square, timer } of a touch that may become a long press
+
+        // DOM elements
+        this.toolbarEl = ui.refs.drawTools;
+    }
+
+    bindEvents() {
+        if (!this.toolbarEl) return;
+
+        this.renderButtons();
+        this.ui.listen(this.toolbarEl, 'click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.dataset.color) this.color = btn.dataset.color;
+            if (btn.dataset.shape) this.shape = btn.dataset.shape;
+            if (btn.dataset.draw === 'mode') this.setMode(!this.mode);
+            if (btn.dataset.draw === 'undo') this.undo();
+            if (btn.dataset.draw === 'redo') this.redo();
+            this.render();
+        });
+        this.render();
+    }
+
+    destroy() {
+        this.cancelPress();
+    }
+
+    renderButtons() {
+        const button = (attrs, label, title) => {
+            const btn = document.createElement('button');
+            btn.className = 'draw-btn';
+            Object.assign(btn.dataset, attrs);
+            btn.textContent = label;
+            btn.title = title;
+            btn.setAttribute('aria-label', title);
+            return btn;
+        };
+
+        this.toolbarEl.innerHTML = '';
+        const modeBtn = button({ draw: 'mode' }, '✎ Draw', 'Draw with touch, pen or the left mouse button');
+        modeBtn.setAttribute('aria-pressed', 'false');
+        this.toolbarEl.appendChild(modeBtn);
+
+        const groups = [
+            DrawTools.COLORS.map(color => button({ color }, '', color)),
+            Object.entries(DrawTools.SHAPES).map(([shape, { label, title }]) => button({ shape }, label, title)),
+            [button({ draw: 'undo' }, '↶', 'Undo (Ctrl+Z)'), button({ draw: 'redo' }, '↷', 'Redo (Ctrl+Y)')]
+        ];
+        for (const buttons of groups) {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'draw-group';
+            buttons.forEach(btn => groupEl.appendChild(btn));
+            this.toolbarEl.appendChild(groupEl);
+        }
+    }
+
+    // Called by ChessUI when the position or the annotation colors change
+    render() {
+        if (!this.toolbarEl) return;
+
+        const colors = this.ui.settings.arrowColors();
+        const stacks = this.stacks(this.ui.currentNode);
+        for (const btn of this.toolbarEl.querySelectorAll('button')) {
+            const { color, shape, draw } = btn.dataset;
+            if (color) btn.style.backgroundColor = colors[color];
+
+            const pressed = draw === 'mode' ? this.mode : (color && color === this.color) || (shape && shape === this.shape);
+            btn.classList.toggle('active', Boolean(pressed));
+            if (draw === 'mode' || color || shape) btn.setAttribute('aria-pressed', String(Boolean(pressed)));
+            if (draw === 'undo') btn.disabled = !stacks.undo.length;
+            if (draw === 'redo') btn.disabled = !stacks.redo.length;
+        }
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.ui.boardEl.classList.toggle('draw-mode', mode);
+        this.ui.clearSelection();
+        this.render();
+    }
+
+    // Stroke color: a held modifier key, otherwise the picked color
+    colorFor(modifiers) {
+        const keys = this.ui.annotationColors;
+        if (modifiers.ctrl) return keys.ctrl;
+        if (modifiers.shift) return keys.shift;
+        if (modifiers.alt) return keys.alt;
+        return this.color;
+    }
+
+    // What a stroke from one square to another draws with the current shape, or null for nothing:
+    // the same object the 'annotate' event carries
+    strokeFor(from, to, color) {
+        switch (this.shape) {
+            case 'square':
+                return { shape: 'square', square: to, color };
+            case 'ghost': {
+                // A tap on a ghost removes it; otherwise the ghost is a copy of the piece the stroke started on
+                const ghost = this.ui.annotations.ghosts.find(g => g.square === to);
+                const piece = this.ui.game.get(from);
+                if (from === to) return ghost ? { shape: 'ghost', square: to, piece: ghost.piece } : null;
+                return piece ? { shape: 'ghost', square: to, piece: PieceAnimator.code(piece) } : null;
+            }
+            default:
+                return from === to ? { shape: 'circle', square: from, color } : { shape: 'arrow', move: from + to, color };
+        }
+    }
+
+    // ==================== UNDO ====================
+
+    stacks(node) {
+        if (!this.history.has(node)) this.history.set(node, { undo: [], redo: [] });
+        return this.history.get(node);
+    }
+
+    // Called before the annotations of the current position change
+    record() {
+        const ui = this.ui;
+        const stacks = this.stacks(ui.currentNode);
+        stacks.undo.push(MoveTree.copyAnnotations(ui.annotations));
+        if (stacks.undo.length > DrawTools.MAX_UNDO) stacks.undo.shift();
+        stacks.redo = [];
+        this.render();
+    }
+
+    undo() {
+        this.step('undo', 'redo');
+    }
+
+    redo() {
+        this.step('redo', 'undo');
+    }
+
+    step(from, to) {
+        const ui = this.ui;
+        const stacks = this.stacks(ui.currentNode);
+        if (!stacks[from].length) return;
+
+        stacks[to].push(MoveTree.copyAnnotations(ui.annotations));
+        ui.replaceAnnotations(stacks[from].pop());
+        ui.emit('annotationsChanged', ui.annotations);
+        this.render();
+    }
+
+    // ==================== LONG PRESS ====================
+
+    // A touch went down on a square; drawing starts if it stays there long enough
+    pressStart(square, start) {
+        this.cancelPress();
+        if (!square) return;
+        this.press = {
+            square,
+            timer: setTimeout(() => {
+                this.press = null;
+                if (navigator.vibrate) navigator.vibrate(20);
+                start();
+            }, DrawTools.LONG_PRESS)
+        };
+    }
+
+    // The finger moved: leaving the square makes it a drag or a scroll instead
+    pressMove(square) {
+        if (this.press && square !== this.press.square) this.cancelPress();
+    }
+
+    cancelPress() {
+        if (!this.press) return;
+        clearTimeout(this.press.timer);
+        this.press = null;
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Embed Bridge
+ * - postMessage protocol between an iframe host page and ChessUI
+ * - Host commands in, board events out, limited to allow-listed origins
+ * - URL query parameters (?fen=, ?orientation=, ?readonly=, ?game=, ?variant=, ?premoves=, ?autosave=,
+ *   ?theme=, ?pieces=, ?coordinates=, ?animation=, ?sound=) mapped to ChessUI options
+ *
+ * Host -> board:  { type: 'command', command: 'setFen', id: 1, fen: '...' }
+ * Board -> host:  { source: 'chess-ui', type: 'response', id: 1, ok: true, result: {...} }
+ *                 { source: 'chess-ui', type: 'event', event: 'move', data: {...} }
+ */
+
+class EmbedBridge {
+    static SOURCE = 'chess-ui';
+
+    static EVENTS = ['move', 'gameOver', 'annotationsChanged', 'commentChanged', 'connectionChanged'];
+
+    constructor(ui) {
+        this.ui = ui;
+        this.allowedOrigins = [];
+        this.isEmbedded = window.parent && window.parent !== window;
+
+        this.commands = {
+            setFen: async (msg) => {
+                const data = await this.ui.setPosition(msg.fen);
+                if (!data.valid) throw new Error((data.errors || [data.error]).join('; '));
+                return { fen: data.fen };
+            },
+            flip: () => {
+                this.ui.flipBoard();
+                return { orientation: this.ui.getOrientation() };
+            },
+            setOrientation: (msg) => {
+                this.ui.setOrientation(msg.orientation);
+                return { orientation: this.ui.getOrientation() };
+            },
+            setAnnotations: (msg) => {
+                this.ui.setAnnotations(msg.annotations);
+                return { annotations: this.ui.annotations };
+            },
+            getAnnotations: () => ({ annotations: this.ui.annotations }),
+            setComment: (msg) => {
+                this.ui.setComment(msg.comment, msg.nodeId);
+                return this.commentOf(msg.nodeId);
+            },
+            setNags: (msg) => {
+                this.ui.setNags(msg.nags, msg.nodeId);
+                return this.commentOf(msg.nodeId);
+            },
+            setReadOnly: (msg) => {
+                this.ui.setReadOnly(Boolean(msg.readonly));
+                return { readonly: this.ui.readOnly };
+            },
+            getState: () => this.ui.getState(),
+            reset: async (msg) => {
+                await this.ui.resetGame(msg.variant, msg.start ?? null);
+                return { fen: this.ui.game.fen(), variant: this.ui.game.variant };
+            }
+        };
+
+        this.start();
+    }
+
+    async start() {
+        if (!this.isEmbedded) return;
+        await this.ui.ready;
+
+        this.allowedOrigins = await this.loadAllowedOrigins();
+        window.addEventListener('message', (e) => this.handleMessage(e));
+
+        for (const event of EmbedBridge.EVENTS) {
+            this.ui.on(event, (data) => this.post({ type: 'event', event, data }));
+        }
+        this.post({ type: 'event', event: 'ready', data: this.ui.getState() });
+    }
+
+    // ChessUI options taken from the page URL
+    static readUrlOptions(params) {
+        const options = {};
+
+        const fen = params.get('fen');
+        if (fen) options.fen = fen;
+
+        const orientation = params.get('orientation');
+        if (orientation === 'white' || orientation === 'black') options.orientation = orientation;
+
+        const readonly = params.get('readonly');
+        if (readonly === '1' || readonly === 'true') options.readOnly = true;
+
+        const game = params.get('game');
+        if (game) options.game = game;
+
+        const variant = params.get('variant');
+        if (variant && VariantGame.VARIANTS[variant]) options.variant = variant;
+
+        const premoves = parseInt(params.get('premoves'), 10);
+        if (premoves >= 0) options.premoves = premoves;
+
+        const autosave = params.get('autosave');
+        if (autosave === '0' || autosave === 'false') options.autosave = false;
+
+        const theme = params.get('theme');
+        if (theme && BoardSettings.BOARD_THEMES[theme]) options.boardTheme = theme;
+
+        const pieces = params.get('pieces');
+        if (pieces && BoardSettings.PIECE_SETS[pieces]) options.pieceTheme = pieces;
+
+        const coordinates = params.get('coordinates');
+        if (coordinates && BoardSettings.COORDINATES[coordinates]) options.coordinates = coordinates;
+
+        const animation = parseInt(params.get('animation'), 10);
+        if (animation >= 0) options.animationSpeed = animation;
+
+        const sound = params.get('sound');
+        if (sound === '0' || sound === 'false') options.sound = false;
+
+        return options;
+    }
+
+    async loadAllowedOrigins() {
+        try {
+            const data = await this.ui.request('/embed-config');
+            return data.allowed_origins || [];
+        } catch (error) {
+            // Without a config nobody may drive the board
+            console.error('Failed to load embed config:', error);
+            return [];
+        }
+    }
+
+    // Comment and NAGs of a move (the current one if no node ID is given)
+    commentOf(nodeId) {
+        const node = nodeId === undefined ? this.ui.currentNode : this.ui.getNode(nodeId);
+        return { nodeId: node.id, comment: node.comment, nags: [...node.nags] };
+    }
+
+    isAllowedOrigin(origin) {
+        return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+    }
+
+    async handleMessage(e) {
+        if (e.source !== window.parent || !this.isAllowedOrigin(e.origin)) return;
+
+        const msg = e.data;
+        if (!msg || msg.type !== 'command') return;
+
+        const reply = (payload) => this.post({ type: 'response', id: msg.id, ...payload }, e.origin);
+
+        const handler = this.commands[msg.command];
+        if (!handler) {
+            reply({ ok: false, error: `Unknown command "${msg.command}"` });
+            return;
+        }
+
+        try {
+            reply({ ok: true, result: await handler(msg) });
+        } catch (error) {
+            reply({ ok: false, error: error.message });
+        }
+    }
+
+    post(message, targetOrigin) {
+        if (!this.isEmbedded) return;
+
+        const payload = { source: EmbedBridge.SOURCE, ...message };
+        if (targetOrigin) {
+            window.parent.postMessage(payload, targetOrigin);
+            return;
+        }
+
+        // Events go to every allowed origin; the browser drops mismatches
+        const origins = this.allowedOrigins.includes('*') ? ['*'] : this.allowedOrigins;
+        for (const origin of origins) {
+            window.parent.postMessage(payload, origin);
+        }
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Engine Analysis
+ * - Runs the server's UCI engine (/analyze) on the current position
+ * - Evaluation bar, principal variations in SAN, best-move arrows
+ * - Engine arrows are drawn on the annotation layer but never stored with the user's annotations
+ */
+
+class EngineAnalysis {
+    // Arrow colors per PV, best line first
+    static ARROW_COLORS = [
+        'rgba(120, 60, 190, 0.75)',
+        'rgba(120, 60, 190, 0.45)',
+        'rgba(120, 60, 190, 0.3)'
+    ];
+
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.result = null;     // Last /analyze response for the current position
+        this.requestId = 0;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.analysisPanel;
+        this.toggleBtn = refs.analysisBtn;
+        this.linesEl = refs.analysisLines;
+        this.infoEl = refs.analysisInfo;
+        this.depthEl = refs.analysisDepth;
+        this.multipvEl = refs.analysisMultipv;
+        this.evalBarEl = refs.evalBar;
+        this.evalFillEl = refs.evalFill;
+        this.evalTextEl = refs.evalText;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.toggleBtn, 'click', () => this.toggle());
+        listen(this.depthEl, 'change', () => this.analyze());
+        listen(this.multipvEl, 'change', () => this.analyze());
+
+        // Clicking a PV plays its first move
+        listen(this.linesEl, 'click', (e) => {
+            const lineEl = e.target.closest('[data-move]');
+            if (lineEl && !this.ui.readOnly) this.ui.makeMove(lineEl.dataset.move);
+        });
+    }
+
+    toggle() {
+        this.active = !this.active;
+        this.toggleBtn.classList.toggle('active', this.active);
+        this.panelEl.classList.toggle('hidden', !this.active);
+        if (this.evalBarEl) this.evalBarEl.classList.toggle('hidden', !this.active);
+
+        if (this.active) {
+            this.analyze();
+        } else {
+            this.requestId++;
+            this.result = null;
+            this.ui.renderAnnotations();
+        }
+    }
+
+    // Called by ChessUI whenever the displayed position changes
+    positionChanged() {
+        if (!this.active) return;
+        if (this.result && this.result.fen === this.ui.game.fen()) return;
+        this.analyze();
+    }
+
+    async analyze() {
+        if (!this.active) return;
+
+        const id = ++this.requestId;
+        const fen = this.ui.game.fen();
+        this.result = null;
+        this.infoEl.textContent = 'Analyzing…';
+        this.ui.renderAnnotations();
+
+        let data;
+        try {
+            data = await this.ui.request('/analyze', {
+                fen,
+                depth: parseInt(this.depthEl.value, 10),
+                multipv: parseInt(this.multipvEl.value, 10)
+            });
+        } catch (error) {
+            data = { error: error.message };
+        }
+
+        // Drop answers for positions that have been left in the meantime
+        if (id !== this.requestId || fen !== this.ui.game.fen()) return;
+
+        if (data.error || !data.lines) {
+            this.infoEl.textContent = data.error || 'Analysis failed';
+            this.linesEl.innerHTML = '';
+            this.renderEval(null);
+            return;
+        }
+
+        this.result = { ...data, fen };
+        this.render();
+        this.ui.renderAnnotations();
+    }
+
+    render() {
+        const { lines, engine } = this.result;
+        const best = lines[0];
+        this.infoEl.textContent = best
+            ? `${engine || 'Engine'} · depth ${best.depth ?? '?'}`
+            : 'No legal moves';
+
+        this.linesEl.innerHTML = '';
+        for (const line of lines) {
+            const lineEl = document.createElement('div');
+            lineEl.className = 'analysis-line';
+            lineEl.dataset.move = line.pv[0];
+
+            const scoreEl = document.createElement('span');
+            scoreEl.className = 'analysis-score';
+            scoreEl.textContent = EngineAnalysis.formatScore(line.score);
+
+            const pvEl = document.createElement('span');
+            pvEl.className = 'analysis-pv';
+            pvEl.textContent = this.formatLine(line.san);
+
+            lineEl.append(scoreEl, pvEl);
+            this.linesEl.appendChild(lineEl);
+        }
+
+        this.renderEval(best ? best.score : null);
+    }
+
+    renderEval(score) {
+        if (!this.evalBarEl) return;
+
+        const white = score ? EngineAnalysis.whiteShare(score) : 50;
+        this.evalFillEl.style.height = `${white}%`;
+        this.evalTextEl.textContent = score ? EngineAnalysis.formatScore(score) : '';
+    }
+
+    // SAN moves with move numbers, starting from the current position
+    formatLine(sanMoves) {
+        const [, turn, , , , fullmove = '1'] = this.ui.game.fen().split(' ');
+        let number = parseInt(fullmove, 10);
+        let white = turn === 'w';
+
+        return sanMoves.map((san, idx) => {
+            let text = san;
+            if (white) text = `${number}. ${san}`;
+            else if (idx === 0) text = `${number}... ${san}`;
+            if (!white) number++;
+            white = !white;
+            return text;
+        }).join(' ');
+    }
+
+    // Draws the best move of each line; called from ChessUI.renderAnnotations()
+    drawArrows(squareSize) {
+        if (!this.active || !this.result || this.result.fen !== this.ui.game.fen()) return;
+
+        this.result.lines.forEach((line, idx) => {
+            const move = line.pv[0];
+            const color = EngineAnalysis.ARROW_COLORS[Math.min(idx, EngineAnalysis.ARROW_COLORS.length - 1)];
+            this.ui.drawArrow(move.substring(0, 2), move.substring(2, 4), color, squareSize);
+        });
+    }
+
+    static formatScore(score) {
+        if (score.mate !== undefined && score.mate !== null) {
+            return score.mate > 0 ? `#${score.mate}` : `#-${Math.abs(score.mate)}`;
+        }
+        const pawns = score.cp / 100;
+        return (pawns > 0 ? '+' : '') + pawns.toFixed(2);
+    }
+
+    // Percentage of the bar that belongs to White (same curve as Lichess)
+    static whiteShare(score) {
+        if (score.mate !== undefined && score.mate !== null) return score.mate > 0 ? 100 : 0;
+        const winning = 2 / (1 + Math.exp(-0.00368208 * score.cp)) - 1;
+        return 50 + 50 * winning;
+    }
+}
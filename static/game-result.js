@@ -0,0 +1,207 @@
+/**
+ * Game Result
+ * - Claim a draw (threefold repetition, 50-move rule), offer or accept a draw, resign
+ * - Claims are checked by the rules API against the moves of the game (/claim-draw)
+ * - Against the computer the engine answers a draw offer (/engine/draw); on a shared board the
+ *   other player accepts or declines, and any move declines
+ * - The result is kept on the move where the game ended (node.result), which locks input there
+ * - Status line text for every way a game can end
+ */
+
+class GameResult {
+    // Status line per outcome reason (see outcome_json in app.py); variant wins use VariantGame.END_MESSAGES
+    static REASONS = {
+        checkmate: (winner) => `Checkmate! ${winner} wins`,
+        resignation: (winner, loser) => `${loser} resigned · ${winner} wins`,
+        timeout: (winner, loser) => `${loser} ran out of time · ${winner} wins`,
+        timeout_vs_insufficient_material: () => 'Time ran out · Draw (insufficient material)',
+        stalemate: () => 'Stalemate - Draw',
+        insufficient_material: () => 'Draw by insufficient material',
+        threefold_repetition: () => 'Draw by threefold repetition',
+        fivefold_repetition: () => 'Draw by fivefold repetition',
+        fifty_moves: () => 'Draw by the 50-move rule',
+        seventyfive_moves: () => 'Draw by the 75-move rule',
+        agreement: () => 'Draw by agreement'
+    };
+
+    constructor(ui) {
+        this.ui = ui;
+        this.drawOffer = null;      // { color, node } of an offer on a shared board, until answered or a move
+        this.pending = false;       // A claim or offer is waiting for the server
+        this.message = null;        // { text, node } answer shown under the buttons
+
+        // DOM elements
+        const refs = ui.refs;
+        this.buttonsEl = refs.resultButtons;
+        this.infoEl = refs.resultInfo;
+    }
+
+    bindEvents() {
+        if (!this.buttonsEl) return;
+
+        const actions = {
+            claim: () => this.claimDraw(),
+            offer: () => this.offerDraw(),
+            accept: () => this.answerDraw(true),
+            decline: () => this.answerDraw(false),
+            resign: () => this.resign()
+        };
+        this.ui.listen(this.buttonsEl, 'click', (e) => {
+            const btn = e.target.closest('[data-result]');
+            if (btn) actions[btn.dataset.result]();
+        });
+        this.render();
+    }
+
+    static text(outcome) {
+        const winner = outcome.winner === 'white' ? 'White' : 'Black';
+        const loser = winner === 'White' ? 'Black' : 'White';
+        const variantEnd = VariantGame.END_MESSAGES[outcome.reason];
+
+        if (variantEnd) return `${variantEnd}! ${winner} wins`;
+        if (GameResult.REASONS[outcome.reason]) return GameResult.REASONS[outcome.reason](winner, loser);
+        return outcome.result === '1/2-1/2' ? 'Draw' : `${winner} wins`;
+    }
+
+    static draw(reason) {
+        return { result: '1/2-1/2', reason, winner: null };
+    }
+
+    // Side the buttons act for: the user's against the computer, otherwise the side to move
+    player() {
+        const ui = this.ui;
+        if (ui.opponent.active) return ui.opponent.color === 'w' ? 'b' : 'w';
+        return ui.game.turn();
+    }
+
+    // Only at the end of a running local game; online games have their own buttons
+    canAct() {
+        const ui = this.ui;
+        if (ui.readOnly || ui.online.active || ui.puzzle.active || ui.editor.active || this.pending) return false;
+        return !ui.currentNode.children.length && !ui.isGameOver() && !ui.clockPanel.isFlagged();
+    }
+
+    isButtonVisible(action) {
+        const ui = this.ui;
+        if (!this.canAct()) return false;
+
+        switch (action) {
+            case 'claim': return Boolean(ui.claimableDraw) && ui.movableColors.includes(ui.game.turn());
+            case 'offer':
+            case 'resign': return !this.drawOffer;
+            case 'accept':
+            case 'decline': return Boolean(this.drawOffer);
+            default: return false;
+        }
+    }
+
+    render() {
+        if (!this.buttonsEl) return;
+
+        const ui = this.ui;
+        if (this.drawOffer && this.drawOffer.node !== ui.currentNode) this.drawOffer = null;
+        if (this.message && this.message.node !== ui.currentNode) this.message = null;
+
+        for (const btn of this.buttonsEl.querySelectorAll('[data-result]')) {
+            btn.hidden = !this.isButtonVisible(btn.dataset.result);
+        }
+        const resign = this.buttonsEl.querySelector('[data-result="resign"]');
+        if (resign) resign.title = `${this.player() === 'w' ? 'White' : 'Black'} resigns`;
+
+        if (!this.infoEl) return;
+        if (this.drawOffer) {
+            this.infoEl.textContent = `${this.drawOffer.color === 'w' ? 'White' : 'Black'} offers a draw`;
+        } else if (this.message) {
+            this.infoEl.textContent = this.message.text;
+        } else if (this.isButtonVisible('claim')) {
+            const rule = ui.claimableDraw === 'fifty_moves' ? 'the 50-move rule' : 'threefold repetition';
+            this.infoEl.textContent = `${ui.game.turn() === 'w' ? 'White' : 'Black'} can claim a draw by ${rule}`;
+        } else {
+            this.infoEl.textContent = '';
+        }
+    }
+
+    // ==================== ACTIONS ====================
+
+    async claimDraw() {
+        const ui = this.ui;
+        const node = ui.currentNode;
+        const data = await this.ask('/claim-draw', { fen: node.fen, variant: ui.game.variant, ...ui.historyOf(node) });
+        if (ui.currentNode !== node) return;
+
+        if (data.valid) {
+            this.finish(data.outcome);
+        } else {
+            this.show(data.error || 'The draw claim failed');
+        }
+    }
+
+    async offerDraw() {
+        const ui = this.ui;
+        const node = ui.currentNode;
+        if (!ui.opponent.active) {
+            this.drawOffer = { color: this.player(), node };
+            this.render();
+            return;
+        }
+
+        const color = ui.opponent.color === 'w' ? 'white' : 'black';
+        const data = await this.ask('/engine/draw', { fen: node.fen, color });
+        if (ui.currentNode !== node || !ui.opponent.active) return;
+
+        if (data.accepted) {
+            this.finish(GameResult.draw('agreement'));
+        } else {
+            this.show(data.error || 'The computer declines the draw');
+        }
+    }
+
+    answerDraw(accept) {
+        if (!this.drawOffer) return;
+        this.drawOffer = null;
+        if (accept) {
+            this.finish(GameResult.draw('agreement'));
+        } else {
+            this.show('Draw declined');
+        }
+    }
+
+    resign() {
+        const winner = this.player() === 'w' ? 'black' : 'white';
+        this.finish({ result: winner === 'white' ? '1-0' : '0-1', reason: 'resignation', winner });
+    }
+
+    // End the game at the current move
+    finish(outcome) {
+        const ui = this.ui;
+        ui.currentNode.result = outcome;
+        this.drawOffer = null;
+        this.message = null;
+
+        ui.premoves.clear();
+        ui.clearSelection();
+        ui.renderPosition();
+        ui.library.scheduleAutosave();
+        ui.emit('gameOver', outcome);
+    }
+
+    // Request while the buttons are hidden, so a claim or offer is not sent twice
+    async ask(path, body) {
+        this.pending = true;
+        this.render();
+        let data;
+        try {
+            data = await this.ui.request(path, body);
+        } catch (error) {
+            data = { error: error.message };
+        }
+        this.pending = false;
+        this.render();
+        return data;
+    }
+
+    show(text) {
+        this.message = { text, node: this.ui.currentNode };
+        this.render();
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * Insight Overlays
+ * - Coaching overlays for the current position from the server (/insights), each switched on and off on its own
+ * - Attacked squares as a heat map per side, darker the more pieces attack a square
+ * - Hanging pieces: a dashed ring when undefended, a solid ring when en prise
+ * - Pins, as a line from the pinned piece to the piece pinning it; the kings' escape squares as dots
+ * - Drawn on the annotation layer under the user's arrows, never stored with the user's annotations
+ */
+
+class InsightOverlays {
+    static OVERLAYS = {
+        attacks: 'Attacked squares',
+        hanging: 'Hanging pieces',
+        pins: 'Pins',
+        kings: 'King escape squares'
+    };
+
+    // Heat map colors per side; the opacity grows with the number of attackers up to MAX_HEAT
+    static SIDE_COLORS = { white: '40, 110, 220', black: '220, 50, 50' };
+    static HEAT_STEP = 0.15;
+    static MAX_HEAT = 0.6;
+
+    static HANGING_COLOR = 'rgba(230, 120, 0, 0.9)';
+    static EN_PRISE_COLOR = 'rgba(210, 30, 30, 0.9)';
+    static PIN_COLOR = 'rgba(150, 50, 200, 0.85)';
+    static ESCAPE_COLOR = 'rgba(20, 150, 70, 0.85)';
+    static NO_ESCAPE_COLOR = 'rgba(210, 30, 30, 0.85)';
+
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.shown = new Set(Object.keys(InsightOverlays.OVERLAYS));
+        this.result = null;     // Last /insights response for the current position
+        this.requestId = 0;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.insightsPanel;
+        this.toggleBtn = refs.insightsBtn;
+        this.optionsEl = refs.insightsOptions;
+        this.infoEl = refs.insightsInfo;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        this.renderOptions();
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.toggleBtn, 'click', () => this.toggle());
+        listen(this.optionsEl, 'change', (e) => {
+            const overlay = e.target.dataset.overlay;
+            if (!overlay) return;
+            if (e.target.checked) {
+                this.shown.add(overlay);
+            } else {
+                this.shown.delete(overlay);
+            }
+            this.ui.renderAnnotations();
+        });
+    }
+
+    renderOptions() {
+        this.optionsEl.innerHTML = '';
+        for (const [overlay, label] of Object.entries(InsightOverlays.OVERLAYS)) {
+            const labelEl = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.dataset.overlay = overlay;
+            input.checked = this.shown.has(overlay);
+            labelEl.append(input, ` ${label}`);
+            this.optionsEl.appendChild(labelEl);
+        }
+    }
+
+    toggle() {
+        this.active = !this.active;
+        this.toggleBtn.classList.toggle('active', this.active);
+        this.panelEl.classList.toggle('hidden', !this.active);
+
+        if (this.active) {
+            this.refresh();
+        } else {
+            this.requestId++;
+            this.result = null;
+            this.ui.renderAnnotations();
+        }
+    }
+
+    // Called by ChessUI whenever the displayed position changes
+    positionChanged() {
+        if (!this.active) return;
+        if (this.result && this.result.fen === this.ui.game.fen()) return;
+        this.refresh();
+    }
+
+    async refresh() {
+        if (!this.active) return;
+
+        const id = ++this.requestId;
+        const fen = this.ui.game.fen();
+        this.result = null;
+        this.infoEl.textContent = 'Loading…';
+        this.ui.renderAnnotations();
+
+        let data;
+        try {
+            data = await this.ui.request('/insights', { fen, variant: this.ui.game.variant });
+        } catch (error) {
+            data = { error: error.message };
+        }
+
+        // Drop answers for positions that have been left in the meantime
+        if (id !== this.requestId || fen !== this.ui.game.fen()) return;
+
+        if (data.error || !data.attacks) {
+            this.infoEl.textContent = data.error || 'No insights for this position';
+            this.ui.renderAnnotations();
+            return;
+        }
+
+        this.result = { ...data, fen };
+        this.infoEl.textContent = this.summary();
+        this.ui.renderAnnotations();
+    }
+
+    summary() {
+        const { hanging, pins } = this.result;
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const enPrise = hanging.filter(piece => piece.en_prise).length;
+        return `${count(hanging.length, 'hanging piece')} (${enPrise} en prise) · ${count(pins.length, 'pin')}`;
+    }
+
+    // ==================== DRAWING ====================
+
+    // Draws the switched-on overlays; called from ChessUI.renderAnnotations() before the user's annotations
+    draw(squareSize) {
+        if (!this.active || !this.result || this.result.fen !== this.ui.game.fen()) return;
+
+        const group = InsightOverlays.svg('g', { class: 'insights' });
+        const { attacks, hanging, pins, kings } = this.result;
+
+        if (this.shown.has('attacks')) {
+            for (const [side, squares] of Object.entries(attacks)) {
+                for (const [square, count] of Object.entries(squares)) {
+                    const opacity = Math.min(count * InsightOverlays.HEAT_STEP, InsightOverlays.MAX_HEAT);
+                    const { x, y } = this.ui.getSquareCenter(square, squareSize);
+                    group.appendChild(InsightOverlays.svg('rect', {
+                        x: x - squareSize / 2, y: y - squareSize / 2, width: squareSize, height: squareSize,
+                        fill: `rgba(${InsightOverlays.SIDE_COLORS[side]}, ${opacity})`
+                    }));
+                }
+            }
+        }
+
+        if (this.shown.has('hanging')) {
+            for (const piece of hanging) {
+                const { x, y } = this.ui.getSquareCenter(piece.square, squareSize);
+                group.appendChild(InsightOverlays.svg('circle', {
+                    cx: x, cy: y, r: squareSize * 0.42, fill: 'none',
+                    stroke: piece.en_prise ? InsightOverlays.EN_PRISE_COLOR : InsightOverlays.HANGING_COLOR,
+                    'stroke-width': squareSize * 0.06,
+                    'stroke-dasharray': piece.en_prise ? 'none' : `${squareSize * 0.12} ${squareSize * 0.08}`
+                }));
+            }
+        }
+
+        if (this.shown.has('pins')) {
+            for (const pin of pins) {
+                const from = this.ui.getSquareCenter(pin.square, squareSize);
+                const to = this.ui.getSquareCenter(pin.pinner, squareSize);
+                group.appendChild(InsightOverlays.svg('line', {
+                    x1: from.x, y1: from.y, x2: to.x, y2: to.y,
+                    stroke: InsightOverlays.PIN_COLOR, 'stroke-width': squareSize * 0.06, 'stroke-linecap': 'round',
+                    'stroke-dasharray': `${squareSize * 0.15} ${squareSize * 0.1}`
+                }));
+                group.appendChild(InsightOverlays.svg('circle', {
+                    cx: from.x, cy: from.y, r: squareSize * 0.1, fill: InsightOverlays.PIN_COLOR
+                }));
+            }
+        }
+
+        if (this.shown.has('kings')) {
+            for (const king of Object.values(kings)) {
+                if (!king) continue;
+                for (const square of king.escapes) {
+                    const { x, y } = this.ui.getSquareCenter(square, squareSize);
+                    group.appendChild(InsightOverlays.svg('circle', {
+                        cx: x, cy: y, r: squareSize * 0.12, fill: InsightOverlays.ESCAPE_COLOR
+                    }));
+                }
+                // A king with nowhere to go gets a ring of its own
+                if (!king.escapes.length) {
+                    const { x, y } = this.ui.getSquareCenter(king.square, squareSize);
+                    group.appendChild(InsightOverlays.svg('circle', {
+                        cx: x, cy: y, r: squareSize * 0.45, fill: 'none',
+                        stroke: InsightOverlays.NO_ESCAPE_COLOR, 'stroke-width': squareSize * 0.04
+                    }));
+                }
+            }
+        }
+
+        this.ui.drawingLayer.appendChild(group);
+    }
+
+    static svg(name, attrs) {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+        for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+        return el;
+    }
+}
@@ -0,0 +1,537 @@
+/**
+ * Library Panel
+ * - Saved games and multi-chapter studies on the server (/library), kept across page reloads
+ * - List, open, rename, duplicate and delete games, studies and chapters
+ * - Comments and arrows/circles are saved with the moves (PGN), plus the board orientation
+ * - Autosave: the game on the board is saved as it changes, into the game or chapter it was
+ *   opened from, and opened again after a reload
+ * - The whole library can be exported as one PGN file
+ */
+
+class LibraryPanel {
+    static CURRENT_KEY = 'chess-ui:library-current';
+
+    static OPS = {
+        rename: { label: '✎', title: 'Rename' },
+        duplicate: { label: '⧉', title: 'Duplicate' },
+        delete: { label: '✕', title: 'Delete' }
+    };
+
+    // Quiet time after the last change before the game is autosaved
+    static AUTOSAVE_DELAY = 1000;
+
+    constructor(ui) {
+        this.ui = ui;
+        this.current = null;        // Entry the board's game is saved in: { kind: 'game' | 'chapter', id, studyId, name }
+        this.tree = null;           // Tree of that entry; another tree on the board is a new game
+        this.lastSaved = null;      // PGN and orientation last saved, to skip unchanged saves
+        this.saving = Promise.resolve();
+        this.saveTimer = null;
+        this.games = [];
+        this.studies = [];
+        this.study = null;          // Expanded study, with its chapters; new chapters go there
+        this.confirmEl = null;      // Delete button waiting for its second click
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.libraryPanel;
+        this.openBtn = refs.libraryBtn;
+        this.nameEl = refs.libraryName;
+        this.saveBtn = refs.librarySaveBtn;
+        this.studyBtn = refs.libraryStudyBtn;
+        this.chapterBtn = refs.libraryChapterBtn;
+        this.exportLink = refs.libraryExport;
+        this.infoEl = refs.libraryInfo;
+        this.listEl = refs.libraryList;
+    }
+
+    bindEvents() {
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        this.ui.on('annotationsChanged', () => this.scheduleAutosave());
+        if (!this.panelEl) return;
+
+        this.exportLink.href = `${this.ui.serverUrl}/library/export`;
+        listen(this.openBtn, 'click', () => {
+            this.panelEl.classList.toggle('hidden');
+            if (!this.panelEl.classList.contains('hidden')) this.refresh();
+        });
+        listen(this.saveBtn, 'click', () => this.saveGame());
+        listen(this.studyBtn, 'click', () => this.createStudy());
+        listen(this.chapterBtn, 'click', () => this.addChapter());
+        listen(this.listEl, 'click', (e) => {
+            const opEl = e.target.closest('[data-op]');
+            if (opEl) this.handleOp(opEl, opEl.closest('.library-item'));
+        });
+        this.renderList();
+    }
+
+    destroy() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+    }
+
+    // ==================== AUTOSAVE ====================
+
+    // Games are saved while the user plays or analyses; online games and puzzles have their own source
+    canAutosave() {
+        const ui = this.ui;
+        return Boolean(ui.options.autosave) && ui.useServer && !ui.readOnly && ui.game.isStandard &&
+            !ui.online.active && !ui.puzzle.active;
+    }
+
+    // Called by ChessUI whenever the displayed position or the orientation changes
+    positionChanged() {
+        this.scheduleAutosave();
+    }
+
+    scheduleAutosave() {
+        if (!this.canAutosave()) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.autosave();
+        }, LibraryPanel.AUTOSAVE_DELAY);
+    }
+
+    // Saves run one after another, so a new game is only created once
+    autosave() {
+        this.saving = this.saving
+            .then(() => this.saveCurrent())
+            .catch(error => console.error('Autosave failed:', error));
+        return this.saving;
+    }
+
+    async saveCurrent() {
+        const ui = this.ui;
+        if (!this.canAutosave()) return;
+        if (ui.tree !== this.tree) this.setCurrent(null, null);
+        // An untouched board is not worth a library entry
+        if (!this.current && !ui.tree.root.children.length) return;
+
+        const body = this.snapshot();
+        const key = JSON.stringify(body);
+        if (key === this.lastSaved) return;
+
+        const tree = ui.tree;
+        const data = this.current
+            ? await this.send(this.entryPath(this.current), body, 'PATCH')
+            : await this.send('/library/games', { name: LibraryPanel.defaultName(tree), ...body });
+        if (data.error) {
+            console.error('Autosave failed:', data.error);
+            this.showInfo(`Not saved: ${data.error}`);
+            // The entry was deleted elsewhere; the next change starts a new one
+            if (/not found/i.test(data.error)) this.setCurrent(null, null);
+            return;
+        }
+
+        if (!this.current && ui.tree === tree) this.setCurrent({ kind: 'game', id: data.id, name: data.name }, tree);
+        this.lastSaved = key;
+        this.showInfo(`Saved “${this.current ? this.current.name : data.name}”`);
+        if (this.isOpen()) this.refresh();
+    }
+
+    snapshot() {
+        return { pgn: this.ui.exportPgn(), orientation: this.ui.getOrientation() };
+    }
+
+    setCurrent(entry, tree) {
+        this.current = entry;
+        this.tree = tree;
+        this.lastSaved = entry ? JSON.stringify(this.snapshot()) : null;
+        LibraryPanel.saveCurrentRef(entry && { kind: entry.kind, id: entry.id, studyId: entry.studyId });
+        if (this.nameEl) this.nameEl.value = entry ? entry.name : '';
+        this.renderList();
+    }
+
+    // Called by ChessUI.init(): reopens the game that was on the board before the page was reloaded
+    async restore() {
+        const ref = LibraryPanel.loadCurrentRef();
+        if (!ref || !this.canAutosave()) return false;
+
+        const entry = await this.fetchEntry(ref);
+        // The user may have started a game of their own in the meantime
+        if (entry.error || this.ui.tree.root.children.length) return false;
+        if (!this.open(entry, ref.kind, ref.studyId)) return false;
+
+        this.ui.goToNode(this.ui.tree.lineEnd(this.ui.tree.root));
+        return true;
+    }
+
+    async fetchEntry(ref) {
+        if (ref.kind === 'game') return this.send(`/library/games/${ref.id}`);
+
+        const study = await this.send(`/library/studies/${ref.studyId}`);
+        if (study.error) return study;
+        return study.chapters.find(chapter => chapter.id === ref.id) || { error: 'Chapter not found' };
+    }
+
+    // Put a saved game or chapter on the board; false if it cannot be loaded
+    open(entry, kind, studyId) {
+        const ui = this.ui;
+        if (ui.readOnly || ui.online.active) return false;
+
+        try {
+            ui.loadPgn(entry.pgn);
+        } catch (error) {
+            this.showInfo(error.message);
+            return false;
+        }
+        ui.setOrientation(entry.orientation);
+        this.setCurrent({ kind, id: entry.id, studyId, name: entry.name }, ui.tree);
+        return true;
+    }
+
+    // ==================== LIBRARY ====================
+
+    isOpen() {
+        return Boolean(this.panelEl) && !this.panelEl.classList.contains('hidden');
+    }
+
+    async refresh() {
+        const data = await this.send('/library');
+        if (data.error) {
+            this.showInfo(`Library unavailable: ${data.error}`);
+            return;
+        }
+        this.games = data.games;
+        this.studies = data.studies;
+
+        if (this.study) {
+            const study = await this.send(`/library/studies/${this.study.id}`);
+            this.study = study.error ? null : study;
+        }
+        this.renderList();
+    }
+
+    // Save the board as a library game, or save the game it was opened from
+    async saveGame() {
+        if (!this.ui.game.isStandard) {
+            this.showInfo('Only standard chess games can be saved');
+            return;
+        }
+
+        const name = this.nameEl.value.trim();
+        const inEntry = this.current && this.ui.tree === this.tree;
+        const data = inEntry
+            ? await this.send(this.entryPath(this.current), { ...this.snapshot(), name: name || this.current.name }, 'PATCH')
+            : await this.send('/library/games', { ...this.snapshot(), name: name || LibraryPanel.defaultName(this.ui.tree) });
+        if (data.error) {
+            this.showInfo(`Not saved: ${data.error}`);
+            return;
+        }
+
+        const kind = inEntry ? this.current.kind : 'game';
+        this.setCurrent({ kind, id: data.id, studyId: inEntry ? this.current.studyId : undefined, name: data.name }, this.ui.tree);
+        this.showInfo(`Saved “${data.name}”`);
+        this.refresh();
+    }
+
+    // New study with the board as its first chapter
+    async createStudy() {
+        if (!this.ui.game.isStandard) {
+            this.showInfo('Only standard chess games can be saved');
+            return;
+        }
+
+        const name = this.nameEl.value.trim() || `Study ${new Date().toLocaleDateString()}`;
+        const chapter = { ...this.snapshot(), name: 'Chapter 1' };
+        const study = await this.send('/library/studies', { name, chapters: [chapter] });
+        if (study.error) {
+            this.showInfo(`Not saved: ${study.error}`);
+            return;
+        }
+
+        this.study = study;
+        const first = study.chapters[0];
+        this.setCurrent({ kind: 'chapter', id: first.id, studyId: study.id, name: first.name }, this.ui.tree);
+        this.showInfo(`Created study “${study.name}”`);
+        this.refresh();
+    }
+
+    // The board as a new chapter of the expanded study
+    async addChapter() {
+        if (!this.study) return;
+        if (!this.ui.game.isStandard) {
+            this.showInfo('Only standard chess games can be saved');
+            return;
+        }
+
+        const studyId = this.study.id;
+        const name = this.nameEl.value.trim() || `Chapter ${this.study.chapters.length + 1}`;
+        const chapter = await this.send(`/library/studies/${studyId}/chapters`, { ...this.snapshot(), name });
+        if (chapter.error) {
+            this.showInfo(`Not saved: ${chapter.error}`);
+            return;
+        }
+
+        this.setCurrent({ kind: 'chapter', id: chapter.id, studyId, name: chapter.name }, this.ui.tree);
+        this.showInfo(`Added chapter “${chapter.name}”`);
+        this.refresh();
+    }
+
+    async handleOp(opEl, itemEl) {
+        const { kind } = itemEl.dataset;
+        const id = parseInt(itemEl.dataset.id, 10);
+        const studyId = itemEl.dataset.study ? parseInt(itemEl.dataset.study, 10) : undefined;
+        const op = opEl.dataset.op;
+
+        if (this.confirmEl !== opEl) this.resetConfirm();
+
+        switch (op) {
+            case 'open':
+                if (kind === 'study') {
+                    await this.toggleStudy(id);
+                } else {
+                    const entry = kind === 'game'
+                        ? await this.send(`/library/games/${id}`)
+                        : this.study.chapters.find(chapter => chapter.id === id);
+                    if (entry.error) this.showInfo(entry.error);
+                    else if (this.open(entry, kind, studyId)) this.showInfo(`Opened “${entry.name}”`);
+                }
+                break;
+            case 'rename':
+                this.startRename(itemEl);
+                break;
+            case 'duplicate':
+                await this.duplicate(kind, id);
+                break;
+            case 'delete':
+                // Deleting takes a second click on the same button
+                if (this.confirmEl !== opEl) {
+                    this.confirmDelete(opEl, kind);
+                    return;
+                }
+                await this.remove(kind, id, studyId);
+                break;
+        }
+    }
+
+    async toggleStudy(id) {
+        if (this.study && this.study.id === id) {
+            this.study = null;
+            this.renderList();
+            return;
+        }
+        const study = await this.send(`/library/studies/${id}`);
+        if (study.error) {
+            this.showInfo(study.error);
+            return;
+        }
+        this.study = study;
+        this.renderList();
+    }
+
+    async duplicate(kind, id) {
+        const path = kind === 'game' ? `/library/games/${id}` : `/library/studies/${id}`;
+        const data = await this.send(`${path}/duplicate`, {});
+        this.showInfo(data.error || `Created “${data.name}”`);
+        this.refresh();
+    }
+
+    async remove(kind, id, studyId) {
+        const path = this.entryPath({ kind, id, studyId });
+        const data = await this.send(path, undefined, 'DELETE');
+        if (data.error) {
+            this.showInfo(data.error);
+            return;
+        }
+
+        // The board keeps the game, but it is no longer saved anywhere
+        const current = this.current;
+        if (current && ((current.kind === kind && current.id === id) || (kind === 'study' && current.studyId === id))) {
+            this.setCurrent(null, null);
+        }
+        if (kind === 'study' && this.study && this.study.id === id) this.study = null;
+        this.showInfo('Deleted');
+        this.refresh();
+    }
+
+    async rename(kind, id, studyId, name) {
+        const data = await this.send(this.entryPath({ kind, id, studyId }), { name }, 'PATCH');
+        if (data.error) {
+            this.showInfo(data.error);
+        } else if (this.current && this.current.kind === kind && this.current.id === id) {
+            this.current.name = data.name;
+            if (this.nameEl) this.nameEl.value = data.name;
+        }
+        this.refresh();
+    }
+
+    entryPath({ kind, id, studyId }) {
+        if (kind === 'game') return `/library/games/${id}`;
+        if (kind === 'study') return `/library/studies/${id}`;
+        return `/library/studies/${studyId}/chapters/${id}`;
+    }
+
+    // Library request; network failures come back as { error } like server errors
+    async send(path, body, method) {
+        try {
+            return await this.ui.request(path, body, method);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    showInfo(text) {
+        if (this.infoEl) this.infoEl.textContent = text;
+    }
+
+    // ==================== LIST ====================
+
+    renderList() {
+        if (!this.listEl) return;
+        this.confirmEl = null;
+        this.chapterBtn.disabled = !this.study;
+        this.chapterBtn.title = this.study ? `Add the board to “${this.study.name}”` : 'Open a study first';
+        this.listEl.innerHTML = '';
+
+        const section = (title, items) => {
+            const headingEl = document.createElement('div');
+            headingEl.className = 'library-heading';
+            headingEl.textContent = title;
+            this.listEl.appendChild(headingEl);
+            if (!items.length) {
+                const emptyEl = document.createElement('div');
+                emptyEl.className = 'library-empty';
+                emptyEl.textContent = 'None yet';
+                this.listEl.appendChild(emptyEl);
+            }
+        };
+
+        section('Games', this.games);
+        for (const game of this.games) {
+            this.listEl.appendChild(this.createItem('game', game, LibraryPanel.formatDate(game.updated_at),
+                ['rename', 'duplicate', 'delete']));
+        }
+
+        section('Studies', this.studies);
+        for (const study of this.studies) {
+            const expanded = this.study && this.study.id === study.id;
+            const count = expanded ? this.study.chapters.length : study.chapter_count;
+            const itemEl = this.createItem('study', study, `${count} chapter${count === 1 ? '' : 's'}`,
+                ['rename', 'duplicate', 'delete']);
+            itemEl.classList.toggle('expanded', Boolean(expanded));
+            this.listEl.appendChild(itemEl);
+
+            if (!expanded) continue;
+            for (const chapter of this.study.chapters) {
+                const chapterEl = this.createItem('chapter', chapter, '', ['rename', 'delete']);
+                chapterEl.dataset.study = study.id;
+                this.listEl.appendChild(chapterEl);
+            }
+        }
+    }
+
+    createItem(kind, entry, detail, ops) {
+        const itemEl = document.createElement('div');
+        itemEl.className = `library-item library-${kind}`;
+        itemEl.dataset.kind = kind;
+        itemEl.dataset.id = entry.id;
+        const current = this.current;
+        itemEl.classList.toggle('current', Boolean(current) && current.kind === kind && current.id === entry.id);
+
+        const nameEl = document.createElement('button');
+        nameEl.className = 'library-name';
+        nameEl.dataset.op = 'open';
+        nameEl.textContent = entry.name;
+        nameEl.title = kind === 'study' ? 'Show chapters' : 'Open on the board';
+        itemEl.appendChild(nameEl);
+
+        if (detail) {
+            const detailEl = document.createElement('span');
+            detailEl.className = 'library-detail';
+            detailEl.textContent = detail;
+            itemEl.appendChild(detailEl);
+        }
+
+        for (const op of ops) {
+            const opEl = document.createElement('button');
+            opEl.className = 'library-op';
+            opEl.dataset.op = op;
+            opEl.textContent = LibraryPanel.OPS[op].label;
+            opEl.title = LibraryPanel.OPS[op].title;
+            opEl.setAttribute('aria-label', `${LibraryPanel.OPS[op].title} ${entry.name}`);
+            itemEl.appendChild(opEl);
+        }
+        return itemEl;
+    }
+
+    confirmDelete(opEl, kind) {
+        opEl.textContent = 'Delete?';
+        opEl.title = kind === 'study' ? 'Click again to delete the study and all its chapters' : 'Click again to delete';
+        opEl.classList.add('confirm');
+        this.confirmEl = opEl;
+    }
+
+    resetConfirm() {
+        if (!this.confirmEl) return;
+        this.confirmEl.textContent = LibraryPanel.OPS.delete.label;
+        this.confirmEl.title = LibraryPanel.OPS.delete.title;
+        this.confirmEl.classList.remove('confirm');
+        this.confirmEl = null;
+    }
+
+    // Name replaced by a text field: Enter or leaving it saves, Escape cancels
+    startRename(itemEl) {
+        const nameEl = itemEl.querySelector('.library-name');
+        const inputEl = document.createElement('input');
+        inputEl.type = 'text';
+        inputEl.className = 'library-rename';
+        inputEl.value = nameEl.textContent;
+        inputEl.setAttribute('aria-label', 'New name');
+        nameEl.replaceWith(inputEl);
+        inputEl.focus();
+        inputEl.select();
+
+        const { kind } = itemEl.dataset;
+        const id = parseInt(itemEl.dataset.id, 10);
+        const studyId = itemEl.dataset.study ? parseInt(itemEl.dataset.study, 10) : undefined;
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            const name = inputEl.value.trim();
+            if (save && name && name !== nameEl.textContent) this.rename(kind, id, studyId, name);
+            else this.renderList();
+        };
+        inputEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+            // Keys typed into the name are not board shortcuts
+            e.stopPropagation();
+        });
+        inputEl.addEventListener('blur', () => finish(true));
+    }
+
+    // The name from an exported library's GameName tag, else "White – Black" from the headers, else date and time
+    static defaultName(tree) {
+        const { GameName: gameName, White: white, Black: black } = tree.headers;
+        if (gameName && gameName.trim()) return gameName.trim();
+        const known = name => name && name !== '?';
+        if (known(white) || known(black)) return `${known(white) ? white : '?'} – ${known(black) ? black : '?'}`;
+        return `Game ${new Date().toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+    }
+
+    static formatDate(iso) {
+        const date = new Date(iso);
+        return isNaN(date) ? '' : date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    // { kind, id, studyId } of the entry on the board, for reopening it after a reload
+    static loadCurrentRef() {
+        try {
+            return JSON.parse(localStorage.getItem(LibraryPanel.CURRENT_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static saveCurrentRef(ref) {
+        try {
+            if (ref) localStorage.setItem(LibraryPanel.CURRENT_KEY, JSON.stringify(ref));
+            else localStorage.removeItem(LibraryPanel.CURRENT_KEY);
+        } catch (error) {
+            // Private mode etc.: the game just isn't reopened after a reload
+        }
+    }
+}
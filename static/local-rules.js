@@ -0,0 +1,238 @@
+/**
+ * Local Rules
+ * - chess.js stand-in for the /move, /fen, /claim-draw and /reset endpoints
+ * - Same response shapes as app.py, so ChessUI can run without a server; errors carry the same codes
+ *   (see RulesError in rules.py) but come back as plain objects instead of HTTP errors
+ * - Moves in UCI or SAN, like /move
+ * - Replays the moves sent with a request for repetition draws, like rules.py
+ * - Standard chess only, variants need the server's rules
+ */
+
+class LocalRules {
+    static handle(url, body) {
+        const [path, query = ''] = url.split('?');
+        const variant = (body && body.variant) || new URLSearchParams(query).get('variant') || 'standard';
+        if (variant !== 'standard') throw new Error(`${variant} needs the rules server`);
+
+        switch (path) {
+            case '/move': return LocalRules.move(body.fen, body.move, body);
+            case '/fen': return LocalRules.fenInfo(body.fen, body);
+            case '/claim-draw': return LocalRules.claimDraw(body.fen, body);
+            case '/reset': return LocalRules.reset();
+            default: throw new Error(`No local handler for ${path}`);
+        }
+    }
+
+    static error(code, error, errors = [error], details = {}) {
+        return { valid: false, error, code, errors, ...details };
+    }
+
+    // keys: the positions of the game so far, for counting repetitions
+    static gameState(game, keys = [LocalRules.positionKey(game)]) {
+        const outcome = LocalRules.outcome(game, keys);
+        const fields = game.fen().split(' ');
+        const moves = game.moves({ verbose: true });
+        const current = keys[keys.length - 1];
+        return {
+            variant: 'standard',
+            turn: game.turn() === 'w' ? 'white' : 'black',
+            pieces: LocalRules.pieceMap(game),
+            legal_moves: moves.map(m => m.from + m.to + (m.promotion || '')),
+            legal_moves_verbose: moves.map(LocalRules.moveJson),
+            halfmove_clock: parseInt(fields[4], 10),
+            fullmove_number: parseInt(fields[5], 10),
+            repetitions: keys.filter(key => key === current).length,
+            is_check: game.in_check(),
+            is_checkmate: game.in_checkmate(),
+            is_stalemate: game.in_stalemate(),
+            is_game_over: outcome !== null,
+            outcome,
+            claimable_draw: outcome ? null : LocalRules.claimableDraw(game, keys)
+        };
+    }
+
+    static move(fen, text, history = {}) {
+        const info = LocalRules.fenInfo(fen, history);
+        if (!info.valid) return info;
+        if (info.is_game_over) return LocalRules.error('game_over', 'The game is over');
+
+        const { game, keys } = LocalRules.replay(fen, history.start_fen, history.moves);
+        const move = LocalRules.parseMove(game, text);
+        if (!move) return LocalRules.error('illegal_move', `Illegal move ${text}`);
+
+        const played = LocalRules.moveJson(game.move(move));
+        keys.push(LocalRules.positionKey(game));
+        return { fen: game.fen(), valid: true, san: played.san, move: played, ...LocalRules.gameState(game, keys) };
+    }
+
+    // Verbose chess.js move for UCI or SAN text, null if it is not a legal move
+    static parseMove(game, text) {
+        const legal = game.moves({ verbose: true });
+        if (/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(text)) {
+            return legal.find(m => m.from + m.to + (m.promotion || '') === text) || null;
+        }
+        // SAN, with or without check marks and annotations
+        const bare = san => san.replace(/[+#?!]+$/, '');
+        return legal.find(m => bare(m.san) === bare(text)) || null;
+    }
+
+    // Same fields as move_json in rules.py
+    static moveJson(move) {
+        const symbol = (type, color) => (color === 'w' ? type.toUpperCase() : type);
+        const castling = move.flags.includes('k') ? 'kingside' : move.flags.includes('q') ? 'queenside' : null;
+        return {
+            uci: move.from + move.to + (move.promotion || ''),
+            san: move.san,
+            from: move.from,
+            to: move.to,
+            piece: symbol(move.piece, move.color),
+            captured: move.captured ? symbol(move.captured, move.color === 'w' ? 'b' : 'w') : null,
+            promotion: move.promotion || null,
+            castling,
+            en_passant: move.flags.includes('e'),
+            check: /[+#]$/.test(move.san),
+            checkmate: move.san.endsWith('#')
+        };
+    }
+
+    // Square -> FEN piece letter, as piece_map in rules.py
+    static pieceMap(game) {
+        const pieces = {};
+        for (const square of game.SQUARES) {
+            const piece = game.get(square);
+            if (piece) pieces[square] = piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
+        }
+        return pieces;
+    }
+
+    static fenInfo(fen, history = {}) {
+        const game = new Chess();
+        const structure = game.validate_fen(fen);
+        if (!structure.valid) return LocalRules.error('invalid_fen', 'Invalid FEN', [structure.error]);
+
+        game.load(fen);
+        const errors = LocalRules.positionErrors(fen);
+        if (errors.length) return LocalRules.error('illegal_position', errors[0], errors);
+
+        try {
+            const { keys } = LocalRules.replay(fen, history.start_fen, history.moves);
+            return { valid: true, fen: game.fen(), ...LocalRules.gameState(game, keys) };
+        } catch (error) {
+            return LocalRules.error('invalid_history', 'Invalid game history', [error.message]);
+        }
+    }
+
+    static claimDraw(fen, history = {}) {
+        const info = LocalRules.fenInfo(fen, history);
+        if (!info.valid) return info;
+        if (!info.claimable_draw) return LocalRules.error('no_claimable_draw', 'No draw can be claimed in this position');
+        return { valid: true, outcome: { result: '1/2-1/2', reason: info.claimable_draw, winner: null } };
+    }
+
+    // ==================== GAME END ====================
+
+    // Game at fen with the positions the moves from startFen passed through; throws if they do not lead there
+    static replay(fen, startFen, moves = []) {
+        if (!moves || !moves.length) {
+            const game = new Chess(fen);
+            return { game, keys: [LocalRules.positionKey(game)] };
+        }
+
+        const game = startFen ? new Chess(startFen) : new Chess();
+        const keys = [LocalRules.positionKey(game)];
+        moves.forEach((uci, i) => {
+            if (!game.move({ from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] })) {
+                throw new Error(`Move ${i + 1} (${uci}) is not legal`);
+            }
+            keys.push(LocalRules.positionKey(game));
+        });
+        if (keys[keys.length - 1] !== LocalRules.positionKey(new Chess(fen))) {
+            throw new Error('The moves do not lead to the given FEN');
+        }
+        return { game, keys };
+    }
+
+    // Pieces, side to move, castling and en passant; chess.js writes the en passant square
+    // after every double step, but it only makes a different position if the capture is legal
+    static positionKey(game) {
+        const fields = game.fen().split(' ').slice(0, 4);
+        if (fields[3] !== '-' && !game.moves({ verbose: true }).some(m => m.flags.includes('e'))) fields[3] = '-';
+        return fields.join(' ');
+    }
+
+    // Same reasons and order as python-chess's board.outcome()
+    static outcome(game, keys) {
+        const draw = reason => ({ result: '1/2-1/2', reason, winner: null });
+        const standard = VariantGame.standardOutcome(game);
+        if (standard) return standard;
+
+        const current = keys[keys.length - 1];
+        if (keys.filter(key => key === current).length >= 5) return draw('fivefold_repetition');
+        return null;
+    }
+
+    // As python-chess's can_claim_fifty_moves() and can_claim_threefold_repetition(): the draw is there
+    // already, or the side to move has a move that brings it about
+    static claimableDraw(game, keys) {
+        const halfmoves = () => parseInt(game.fen().split(' ')[4], 10);
+        const occurrences = key => keys.filter(other => other === key).length;
+
+        if (halfmoves() >= 100) return 'fifty_moves';
+        if (halfmoves() >= 99 && LocalRules.someMove(game, () => halfmoves() >= 100 && game.moves().length > 0)) {
+            return 'fifty_moves';
+        }
+
+        if (occurrences(keys[keys.length - 1]) >= 3) return 'threefold_repetition';
+        if (LocalRules.someMove(game, () => occurrences(LocalRules.positionKey(game)) >= 2)) {
+            return 'threefold_repetition';
+        }
+        return null;
+    }
+
+    // Whether test() holds after one of the legal moves; each move is taken back again
+    static someMove(game, test) {
+        return game.moves({ verbose: true }).some(move => {
+            game.move(move);
+            try {
+                return test();
+            } finally {
+                game.undo();
+            }
+        });
+    }
+
+    static reset() {
+        const game = new Chess();
+        return { fen: game.fen(), ...LocalRules.gameState(game) };
+    }
+
+    // Subset of the server's checks that can be made from the FEN alone
+    static positionErrors(fen) {
+        const [placement, turn] = fen.split(/\s+/);
+        const rows = placement.split('/');
+        const count = ch => placement.split(ch).length - 1;
+        const errors = [];
+
+        if (count('K') === 0) errors.push('White king is missing');
+        if (count('k') === 0) errors.push('Black king is missing');
+        if (count('K') > 1 || count('k') > 1) errors.push('There can only be one king per side');
+        if (count('P') > 8) errors.push('White has more than 8 pawns');
+        if (count('p') > 8) errors.push('Black has more than 8 pawns');
+        if (/p/i.test(rows[0]) || /p/i.test(rows[7])) {
+            errors.push('Pawns cannot stand on the first or eighth rank');
+        }
+
+        // Swap the side to move: if that side could capture the king, the position is illegal
+        if (!errors.length) {
+            const fields = fen.split(/\s+/);
+            fields[1] = turn === 'w' ? 'b' : 'w';
+            fields[3] = '-';
+            const swapped = new Chess();
+            if (swapped.load(fields.join(' ')) && swapped.in_check()) {
+                errors.push('The side not to move is in check');
+            }
+        }
+
+        return errors;
+    }
+}
@@ -0,0 +1,12 @@
+/**
+ * Page bootstrap for index.html
+ * - Mounts one ChessUI into #app, configured from the URL (see embed-bridge.js)
+ * - Starts the postMessage bridge for iframe hosts
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const urlOptions = EmbedBridge.readUrlOptions(new URLSearchParams(window.location.search));
+
+    window.chessUI = new ChessUI(document.getElementById('app'), urlOptions);
+    window.embedBridge = new EmbedBridge(window.chessUI);
+});
@@ -0,0 +1,145 @@
+/**
+ * Move Tree
+ * - Stores every position reached in a game, keyed by the move that led to it
+ * - First child of a node is the main line, further children are variations
+ * - Nodes carry their own comment, NAGs and annotations: arrows, circles, square highlights and ghost pieces
+ * - A node's result ({ result, reason, winner }) is set when the game ended there
+ * - Plain data nodes so the tree can be serialized into the state JSON
+ */
+
+class MoveTree {
+    // Annotation shapes, each a list: arrows [{ move, color }], circles and squares [{ square, color }],
+    // ghosts [{ square, piece }] with piece codes like 'wN'
+    static SHAPES = ['arrows', 'circles', 'squares', 'ghosts'];
+
+    static emptyAnnotations() {
+        return { arrows: [], circles: [], squares: [], ghosts: [] };
+    }
+
+    static hasAnnotations(annotations) {
+        return MoveTree.SHAPES.some(shape => annotations[shape].length);
+    }
+
+    // Deep copy, e.g. for undo
+    static copyAnnotations(annotations) {
+        const copy = {};
+        for (const shape of MoveTree.SHAPES) copy[shape] = annotations[shape].map(item => ({ ...item }));
+        return copy;
+    }
+
+    constructor(fen) {
+        this.nextId = 0;
+        this.headers = {};
+        this.importedResult = null;  // { result, node }: the result of an imported PGN and the main-line end it was for
+        this.root = this.createNode(null, null, null, fen);
+    }
+
+    createNode(parent, uci, san, fen) {
+        return {
+            id: this.nextId++,
+            parent,
+            uci,
+            san,
+            fen,
+            ply: parent ? parent.ply + 1 : this.plyFromFen(fen),
+            comment: '',
+            nags: [],
+            annotations: MoveTree.emptyAnnotations(),
+            result: null,
+            children: []
+        };
+    }
+
+    plyFromFen(fen) {
+        // Number of half-moves played before this position, so move numbers
+        // stay correct when the game starts from an arbitrary FEN (Three-check counters skipped)
+        const [, turn = 'w', , , , fullmove = '1'] = fen.split(/\s+/).filter(field => !field.includes('+'));
+        return (parseInt(fullmove, 10) - 1) * 2 + (turn === 'b' ? 1 : 0);
+    }
+
+    addMove(parent, uci, san, fen) {
+        // Re-entering an existing move just follows it instead of duplicating the line
+        const existing = parent.children.find(child => child.uci === uci);
+        if (existing) return existing;
+
+        const node = this.createNode(parent, uci, san, fen);
+        parent.children.push(node);
+        return node;
+    }
+
+    findById(id, node = this.root) {
+        if (node.id === id) return node;
+        for (const child of node.children) {
+            const found = this.findById(id, child);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Nodes from the first move up to (and including) the given node
+    pathTo(node) {
+        const path = [];
+        while (node && node.parent) {
+            path.unshift(node);
+            node = node.parent;
+        }
+        return path;
+    }
+
+    // Last node reached by following first children from the given node
+    lineEnd(node) {
+        while (node.children.length) node = node.children[0];
+        return node;
+    }
+
+    isMainLine(node) {
+        while (node.parent) {
+            if (node.parent.children[0] !== node) return false;
+            node = node.parent;
+        }
+        return true;
+    }
+
+    // Move the variation containing this node one step up in its parent's children
+    promoteVariation(node) {
+        while (node.parent && node.parent.children[0] === node) node = node.parent;
+        if (!node.parent) return false;
+
+        const siblings = node.parent.children;
+        const idx = siblings.indexOf(node);
+        siblings.splice(idx, 1);
+        siblings.splice(idx - 1, 0, node);
+        return true;
+    }
+
+    // Remove the node and everything after it; returns the parent to land on
+    deleteNode(node) {
+        if (!node.parent) return node;
+
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+        return node.parent;
+    }
+
+    moveNumber(node) {
+        return Math.floor((node.ply - 1) / 2) + 1;
+    }
+
+    isWhiteMove(node) {
+        return (node.ply - 1) % 2 === 0;
+    }
+
+    toJSON(node = this.root) {
+        const json = { id: node.id, fen: node.fen };
+        if (node.uci) {
+            json.uci = node.uci;
+            json.san = node.san;
+        }
+        if (node.comment) json.comment = node.comment;
+        if (node.nags.length) json.nags = node.nags;
+        if (MoveTree.hasAnnotations(node.annotations)) json.annotations = node.annotations;
+        if (node.result) json.result = node.result;
+        json.children = node.children.map(child => this.toJSON(child));
+        return json;
+    }
+}
@@ -0,0 +1,405 @@
+/**
+ * Online Game
+ * - Two-player games against another person through a server session (/games, /ws/games/{id})
+ * - Seats (white/black/spectator) kept across reconnects with a token in localStorage
+ * - Moves, resignation, draw offers and rematches go over the WebSocket
+ * - The server's state is authoritative: the board is resynced from it on every update
+ */
+
+class OnlineGame {
+    static TOKEN_KEY = 'chess-ui:game-token:';
+    static NOT_FOUND_CODE = 4404;  // WebSocket close code of /ws/games/{id} for an unknown game
+
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.gameId = null;
+        this.seat = null;           // 'white' | 'black' | 'spectator'
+        this.state = null;          // Last state received from the server
+        this.liveNode = null;       // Tree node of the server's current position
+        this.socket = null;
+        this.connected = false;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.error = null;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.onlinePanel;
+        this.openBtn = refs.onlineBtn;
+        this.colorEl = refs.onlineColor;
+        this.infoEl = refs.onlineInfo;
+        this.linkEl = refs.onlineLink;
+        this.createBtn = refs.onlineCreateBtn;
+        this.timeEl = refs.onlineTime;
+        this.gameButtonsEl = refs.onlineGameButtons;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        this.timeEl.innerHTML = '<option value="">Untimed</option>' + ChessClock.PRESETS
+            .map(preset => `<option value="${preset.text}">${preset.name}</option>`)
+            .join('');
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.openBtn, 'click', () => this.panelEl.classList.toggle('hidden'));
+        listen(this.createBtn, 'click', () => this.create(this.colorEl.value, this.timeEl.value || null));
+        listen(this.linkEl, 'focus', () => this.linkEl.select());
+
+        // Game buttons carry the message type they send
+        listen(this.gameButtonsEl, 'click', (e) => {
+            const btn = e.target.closest('[data-online]');
+            if (!btn) return;
+            if (btn.dataset.online === 'leave') this.leave();
+            else this.send({ type: btn.dataset.online });
+        });
+    }
+
+    // Create a session on the server and join it; seat is 'white', 'black' or 'random',
+    // timeControl is clock text such as '5+3' (see chess-clock.js) or null for an untimed game
+    async create(seat = 'white', timeControl = null) {
+        if (seat === 'random') seat = Math.random() < 0.5 ? 'white' : 'black';
+
+        let data;
+        try {
+            data = await this.ui.request('/games', { time_control: timeControl });
+        } catch (error) {
+            data = { error: error.message };
+        }
+        if (!data.id) {
+            this.showError(data.error || 'Could not create a game');
+            return null;
+        }
+
+        this.join(data.id, seat);
+        return data.id;
+    }
+
+    join(gameId, seat = 'any') {
+        this.leave();
+
+        this.active = true;
+        this.gameId = gameId;
+        this.requestedSeat = seat;
+        this.error = null;
+        if (this.ui.opponent.active) this.ui.opponent.stop();
+        this.ui.puzzle.stop();
+        this.ui.clockPanel.stop();
+        if (this.ui.editor.active) this.ui.editor.close();
+        // Online games are standard chess
+        this.ui.game.setVariant('standard');
+        this.ui.updateVariantControls();
+        this.toggleLocalControls(false);
+        if (this.panelEl) this.panelEl.classList.remove('hidden');
+        if (this.openBtn) this.openBtn.classList.add('active');
+
+        this.connect();
+    }
+
+    leave() {
+        if (!this.active) return;
+
+        this.active = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+        }
+        this.socket = null;
+        this.connected = false;
+        this.state = null;
+        this.liveNode = null;
+        this.seat = null;
+        this.gameId = null;
+
+        this.toggleLocalControls(true);
+        this.ui.clockPanel.setRemote(null);
+        this.ui.setMovableColors(this.ui.options.movableColors);
+        if (this.openBtn) this.openBtn.classList.remove('active');
+        this.renderPanel();
+        this.ui.updateStatus();
+    }
+
+    // Buttons that would fork the game locally are hidden while playing online
+    toggleLocalControls(visible) {
+        if (this.ui.readOnly) return;
+        const refs = this.ui.refs;
+        for (const btn of [this.ui.resetBtn, this.ui.editor.openBtn, this.ui.opponent.openBtn, this.ui.clockPanel.openBtn,
+            this.ui.puzzle.openBtn, refs.variantOptions]) {
+            if (btn) btn.hidden = !visible;
+        }
+    }
+
+    socketUrl() {
+        const url = new URL(`${this.ui.serverUrl}/ws/games/${encodeURIComponent(this.gameId)}`, window.location.href);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+        const token = OnlineGame.loadToken(this.gameId);
+        if (token) url.searchParams.set('token', token);
+        else url.searchParams.set('seat', this.requestedSeat);
+        return url.toString();
+    }
+
+    connect() {
+        if (!this.ui.useServer) {
+            this.showError('Online games need the server');
+            return;
+        }
+
+        const socket = new WebSocket(this.socketUrl());
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.connected = true;
+            this.reconnectDelay = 1000;
+            this.error = null;
+            this.ui.updateStatus();
+        };
+        socket.onmessage = (e) => {
+            try {
+                this.handleMessage(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Bad message from game server:', error);
+            }
+        };
+        socket.onclose = (e) => {
+            this.connected = false;
+            this.ui.updateStatus();
+            this.renderPanel();
+            if (!this.active || this.socket !== socket) return;
+
+            // The game is gone (never existed or expired on the server): retrying would never end
+            if (e.code === OnlineGame.NOT_FOUND_CODE) {
+                OnlineGame.removeToken(this.gameId);
+                this.leave();
+                if (this.infoEl) this.infoEl.textContent = 'Game not found';
+                return;
+            }
+
+            // Keep trying with backoff; the server resyncs us on the next join
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, 10000);
+        };
+    }
+
+    send(message) {
+        if (!this.socket || !this.connected) {
+            this.showError('Not connected');
+            return false;
+        }
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    handleMessage(msg) {
+        if (msg.type === 'error') {
+            // A move shown ahead of the server may have been rejected; go back to the server's game
+            if (this.state) this.applyState(this.state);
+            this.showError(msg.error);
+            return;
+        }
+
+        if (msg.type === 'joined') {
+            if (msg.token) OnlineGame.saveToken(this.gameId, msg.token);
+            this.setSeat(msg.seat);
+            this.applyState(msg.state);
+            return;
+        }
+
+        if (msg.type === 'state') {
+            if (msg.seat && msg.seat !== this.seat) this.setSeat(msg.seat);
+            this.applyState(msg.state, msg.event);
+        }
+    }
+
+    setSeat(seat) {
+        this.seat = seat;
+        this.ui.setMovableColors(seat === 'spectator' ? 'none' : seat);
+        if (seat !== 'spectator') this.ui.setOrientation(seat);
+    }
+
+    // Bring ChessUI in line with the server: append new moves, or rebuild the line if it diverged
+    applyState(state, event = null) {
+        const ui = this.ui;
+        const previous = this.state;
+        this.state = state;
+        this.error = null;
+
+        const mainLine = [];
+        for (let node = ui.tree.root; node.children.length; node = node.children[0]) {
+            mainLine.push(node.children[0]);
+        }
+        // FENs are compared as chess.js writes them
+        const known = ui.tree.root.fen === new Chess(state.initial_fen).fen() &&
+            mainLine.length <= state.moves.length &&
+            mainLine.every((node, idx) => node.uci === state.moves[idx]);
+
+        if (!known) {
+            ui.game.load(state.initial_fen);
+            ui.resetTree();
+        }
+
+        // Replay the moves the local tree does not have yet
+        let node = known ? ui.tree.lineEnd(ui.tree.root) : ui.tree.root;
+        const replay = new Chess(node.fen);
+        for (const uci of state.moves.slice(node.ply - ui.tree.root.ply)) {
+            const move = replay.move({ from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] });
+            if (!move) break;
+            node = ui.tree.addMove(node, uci, move.san, replay.fen());
+        }
+
+        this.liveNode = node;
+
+        // New moves take the viewer to the live position
+        const atLive = ui.currentNode === node;
+        if (!atLive && (!known || !previous || previous.moves.length !== state.moves.length)) {
+            ui.cancelPromotion();
+            ui.setCurrentNode(node);
+        }
+        if (ui.currentNode === node) {
+            ui.game.load(state.fen);
+            ui.legalMoves = state.legal_moves;
+            ui.lastMove = node.uci ? node.uci.substring(0, 4) : null;
+        }
+
+        ui.clockPanel.setRemote(state.clock);
+        ui.clearSelection();
+        ui.renderPosition();
+        ui.renderAnnotations();
+        this.renderPanel();
+
+        if (event && event.type === 'move') {
+            ui.emit('move', { uci: event.uci, san: event.san, fen: state.fen });
+        }
+        if (state.result && (!previous || !previous.result)) {
+            ui.emit('gameOver', OnlineGame.gameOverInfo(state));
+        }
+    }
+
+    // Only the player whose turn it is may move, and only at the live position
+    canMove(piece) {
+        const state = this.state;
+        if (!state || !this.connected || state.status !== 'playing') return false;
+        if (this.ui.currentNode !== this.liveNode) return false;
+        return this.seat === state.turn && piece.color === state.turn[0];
+    }
+
+    renderPanel() {
+        if (!this.panelEl) return;
+
+        this.panelEl.classList.toggle('in-game', this.active);
+        this.linkEl.value = this.active ? OnlineGame.joinLink(this.gameId) : '';
+
+        const state = this.state;
+        const buttons = this.gameButtonsEl.querySelectorAll('[data-online]');
+        for (const btn of buttons) {
+            btn.hidden = !this.isButtonVisible(btn.dataset.online);
+        }
+
+        if (!this.active) {
+            this.infoEl.textContent = '';
+            return;
+        }
+        if (!state) {
+            this.infoEl.textContent = 'Connecting…';
+            return;
+        }
+
+        const seat = this.seat === 'spectator' ? 'Watching' : `Playing ${this.seat}`;
+        const opponent = this.seat === 'white' ? 'black' : 'white';
+        let info = `${seat} · ${state.spectators} watching`;
+        if (this.seat !== 'spectator' && state.seats[opponent] && !state.connected[opponent]) {
+            info += ' · opponent disconnected';
+        }
+        if (state.draw_offer && state.draw_offer !== this.seat) info += ' · draw offered';
+        if (state.rematch_offer && state.rematch_offer !== this.seat) info += ' · rematch requested';
+        this.infoEl.textContent = info;
+    }
+
+    isButtonVisible(action) {
+        const state = this.state;
+        const player = this.active && state && this.seat !== 'spectator';
+        const opponent = this.seat === 'white' ? 'black' : 'white';
+
+        switch (action) {
+            case 'leave': return this.active;
+            case 'resign': return player && state.status === 'playing';
+            case 'draw_offer': return player && state.status === 'playing' && state.draw_offer !== this.seat;
+            case 'draw_claim': return player && state.status === 'playing' && state.turn === this.seat && Boolean(state.claimable_draw);
+            case 'draw_accept':
+            case 'draw_decline': return player && state.draw_offer === opponent;
+            case 'rematch_offer': return player && state.status === 'finished' && state.rematch_offer !== this.seat;
+            case 'rematch_accept':
+            case 'rematch_decline': return player && state.rematch_offer === opponent;
+            default: return false;
+        }
+    }
+
+    // Replaces the normal status line while an online game is open
+    getStatus() {
+        if (!this.active) return null;
+        if (this.error) return { text: this.error, className: 'engine-error' };
+        if (!this.connected) return { text: this.state ? 'Reconnecting…' : 'Connecting…', className: 'thinking' };
+
+        const state = this.state;
+        if (!state) return null;
+        if (state.result) {
+            return { text: OnlineGame.resultText(state), className: state.result === '1/2-1/2' ? 'draw' : 'checkmate' };
+        }
+        if (state.status === 'waiting') return { text: 'Waiting for an opponent…', className: 'thinking' };
+        return null;
+    }
+
+    showError(message) {
+        this.error = message;
+        this.ui.updateStatus();
+        // Errors are transient; the next update restores the normal status
+        clearTimeout(this.errorTimer);
+        this.errorTimer = setTimeout(() => {
+            this.error = null;
+            this.ui.updateStatus();
+        }, 4000);
+    }
+
+    static resultText(state) {
+        return GameResult.text(OnlineGame.gameOverInfo(state));
+    }
+
+    static gameOverInfo(state) {
+        const winner = state.result === '1-0' ? 'white' : state.result === '0-1' ? 'black' : null;
+        return { result: state.result, reason: state.reason, winner };
+    }
+
+    static joinLink(gameId) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('game', gameId);
+        return url.toString();
+    }
+
+    static loadToken(gameId) {
+        try {
+            return localStorage.getItem(OnlineGame.TOKEN_KEY + gameId);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static saveToken(gameId, token) {
+        try {
+            localStorage.setItem(OnlineGame.TOKEN_KEY + gameId, token);
+        } catch (error) {
+            // Private mode etc.: the seat just can't be reclaimed after a reload
+        }
+    }
+
+    static removeToken(gameId) {
+        try {
+            localStorage.removeItem(OnlineGame.TOKEN_KEY + gameId);
+        } catch (error) {
+            // Nothing was stored then
+        }
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * Opening Explorer
+ * - Moves played from the current position in the server's game collection (/explorer)
+ * - Games, and White win / draw / Black win percentages, per move; clicking a move plays it
+ * - Example games that reached the position can be loaded into the move list
+ * - Names the opening (ECO code and name) of the current line
+ */
+
+class OpeningExplorer {
+    // Percentages below this are left unlabelled in the result bars
+    static MIN_LABEL_PERCENT = 12;
+
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.result = null;     // Last /explorer response for the current position
+        this.requestId = 0;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.explorerPanel;
+        this.toggleBtn = refs.explorerBtn;
+        this.openingEl = refs.explorerOpening;
+        this.infoEl = refs.explorerInfo;
+        this.movesEl = refs.explorerMoves;
+        this.gamesEl = refs.explorerGames;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.toggleBtn, 'click', () => this.toggle());
+        listen(this.movesEl, 'click', (e) => {
+            const moveEl = e.target.closest('[data-move]');
+            if (moveEl) this.play(moveEl.dataset.move);
+        });
+        listen(this.gamesEl, 'click', (e) => {
+            const gameEl = e.target.closest('[data-game]');
+            if (gameEl) this.loadGame(gameEl.dataset.game);
+        });
+    }
+
+    toggle() {
+        this.active = !this.active;
+        this.toggleBtn.classList.toggle('active', this.active);
+        this.panelEl.classList.toggle('hidden', !this.active);
+
+        if (this.active) {
+            this.refresh();
+        } else {
+            this.requestId++;
+            this.result = null;
+        }
+    }
+
+    // Called by ChessUI whenever the displayed position changes
+    positionChanged() {
+        if (!this.active) return;
+        if (this.result && this.result.fen === this.ui.game.fen()) return;
+        this.refresh();
+    }
+
+    async refresh() {
+        if (!this.active) return;
+
+        const id = ++this.requestId;
+        const fen = this.ui.game.fen();
+        this.result = null;
+        this.infoEl.textContent = 'Loading…';
+
+        // The line from the start position names openings the ECO table only lists earlier positions of
+        const tree = this.ui.tree;
+        const moves = tree.root.fen === Pgn.STANDARD_FEN
+            ? tree.pathTo(this.ui.currentNode).map(node => node.uci)
+            : [];
+
+        let data;
+        try {
+            data = await this.ui.request('/explorer', { fen, moves });
+        } catch (error) {
+            data = { error: error.message };
+        }
+
+        // Drop answers for positions that have been left in the meantime
+        if (id !== this.requestId || fen !== this.ui.game.fen()) return;
+
+        if (data.error || !data.moves) {
+            this.infoEl.textContent = data.error || 'Explorer unavailable';
+            this.openingEl.textContent = '';
+            this.movesEl.innerHTML = '';
+            this.gamesEl.innerHTML = '';
+            return;
+        }
+
+        this.result = { ...data, fen };
+        this.render();
+    }
+
+    render() {
+        const { opening, total, percent, moves, games } = this.result;
+        this.openingEl.textContent = opening ? `${opening.eco} ${opening.name}` : '';
+        this.infoEl.textContent = total
+            ? `${total} game${total === 1 ? '' : 's'} · White ${percent.white}% · Draw ${percent.draws}% · Black ${percent.black}%`
+            : 'No games reached this position';
+
+        this.movesEl.innerHTML = '';
+        for (const move of moves) {
+            const moveEl = document.createElement('div');
+            moveEl.className = 'explorer-move';
+            moveEl.dataset.move = move.uci;
+
+            const sanEl = document.createElement('span');
+            sanEl.className = 'explorer-san';
+            sanEl.textContent = move.san;
+
+            const countEl = document.createElement('span');
+            countEl.className = 'explorer-count';
+            countEl.textContent = move.total;
+            countEl.title = `${Math.round(100 * move.total / total)}% of games`;
+
+            moveEl.append(sanEl, countEl, OpeningExplorer.resultBar(move.percent));
+            this.movesEl.appendChild(moveEl);
+        }
+
+        this.gamesEl.innerHTML = '';
+        for (const game of games) {
+            const gameEl = document.createElement('div');
+            gameEl.className = 'explorer-game';
+            gameEl.dataset.game = game.id;
+            gameEl.title = 'Load this game';
+            gameEl.textContent = `${game.white} – ${game.black} · ${game.result} · ${OpeningExplorer.year(game.date)}`;
+            this.gamesEl.appendChild(gameEl);
+        }
+    }
+
+    // White / draw / Black shares of a move as one stacked bar
+    static resultBar(percent) {
+        const barEl = document.createElement('span');
+        barEl.className = 'explorer-bar';
+        for (const key of ['white', 'draws', 'black']) {
+            const partEl = document.createElement('span');
+            partEl.className = `explorer-bar-${key}`;
+            partEl.style.width = `${percent[key]}%`;
+            if (percent[key] >= OpeningExplorer.MIN_LABEL_PERCENT) partEl.textContent = `${Math.round(percent[key])}%`;
+            barEl.appendChild(partEl);
+        }
+        return barEl;
+    }
+
+    // Move counters differ between games that transpose into the same position
+    static positionKey(fen) {
+        return fen.split(' ').slice(0, 4).join(' ');
+    }
+
+    static year(date) {
+        const year = (date || '').split('.')[0];
+        return /^\d{4}$/.test(year) ? year : '?';
+    }
+
+    // Play a database move, if the user may move that piece now
+    play(uci) {
+        const piece = this.ui.game.get(uci.slice(0, 2));
+        if (this.ui.readOnly || !piece || !this.ui.canMovePiece(piece)) return;
+        this.ui.makeMove(uci);
+    }
+
+    // Replace the move list with an example game, staying on the explored position
+    async loadGame(id) {
+        if (this.ui.readOnly || this.ui.online.active) return;
+
+        let data;
+        try {
+            data = await this.ui.request(`/explorer/games/${encodeURIComponent(id)}`);
+        } catch (error) {
+            data = { error: error.message };
+        }
+        if (!data.pgn) {
+            this.infoEl.textContent = data.error || 'Could not load the game';
+            return;
+        }
+
+        const position = OpeningExplorer.positionKey(this.ui.game.fen());
+        try {
+            this.ui.loadPgn(data.pgn);
+        } catch (error) {
+            this.infoEl.textContent = error.message;
+            return;
+        }
+        const node = this.ui.tree.pathTo(this.ui.tree.lineEnd(this.ui.tree.root))
+            .find(node => OpeningExplorer.positionKey(node.fen) === position);
+        if (node) this.ui.goToNode(node);
+    }
+}
@@ -0,0 +1,377 @@
+/**
+ * PGN Import/Export
+ * - Headers, nested variations, {comments}, ; comments and NAGs
+ * - Suffix annotations (!, ?, !!, ??, !?, ?!) are read as NAGs
+ * - Lichess-style [%cal Ge2e4] / [%csl Rd4] tags map to annotations; square highlights and ghost pieces
+ *   use this app's own [%csq Yd4] and [%cgh wNf3] tags, which other programs skip
+ */
+
+class Pgn {
+    static RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+    static SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+    // How NAGs are shown next to a move; others are written as $n only
+    static NAG_SYMBOLS = {
+        1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!',
+        10: '=', 13: '∞', 14: '⩲', 15: '⩱', 16: '±', 17: '∓', 18: '+−', 19: '−+'
+    };
+
+    // PGN shape colors <-> annotation color names used by ChessUI
+    static SHAPE_COLORS = { G: 'Green', Y: 'Orange', R: 'Red', B: 'Blue' };
+
+    static STANDARD_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+    // ==================== PARSING ====================
+
+    /**
+     * Parse PGN text into games of the shape
+     * { headers, comment, moves: [{ san, nags, comment, variations: [[move...]] }], result }
+     */
+    static parse(text) {
+        const tokens = Pgn.tokenize(text);
+        const games = [];
+        let pos = 0;
+
+        while (pos < tokens.length) {
+            const game = { headers: {}, comment: '', moves: [], result: '*' };
+
+            while (pos < tokens.length && tokens[pos].type === 'header') {
+                game.headers[tokens[pos].name] = tokens[pos].value;
+                pos++;
+            }
+
+            pos = Pgn.parseLine(tokens, pos, game.moves, game);
+
+            if (pos < tokens.length && tokens[pos].type === 'result') {
+                game.result = tokens[pos].value;
+                pos++;
+            }
+            if (game.headers.Result && game.result === '*') game.result = game.headers.Result;
+
+            if (game.moves.length || Object.keys(game.headers).length || game.comment) {
+                games.push(game);
+            }
+        }
+
+        return games;
+    }
+
+    static parseLine(tokens, pos, moves, game) {
+        let pendingComment = '';
+
+        while (pos < tokens.length) {
+            const token = tokens[pos];
+
+            if (token.type === 'header' || token.type === 'result') break;
+            if (token.type === 'close') return pos + 1;
+
+            pos++;
+
+            if (token.type === 'san') {
+                moves.push({ san: token.value, nags: token.nags, comment: pendingComment, variations: [] });
+                pendingComment = '';
+            } else if (token.type === 'nag') {
+                if (moves.length) moves[moves.length - 1].nags.push(token.value);
+            } else if (token.type === 'comment') {
+                if (moves.length) {
+                    const last = moves[moves.length - 1];
+                    last.comment = Pgn.joinComments(last.comment, token.value);
+                } else if (game) {
+                    game.comment = Pgn.joinComments(game.comment, token.value);
+                } else {
+                    pendingComment = Pgn.joinComments(pendingComment, token.value);
+                }
+            } else if (token.type === 'open') {
+                const variation = [];
+                pos = Pgn.parseLine(tokens, pos, variation, null);
+                if (moves.length && variation.length) moves[moves.length - 1].variations.push(variation);
+            }
+        }
+
+        return pos;
+    }
+
+    static joinComments(a, b) {
+        return a ? `${a} ${b}` : b;
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            // Escape mechanism: lines starting with % are ignored
+            if (ch === '%' && (i === 0 || text[i - 1] === '\n')) {
+                i = Pgn.skipToLineEnd(text, i);
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '[') {
+                const match = /^\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/.exec(text.slice(i));
+                if (!match) throw new Error(`Malformed header near "${text.slice(i, i + 30)}"`);
+                tokens.push({ type: 'header', name: match[1], value: match[2].replace(/\\(.)/g, '$1') });
+                i += match[0].length;
+            } else if (ch === '{') {
+                const end = text.indexOf('}', i);
+                if (end === -1) throw new Error('Unterminated comment');
+                tokens.push({ type: 'comment', value: text.slice(i + 1, end).trim() });
+                i = end + 1;
+            } else if (ch === ';') {
+                const end = Pgn.skipToLineEnd(text, i);
+                tokens.push({ type: 'comment', value: text.slice(i + 1, end).trim() });
+                i = end;
+            } else if (ch === '(') {
+                tokens.push({ type: 'open' });
+                i++;
+            } else if (ch === ')') {
+                tokens.push({ type: 'close' });
+                i++;
+            } else if (ch === '$') {
+                const match = /^\$(\d+)/.exec(text.slice(i));
+                if (!match) throw new Error(`Malformed NAG near "${text.slice(i, i + 10)}"`);
+                tokens.push({ type: 'nag', value: parseInt(match[1], 10) });
+                i += match[0].length;
+            } else {
+                const match = /^[^\s{}()[\];$]+/.exec(text.slice(i));
+                if (!match) {
+                    i++;
+                    continue;
+                }
+                i += match[0].length;
+                Pgn.pushSymbol(tokens, match[0]);
+            }
+        }
+
+        return tokens;
+    }
+
+    static pushSymbol(tokens, symbol) {
+        if (Pgn.RESULTS.includes(symbol)) {
+            tokens.push({ type: 'result', value: symbol });
+            return;
+        }
+
+        // Strip move numbers ("12." / "12...") that may be glued to the move
+        const san = symbol.replace(/^\d+\.+/, '');
+        if (!san || /^\d+$/.test(san)) return;
+
+        // Standalone suffix annotation, e.g. "e4 !?"
+        if (Pgn.SUFFIX_NAGS[san]) {
+            tokens.push({ type: 'nag', value: Pgn.SUFFIX_NAGS[san] });
+            return;
+        }
+
+        const suffix = /[!?]+$/.exec(san);
+        const nags = suffix && Pgn.SUFFIX_NAGS[suffix[0]] ? [Pgn.SUFFIX_NAGS[suffix[0]]] : [];
+        const cleanSan = san.replace(/[!?]+$/, '').replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O');
+
+        tokens.push({ type: 'san', value: cleanSan, nags });
+    }
+
+    static skipToLineEnd(text, i) {
+        const end = text.indexOf('\n', i);
+        return end === -1 ? text.length : end;
+    }
+
+    // ==================== SHAPES ====================
+
+    /** Split [%cal]/[%csl]/[%csq]/[%cgh] tags out of a comment into { text, annotations } */
+    static extractShapes(comment) {
+        const annotations = MoveTree.emptyAnnotations();
+
+        const text = (comment || '').replace(/\[%(cal|csl|csq|cgh)\s+([^\]]*)\]/g, (_, kind, list) => {
+            for (const item of list.split(',')) {
+                const shape = item.trim();
+                if (kind === 'cgh') {
+                    // Ghost pieces have no color: wNf3
+                    if (/^[wb][KQRBNP][a-h][1-8]$/.test(shape)) {
+                        annotations.ghosts.push({ square: shape.slice(2), piece: shape.slice(0, 2) });
+                    }
+                    continue;
+                }
+
+                const color = Pgn.SHAPE_COLORS[shape[0]];
+                if (!color) continue;
+
+                if (kind === 'cal' && /^[a-h][1-8][a-h][1-8]$/.test(shape.slice(1))) {
+                    annotations.arrows.push({ move: shape.slice(1), color });
+                } else if (kind === 'csl' && /^[a-h][1-8]$/.test(shape.slice(1))) {
+                    annotations.circles.push({ square: shape.slice(1), color });
+                } else if (kind === 'csq' && /^[a-h][1-8]$/.test(shape.slice(1))) {
+                    annotations.squares.push({ square: shape.slice(1), color });
+                }
+            }
+            return '';
+        }).replace(/\s+/g, ' ').trim();
+
+        return { text, annotations };
+    }
+
+    static shapesToComment(annotations) {
+        if (!annotations) return '';
+
+        const letterFor = color =>
+            Object.keys(Pgn.SHAPE_COLORS).find(key => Pgn.SHAPE_COLORS[key] === color) || 'G';
+
+        let tags = '';
+        if (annotations.circles.length) {
+            tags += `[%csl ${annotations.circles.map(c => letterFor(c.color) + c.square).join(',')}]`;
+        }
+        if (annotations.arrows.length) {
+            tags += `[%cal ${annotations.arrows.map(a => letterFor(a.color) + a.move).join(',')}]`;
+        }
+        if (annotations.squares.length) {
+            tags += `[%csq ${annotations.squares.map(s => letterFor(s.color) + s.square).join(',')}]`;
+        }
+        if (annotations.ghosts.length) {
+            tags += `[%cgh ${annotations.ghosts.map(g => g.piece + g.square).join(',')}]`;
+        }
+        return tags;
+    }
+
+    // ==================== TREE CONVERSION ====================
+
+    /** Replay a parsed game into a new MoveTree, validating every move with chess.js */
+    static toTree(game) {
+        const startFen = game.headers.FEN || Pgn.STANDARD_FEN;
+        const board = new Chess();
+        if (!board.load(startFen)) throw new Error(`Invalid FEN header: ${startFen}`);
+
+        const tree = new MoveTree(board.fen());
+        tree.headers = { ...game.headers };
+        Pgn.applyComment(tree.root, game.comment);
+        Pgn.replayLine(tree, tree.root, game.moves);
+        if (game.result !== '*') tree.importedResult = { result: game.result, node: tree.lineEnd(tree.root) };
+
+        return tree;
+    }
+
+    static replayLine(tree, parent, moves) {
+        let node = parent;
+
+        for (const move of moves) {
+            const board = new Chess(node.fen);
+            const played = board.move(move.san, { sloppy: true });
+            if (!played) {
+                throw new Error(`Illegal move "${move.san}" in position ${node.fen}`);
+            }
+
+            const uci = played.from + played.to + (played.promotion || '');
+            const child = tree.addMove(node, uci, played.san, board.fen());
+            child.nags = [...move.nags];
+            Pgn.applyComment(child, move.comment);
+
+            // Variations branch from the position before this move
+            for (const variation of move.variations) {
+                Pgn.replayLine(tree, node, variation);
+            }
+
+            node = child;
+        }
+    }
+
+    static applyComment(node, comment) {
+        const { text, annotations } = Pgn.extractShapes(comment);
+        node.comment = text;
+        node.annotations = annotations;
+    }
+
+    // ==================== WRITING ====================
+
+    static write(tree, result) {
+        const headers = {
+            Event: '?',
+            Site: '?',
+            Date: '????.??.??',
+            Round: '?',
+            White: '?',
+            Black: '?',
+            ...tree.headers
+        };
+        // An imported result only holds as long as the main line still ends where the imported game did
+        const imported = tree.importedResult;
+        const stillImported = imported && tree.lineEnd(tree.root) === imported.node;
+        headers.Result = result || (stillImported ? imported.result : '*');
+
+        if (tree.root.fen !== Pgn.STANDARD_FEN) {
+            headers.SetUp = '1';
+            headers.FEN = tree.root.fen;
+        } else {
+            delete headers.SetUp;
+            delete headers.FEN;
+        }
+
+        const headerText = Object.entries(headers)
+            .map(([name, value]) => `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+            .join('\n');
+
+        const tokens = [];
+        const rootComment = Pgn.nodeComment(tree.root);
+        if (rootComment) tokens.push(`{${rootComment}}`);
+        Pgn.writeLine(tree, tree.root, tokens, true);
+        tokens.push(headers.Result);
+
+        return `${headerText}\n\n${Pgn.wrap(tokens)}\n`;
+    }
+
+    static writeLine(tree, node, tokens, needNumber) {
+        while (node.children.length) {
+            const [main, ...variations] = node.children;
+            needNumber = Pgn.writeMove(tree, main, tokens, needNumber);
+
+            for (const variation of variations) {
+                const variationTokens = [];
+                const afterFirst = Pgn.writeMove(tree, variation, variationTokens, true);
+                Pgn.writeLine(tree, variation, variationTokens, afterFirst);
+                variationTokens[0] = `(${variationTokens[0]}`;
+                variationTokens[variationTokens.length - 1] += ')';
+                tokens.push(...variationTokens);
+                needNumber = true;
+            }
+
+            node = main;
+        }
+    }
+
+    // Returns whether the next move needs an explicit move number
+    static writeMove(tree, node, tokens, needNumber) {
+        const isWhite = tree.isWhiteMove(node);
+        const number = tree.moveNumber(node);
+
+        if (isWhite) tokens.push(`${number}.`);
+        else if (needNumber) tokens.push(`${number}...`);
+
+        tokens.push(node.san);
+        for (const nag of node.nags || []) tokens.push(`$${nag}`);
+
+        const comment = Pgn.nodeComment(node);
+        if (comment) tokens.push(`{${comment}}`);
+
+        return Boolean(comment);
+    }
+
+    static nodeComment(node) {
+        const shapes = Pgn.shapesToComment(node.annotations);
+        return [shapes, node.comment].filter(Boolean).join(' ').replace(/}/g, ')');
+    }
+
+    static wrap(tokens, width = 80) {
+        const lines = [];
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + token.length + 1 > width) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        if (line) lines.push(line);
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Piece Animator
+ * - Renders the pieces of ChessUI's position by diffing it with the previous one: unchanged pieces keep
+ *   their elements, so only what moved is touched
+ * - A single move slides its piece (king and rook when castling); captured pieces fade out, including
+ *   the pawn taken en passant
+ * - Bigger changes (new game, PGN import, jumping through the move list) are shown at once
+ * - Speed from the animationSpeed setting, 0 turns animation off
+ */
+
+class PieceAnimator {
+    constructor(ui) {
+        this.ui = ui;
+        this.position = {};         // Square -> piece code ('wK') of the last rendered position
+        this.dropSquare = null;     // Square the user just dropped a dragged piece on, already in place
+    }
+
+    // Sync the board's piece elements with ui.game; returns the move that was animated, or null
+    render() {
+        const ui = this.ui;
+        const squareEls = ui.boardEl.querySelectorAll('.square');
+        const before = this.position;
+        const after = {};
+        const shown = {};
+        for (const squareEl of squareEls) {
+            const square = squareEl.dataset.square;
+            const piece = ui.game.get(square);
+            if (piece) after[square] = PieceAnimator.code(piece);
+            const pieceEl = squareEl.querySelector('.piece:not(.captured)');
+            if (pieceEl) shown[square] = PieceAnimator.codeOf(pieceEl);
+        }
+        this.position = after;
+
+        const move = PieceAnimator.findMove(before, after);
+        const speed = move ? ui.settings.values.animationSpeed : 0;
+        const dropSquare = this.dropSquare;
+        this.dropSquare = null;
+
+        // Slides start where the piece is shown; pieces put elsewhere (premoves, a drop) just appear
+        const slides = new Map();
+        for (const { from, to } of speed && move ? move.moves : []) {
+            if (shown[from] && shown[from] === before[from] && to !== dropSquare) slides.set(to, from);
+        }
+
+        for (const squareEl of squareEls) {
+            const square = squareEl.dataset.square;
+            const code = after[square];
+            if (shown[square] === code) continue;
+
+            const pieceEl = squareEl.querySelector('.piece:not(.captured)');
+            if (pieceEl && speed && move.captured.includes(square)) {
+                this.fadeOut(pieceEl, speed);
+            } else if (pieceEl) {
+                pieceEl.remove();
+            }
+
+            if (!code) continue;
+            const newEl = ui.createPieceEl({ color: code[0], type: code[1].toLowerCase() });
+            squareEl.appendChild(newEl);
+            if (slides.has(square)) this.slide(newEl, slides.get(square), squareEl, speed);
+        }
+        return move;
+    }
+
+    // Start the piece over the square it came from and let it glide into place
+    slide(pieceEl, from, squareEl, speed) {
+        const fromEl = this.ui.boardEl.querySelector(`[data-square="${from}"]`);
+        const fromRect = fromEl.getBoundingClientRect();
+        const toRect = squareEl.getBoundingClientRect();
+
+        // Squares are turned upright again on a flipped board, so screen offsets apply as they are
+        pieceEl.style.transition = 'none';
+        pieceEl.style.transform = `translate(${fromRect.left - toRect.left}px, ${fromRect.top - toRect.top}px)`;
+        squareEl.classList.add('animating');
+        void pieceEl.offsetWidth; // Commit the start position before transitioning away from it
+
+        pieceEl.style.transition = `transform ${speed}ms ease`;
+        pieceEl.style.transform = '';
+        setTimeout(() => {
+            pieceEl.style.transition = '';
+            squareEl.classList.remove('animating');
+        }, speed);
+    }
+
+    fadeOut(pieceEl, speed) {
+        pieceEl.classList.add('captured');
+        pieceEl.style.transition = `opacity ${speed}ms ease`;
+        void pieceEl.offsetWidth;
+        pieceEl.style.opacity = '0';
+        setTimeout(() => pieceEl.remove(), speed);
+    }
+
+    // The move that turns one position into the other (or back), if there is exactly one:
+    // { moves: [{ from, to }], captured: [square], castling, promotion }
+    static findMove(before, after) {
+        const changed = square => before[square] !== after[square];
+        const vanished = Object.keys(before).filter(changed);
+        const appeared = Object.keys(after).filter(changed);
+        if (!appeared.length) return null;
+
+        const moves = [];
+        for (const to of appeared) {
+            const from = vanished.find(square => before[square] === after[to] && !moves.some(m => m.from === square));
+            if (from) moves.push({ from, to });
+        }
+
+        // A pawn that became another piece, or back again when going back through the game
+        let promotion = false;
+        for (const to of appeared.filter(square => !moves.some(m => m.to === square))) {
+            const from = vanished.find(square => before[square][0] === after[to][0] &&
+                (before[square][1] === 'P' || after[to][1] === 'P') && !moves.some(m => m.from === square));
+            if (from) {
+                moves.push({ from, to });
+                promotion = true;
+            }
+        }
+
+        // Pieces taken off, or put back when going back over a capture
+        const captured = vanished.filter(square => !moves.some(m => m.from === square));
+        const restored = appeared.filter(square => !moves.some(m => m.to === square));
+        const castling = moves.length === 2 && moves.every(m => before[m.from][0] === before[moves[0].from][0]) &&
+            moves.some(m => before[m.from][1] === 'K') && moves.some(m => before[m.from][1] === 'R');
+        if ((moves.length !== 1 && !castling) || captured.length > 1 || restored.length > 1) return null;
+        return { moves, captured, castling, promotion };
+    }
+
+    static code(piece) {
+        return piece.color + piece.type.toUpperCase();
+    }
+
+    static codeOf(pieceEl) {
+        return [...pieceEl.classList].find(name => /^[wb][KQRBNP]$/.test(name)) || null;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Premove Queue
+ * - Against the computer or online, the user can enter moves while the opponent is to move
+ *   (up to options.premoves, 0 turns premoves off), by click, drag or touch
+ * - Targets follow how the piece moves on an empty board, since the position will change;
+ *   pawns reaching the last rank become queens
+ * - Queued moves are shown on the board in their own color and played once it is the user's
+ *   turn, if they are in the new legal moves; otherwise the whole queue is dropped
+ * - Clicking anywhere else on the board cancels the queue
+ */
+
+class PremoveQueue {
+    static KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+    static DIAGONALS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+    static LINES = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    constructor(ui) {
+        this.ui = ui;
+        this.queue = [];        // UCI moves, played in order
+        this.tree = null;       // Tree the moves were queued in; a new game drops them
+        this.timer = null;
+    }
+
+    // Side the user plays against an opponent, null when premoves do not apply
+    color() {
+        const ui = this.ui;
+        if (!ui.options.premoves || ui.readOnly || !ui.game.isStandard) return null;
+        if (ui.opponent.active) return ui.opponent.color === 'w' ? 'b' : 'w';
+        if (ui.online.active && (ui.online.seat === 'white' || ui.online.seat === 'black')) return ui.online.seat[0];
+        return null;
+    }
+
+    // The game's current position is on the board (not an earlier one from the move list)
+    isLive() {
+        const ui = this.ui;
+        if (ui.online.active) {
+            return ui.currentNode === ui.online.liveNode && Boolean(ui.online.state) && ui.online.state.status === 'playing';
+        }
+        return !ui.currentNode.children.length && !ui.isGameOver() && !ui.clockPanel.isFlagged();
+    }
+
+    // Board input goes to the queue while the opponent is to move
+    isPremoving() {
+        const color = this.color();
+        return Boolean(color) && this.ui.game.turn() !== color && this.isLive();
+    }
+
+    // Piece on a square once the queued moves are played
+    pieceAt(square, count = this.queue.length) {
+        for (let i = count - 1; i >= 0; i--) {
+            const uci = this.queue[i];
+            if (uci.substring(2, 4) === square) {
+                const piece = this.pieceAt(uci.substring(0, 2), i);
+                return uci[4] ? { type: uci[4], color: piece.color } : piece;
+            }
+            if (uci.substring(0, 2) === square) return null;
+        }
+        return this.ui.game.get(square);
+    }
+
+    canSelect(square) {
+        const piece = this.pieceAt(square);
+        return Boolean(piece) && piece.color === this.color();
+    }
+
+    select(square) {
+        const ui = this.ui;
+        ui.clearSelection();
+        ui.selectedSquare = square;
+
+        const squareEl = ui.boardEl.querySelector(`[data-square="${square}"]`);
+        if (squareEl) squareEl.classList.add('selected');
+        for (const target of this.targets(square)) {
+            const targetEl = ui.boardEl.querySelector(`[data-square="${target}"]`);
+            if (targetEl) targetEl.classList.add('premove-target');
+        }
+    }
+
+    // Click input while premoving: pick a piece, queue a move for it, or cancel
+    handleClick(square) {
+        const from = this.ui.selectedSquare;
+        if (from && from !== square && this.add(from, square)) return;
+        if (from !== square && this.canSelect(square)) {
+            this.select(square);
+            return;
+        }
+        this.cancel();
+    }
+
+    // Queue a move; once the queue is full the newest move replaces the last one
+    add(from, to) {
+        const piece = this.pieceAt(from);
+        if (!piece || piece.color !== this.color() || !this.targets(from).includes(to)) return false;
+
+        const lastRank = piece.color === 'w' ? '8' : '1';
+        const promotion = piece.type === 'p' && to[1] === lastRank ? 'q' : '';
+        if (this.queue.length >= this.ui.options.premoves) this.queue.pop();
+        this.queue.push(from + to + promotion);
+        this.tree = this.ui.tree;
+
+        this.ui.clearSelection();
+        this.ui.renderPosition();
+        return true;
+    }
+
+    cancel() {
+        const hadMoves = this.queue.length > 0;
+        this.clear();
+        this.ui.clearSelection();
+        if (hadMoves) this.ui.renderPosition();
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+        this.tree = null;
+    }
+
+    // Called by ChessUI whenever the displayed position changes
+    positionChanged() {
+        if (!this.queue.length) return;
+
+        const color = this.color();
+        if (!color || this.ui.tree !== this.tree || !this.isLive()) {
+            this.clear();
+            return;
+        }
+
+        // Played once the opponent's move has been fully handled (events, clock)
+        if (this.ui.game.turn() === color && !this.timer) {
+            this.timer = setTimeout(() => this.playNext(), 0);
+        }
+    }
+
+    playNext() {
+        this.timer = null;
+        const uci = this.queue.shift();
+        const piece = this.ui.game.get(uci.substring(0, 2));
+        const playable = this.ui.tree === this.tree && this.isLive() && piece &&
+            this.ui.canMovePiece(piece) && this.ui.legalMoves.includes(uci);
+
+        // Later moves were planned on top of this one
+        if (!playable) {
+            this.cancel();
+            return;
+        }
+        this.ui.makeMove(uci);
+    }
+
+    // Queued moves drawn on the board: pieces on their new squares, both squares marked
+    render() {
+        const ui = this.ui;
+        this.queue.forEach((uci, i) => {
+            const fromEl = ui.boardEl.querySelector(`[data-square="${uci.substring(0, 2)}"]`);
+            const toEl = ui.boardEl.querySelector(`[data-square="${uci.substring(2, 4)}"]`);
+            if (!fromEl || !toEl) return;
+
+            const pieceEl = fromEl.querySelector('.piece');
+            toEl.querySelector('.piece')?.remove();
+            if (pieceEl) {
+                const promotedEl = uci[4] ? ui.createPieceEl(this.pieceAt(uci.substring(2, 4), i + 1)) : null;
+                if (promotedEl) pieceEl.remove();
+                toEl.appendChild(promotedEl || pieceEl);
+            }
+            fromEl.classList.add('premove');
+            toEl.classList.add('premove');
+        });
+    }
+
+    // Squares a piece could reach on an empty board, plus castling from the home square
+    targets(square) {
+        const piece = this.pieceAt(square);
+        if (!piece) return [];
+
+        const file = square.charCodeAt(0) - 97;
+        const rank = parseInt(square[1], 10) - 1;
+        const targets = [];
+        const add = (df, dr) => {
+            const f = file + df;
+            const r = rank + dr;
+            if (f >= 0 && f < 8 && r >= 0 && r < 8) targets.push(this.ui.coordsToSquare(f, r));
+        };
+        const slide = (directions) => {
+            for (const [df, dr] of directions) {
+                for (let i = 1; i < 8; i++) add(df * i, dr * i);
+            }
+        };
+
+        const forward = piece.color === 'w' ? 1 : -1;
+        const homeRank = piece.color === 'w' ? 0 : 7;
+        switch (piece.type) {
+            case 'p':
+                add(0, forward);
+                add(-1, forward);
+                add(1, forward);
+                if (rank === homeRank + forward) add(0, 2 * forward);
+                break;
+            case 'n':
+                PremoveQueue.KNIGHT_STEPS.forEach(([df, dr]) => add(df, dr));
+                break;
+            case 'b':
+                slide(PremoveQueue.DIAGONALS);
+                break;
+            case 'r':
+                slide(PremoveQueue.LINES);
+                break;
+            case 'q':
+                slide(PremoveQueue.DIAGONALS);
+                slide(PremoveQueue.LINES);
+                break;
+            case 'k':
+                [...PremoveQueue.DIAGONALS, ...PremoveQueue.LINES].forEach(([df, dr]) => add(df, dr));
+                if (file === 4 && rank === homeRank) {
+                    for (const [rookFile, kingFile] of [[7, 6], [0, 2]]) {
+                        const rook = this.pieceAt(this.ui.coordsToSquare(rookFile, rank));
+                        if (rook && rook.type === 'r' && rook.color === piece.color) add(kingFile - file, 0);
+                    }
+                }
+                break;
+        }
+        return targets.filter(target => target !== square);
+    }
+}
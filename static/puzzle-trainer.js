@@ -0,0 +1,376 @@
+/**
+ * Puzzle Trainer
+ * - Tactics puzzles from the server (/puzzles/next), filtered by theme and rating range
+ * - The user plays the solving side, the opponent's replies are played automatically
+ * - Wrong moves are rejected and marked; any mating move counts as correct
+ * - Hints: first the piece to move, then an arrow for the whole move
+ * - Attempts and clean solves per puzzle are kept in localStorage
+ */
+
+class PuzzleTrainer {
+    static STATS_KEY = 'chess-ui:puzzle-stats';
+
+    // Pause before the opponent's reply, so the user sees their own move land
+    static REPLY_DELAY = 500;
+
+    // Most recently played puzzle IDs sent to the server to avoid repeats
+    static EXCLUDE_LIMIT = 100;
+
+    constructor(ui) {
+        this.ui = ui;
+        this.active = false;
+        this.puzzle = null;
+        this.color = null;          // Solving side, 'w' | 'b'
+        this.step = 0;              // Index of the next move in puzzle.moves
+        this.tree = null;           // Tree the puzzle was loaded into; a new one ends the puzzle
+        this.liveNode = null;       // Node of the position the solver has to move in
+        this.mistakes = 0;
+        this.hintLevel = 0;         // 0 none, 1 piece shown, 2 arrow shown
+        this.usedHelp = false;
+        this.revealed = false;      // Solution was shown instead of solved
+        this.solved = false;
+        this.wrongMove = false;
+        this.error = null;
+        this.replyTimer = null;
+        this.themesLoaded = false;
+
+        // DOM elements
+        const refs = ui.refs;
+        this.panelEl = refs.puzzlePanel;
+        this.openBtn = refs.puzzleBtn;
+        this.themeEl = refs.puzzleTheme;
+        this.minRatingEl = refs.puzzleMinRating;
+        this.maxRatingEl = refs.puzzleMaxRating;
+        this.infoEl = refs.puzzleInfo;
+        this.statsEl = refs.puzzleStats;
+        this.hintBtn = refs.puzzleHintBtn;
+        this.solutionBtn = refs.puzzleSolutionBtn;
+        this.stopBtn = refs.puzzleStopBtn;
+    }
+
+    bindEvents() {
+        if (!this.panelEl) return;
+
+        const listen = (target, type, handler) => this.ui.listen(target, type, handler);
+        listen(this.openBtn, 'click', () => {
+            this.panelEl.classList.toggle('hidden');
+            if (!this.themesLoaded) this.loadThemes();
+        });
+        listen(this.ui.refs.puzzleNextBtn, 'click', () => this.next());
+        listen(this.hintBtn, 'click', () => this.hint());
+        listen(this.solutionBtn, 'click', () => this.showSolution());
+        listen(this.stopBtn, 'click', () => this.stop());
+
+        this.ui.on('move', (move) => this.handleMove(move));
+        this.renderPanel();
+    }
+
+    async loadThemes() {
+        let data;
+        try {
+            data = await this.ui.request('/puzzles/themes');
+        } catch (error) {
+            data = { error: error.message };
+        }
+        if (!data.themes) {
+            console.error('Failed to load puzzle themes:', data.error);
+            return;
+        }
+
+        this.themesLoaded = true;
+        this.themeEl.innerHTML = '<option value="">All themes</option>' + Object.entries(data.themes)
+            .map(([theme, count]) => `<option value="${theme}">${PuzzleTrainer.themeName(theme)} (${count})</option>`)
+            .join('');
+    }
+
+    // Fetch a puzzle matching the panel's filters and start it
+    async next() {
+        const params = new URLSearchParams();
+        if (this.themeEl && this.themeEl.value) params.set('theme', this.themeEl.value);
+        if (this.minRatingEl && this.minRatingEl.value) params.set('min_rating', this.minRatingEl.value);
+        if (this.maxRatingEl && this.maxRatingEl.value) params.set('max_rating', this.maxRatingEl.value);
+        const played = Object.keys(PuzzleTrainer.loadStats()).slice(-PuzzleTrainer.EXCLUDE_LIMIT);
+        if (played.length) params.set('exclude', played.join(','));
+
+        let data;
+        try {
+            data = await this.ui.request(`/puzzles/next?${params}`);
+        } catch (error) {
+            data = { error: error.message };
+        }
+        if (!data.fen) {
+            this.showError(data.error || 'Could not load a puzzle');
+            return null;
+        }
+
+        await this.start(data);
+        return data;
+    }
+
+    // puzzle: { id, fen, moves, rating, themes } with the solving side to move in fen
+    async start(puzzle) {
+        this.stop();
+        if (this.ui.opponent.active) this.ui.opponent.stop();
+        if (this.ui.editor.active) this.ui.editor.close();
+
+        const data = await this.ui.setPosition(puzzle.fen);
+        if (!data.valid) {
+            this.showError(`Invalid puzzle position: ${data.error}`);
+            return;
+        }
+
+        this.active = true;
+        this.puzzle = puzzle;
+        this.color = this.ui.game.turn();
+        this.step = 0;
+        this.tree = this.ui.tree;
+        this.liveNode = this.ui.currentNode;
+        this.mistakes = 0;
+        this.hintLevel = 0;
+        this.usedHelp = false;
+        this.revealed = false;
+        this.solved = false;
+        this.wrongMove = false;
+        this.error = null;
+
+        const side = this.color === 'w' ? 'white' : 'black';
+        this.ui.setOrientation(side);
+        this.ui.setMovableColors(side);
+        if (this.openBtn) this.openBtn.classList.add('active');
+        PuzzleTrainer.recordAttempt(puzzle.id);
+
+        this.renderPanel();
+        this.ui.updateStatus();
+        this.ui.renderAnnotations();
+    }
+
+    stop() {
+        clearTimeout(this.replyTimer);
+        this.replyTimer = null;
+        if (!this.active) return;
+
+        this.active = false;
+        this.puzzle = null;
+        this.tree = null;
+        this.liveNode = null;
+        this.hintLevel = 0;
+        this.ui.setMovableColors(this.ui.options.movableColors);
+        if (this.openBtn) this.openBtn.classList.remove('active');
+        this.renderPanel();
+        this.ui.updateStatus();
+        this.ui.renderAnnotations();
+    }
+
+    expectedMove() {
+        return this.puzzle.moves[this.step];
+    }
+
+    // Called by ChessUI.makeMove before a move is played; false rejects the move
+    checkMove(uci) {
+        if (!this.active || this.solved || this.ui.game.turn() !== this.color) return true;
+        if (uci === this.expectedMove() || PuzzleTrainer.isMate(this.ui.game.fen(), uci)) return true;
+
+        this.mistakes++;
+        this.wrongMove = true;
+        this.flashSquares([uci.substring(0, 2), uci.substring(2, 4)]);
+        this.ui.updateStatus();
+        this.renderPanel();
+        return false;
+    }
+
+    // Called by ChessUI whenever the displayed position changes
+    positionChanged() {
+        // Loading another position or game ends the puzzle
+        if (this.active && this.ui.tree !== this.tree) this.stop();
+    }
+
+    handleMove(move) {
+        if (!this.active || this.solved || this.ui.currentNode.parent !== this.liveNode) return;
+
+        const solverMoved = this.ui.game.turn() !== this.color;
+        const mate = solverMoved && this.ui.game.in_checkmate();
+        if (move.uci !== this.expectedMove() && !mate) return;
+
+        this.step = mate ? this.puzzle.moves.length : this.step + 1;
+        this.liveNode = this.ui.currentNode;
+        this.wrongMove = false;
+        this.hintLevel = 0;
+
+        if (this.step >= this.puzzle.moves.length) {
+            this.finish();
+            return;
+        }
+        if (solverMoved && !this.revealed) {
+            this.replyTimer = setTimeout(() => this.playReply(), PuzzleTrainer.REPLY_DELAY);
+        }
+        this.renderPanel();
+        this.ui.updateStatus();
+    }
+
+    async playReply() {
+        this.replyTimer = null;
+        if (!this.active || this.ui.currentNode !== this.liveNode) return;
+        await this.ui.makeMove(this.expectedMove());
+    }
+
+    finish() {
+        this.solved = true;
+        const clean = !this.revealed && !this.usedHelp && this.mistakes === 0;
+        PuzzleTrainer.recordResult(this.puzzle.id, clean);
+
+        // The position is free to explore once the puzzle is over
+        this.ui.setMovableColors('both');
+        this.renderPanel();
+        this.ui.updateStatus();
+        this.ui.renderAnnotations();
+    }
+
+    hint() {
+        if (!this.active || this.solved || this.ui.currentNode !== this.liveNode) return;
+        if (this.ui.game.turn() !== this.color) return;
+
+        this.usedHelp = true;
+        this.hintLevel = Math.min(this.hintLevel + 1, 2);
+        const move = this.expectedMove();
+        if (this.hintLevel === 1) {
+            this.ui.selectSquare(move.substring(0, 2));
+        } else {
+            this.ui.renderAnnotations();
+        }
+        this.renderPanel();
+    }
+
+    // Play the rest of the solution; the puzzle counts as failed
+    async showSolution() {
+        if (!this.active || this.solved) return;
+        this.revealed = true;
+        clearTimeout(this.replyTimer);
+        this.replyTimer = null;
+        if (this.ui.currentNode !== this.liveNode) this.ui.goToNode(this.liveNode);
+
+        const puzzle = this.puzzle;
+        while (this.active && this.puzzle === puzzle && !this.solved) {
+            const step = this.step;
+            await this.ui.makeMove(this.expectedMove());
+            if (this.step === step) break;  // Move failed, e.g. the server is unreachable
+            if (!this.solved) await new Promise(resolve => setTimeout(resolve, PuzzleTrainer.REPLY_DELAY));
+        }
+    }
+
+    canMove() {
+        return this.solved || (this.ui.currentNode === this.liveNode && !this.replyTimer);
+    }
+
+    flashSquares(squares) {
+        const els = squares
+            .map(square => this.ui.boardEl.querySelector(`[data-square="${square}"]`))
+            .filter(Boolean);
+        els.forEach(el => el.classList.add('wrong-move'));
+        setTimeout(() => els.forEach(el => el.classList.remove('wrong-move')), 600);
+    }
+
+    // Hint arrow; called from ChessUI.renderAnnotations()
+    drawArrows(squareSize) {
+        if (!this.active || this.solved || this.hintLevel < 2 || this.ui.currentNode !== this.liveNode) return;
+        const move = this.expectedMove();
+        this.ui.drawArrow(move.substring(0, 2), move.substring(2, 4), this.ui.colorValues.Blue, squareSize);
+    }
+
+    renderPanel() {
+        if (!this.panelEl) return;
+
+        const stats = PuzzleTrainer.loadStats();
+        const played = Object.values(stats);
+        const cleanSolves = played.filter(entry => entry.solved > 0).length;
+        this.statsEl.textContent = played.length ? `Solved ${cleanSolves} of ${played.length} puzzles` : '';
+
+        const puzzle = this.puzzle;
+        if (!this.active || !puzzle) {
+            this.infoEl.textContent = '';
+        } else {
+            const entry = stats[puzzle.id] || { attempts: 1, solved: 0 };
+            const themes = puzzle.themes.map(PuzzleTrainer.themeName).join(', ');
+            this.infoEl.textContent = `Puzzle ${puzzle.id} · rating ${puzzle.rating} · ${themes}` +
+                ` · attempt ${entry.attempts}` + (entry.solved ? `, solved ${entry.solved}×` : '');
+        }
+
+        const playing = this.active && !this.solved;
+        this.hintBtn.hidden = !playing;
+        this.solutionBtn.hidden = !playing;
+        this.stopBtn.hidden = !this.active;
+    }
+
+    // Replaces the normal status line while a puzzle is open
+    getStatus() {
+        if (this.error) return { text: this.error, className: 'engine-error' };
+        if (!this.active) return null;
+
+        if (this.solved) {
+            if (this.revealed) return { text: 'Solution shown', className: 'draw' };
+            if (this.mistakes || this.usedHelp) return { text: 'Solved with help', className: 'solved' };
+            return { text: '✓ Solved!', className: 'solved' };
+        }
+        if (this.ui.game.turn() !== this.color) return { text: '✓ Correct…', className: 'thinking' };
+        if (this.wrongMove) return { text: '✗ Not the move, try again', className: 'engine-error' };
+
+        const side = this.color === 'w' ? 'White' : 'Black';
+        return { text: `Find the best move for ${side}`, className: 'puzzle' };
+    }
+
+    showError(message) {
+        this.error = message;
+        this.ui.updateStatus();
+        // Errors are transient; the next update restores the normal status
+        clearTimeout(this.errorTimer);
+        this.errorTimer = setTimeout(() => {
+            this.error = null;
+            this.ui.updateStatus();
+        }, 4000);
+    }
+
+    // Any move that mates solves the puzzle, even if it isn't the stored one
+    static isMate(fen, uci) {
+        const game = new Chess(fen);
+        const move = game.move({ from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] });
+        return Boolean(move) && game.in_checkmate();
+    }
+
+    // "mateIn2" -> "Mate in 2", "backRankMate" -> "Back rank mate"
+    static themeName(theme) {
+        const words = theme.replace(/([a-z])([A-Z0-9])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    // { puzzleId: { attempts, solved } }, in the order puzzles were first played
+    static loadStats() {
+        try {
+            return JSON.parse(localStorage.getItem(PuzzleTrainer.STATS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static saveStats(stats) {
+        try {
+            localStorage.setItem(PuzzleTrainer.STATS_KEY, JSON.stringify(stats));
+        } catch (error) {
+            // Private mode etc.: progress just isn't remembered
+        }
+    }
+
+    static recordAttempt(id) {
+        const stats = PuzzleTrainer.loadStats();
+        const entry = stats[id] || { attempts: 0, solved: 0 };
+        entry.attempts++;
+        stats[id] = entry;
+        PuzzleTrainer.saveStats(stats);
+    }
+
+    static recordResult(id, clean) {
+        if (!clean) return;
+        const stats = PuzzleTrainer.loadStats();
+        if (!stats[id]) return;
+        stats[id].solved++;
+        PuzzleTrainer.saveStats(stats);
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Server Connection
+ * - Notices when the rules server cannot be reached; /move, /fen, /claim-draw and /reset are then answered by
+ *   the local rules (local-rules.js, standard chess), so the game goes on
+ * - Moves played meanwhile stay unconfirmed; once the server answers again they are replayed there in order,
+ *   and moves it plays differently or rejects are flagged in the move list
+ * - Indicator next to the status line: online, offline with the moves waiting, syncing, moves that differ
+ * - Looks for the server every few seconds while offline, and right away when the browser is back online
+ */
+
+class ServerConnection {
+    static RETRY_INTERVAL = 5000;
+
+    // Endpoints with a stand-in in LocalRules
+    static LOCAL_PATHS = ['/move', '/fen', '/claim-draw', '/reset'];
+
+    constructor(ui) {
+        this.ui = ui;
+        this.status = ui.useServer ? 'online' : 'local';  // 'online' | 'offline' | 'syncing' | 'local'
+        this.unconfirmed = [];      // Nodes of moves played with the local rules, oldest first
+        this.diverged = new Map();  // Node -> why the server does not agree with that move
+        this.timer = null;
+
+        // DOM elements
+        this.indicatorEl = ui.refs.connection;
+    }
+
+    bindEvents() {
+        if (this.ui.useServer) {
+            this.ui.listen(window, 'online', () => this.check());
+            this.ui.listen(window, 'offline', () => this.lost());
+        }
+        this.render();
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    get offline() {
+        return this.status === 'offline';
+    }
+
+    static hasLocalRules(path) {
+        return ServerConnection.LOCAL_PATHS.includes(path.split('?')[0]);
+    }
+
+    // Same position, ignoring the en passant square: chess.js writes it after every double step,
+    // python-chess only when the capture is legal
+    static samePosition(fen, other) {
+        const fields = value => value.split(/\s+/).filter((field, i) => i !== 3).join(' ');
+        return fields(fen) === fields(other);
+    }
+
+    // ==================== STATUS ====================
+
+    // A request could not reach the server
+    lost() {
+        if (!this.ui.useServer || this.offline) return;
+        this.setStatus('offline');
+        this.scheduleCheck();
+    }
+
+    // A request got through: confirm what was played offline
+    reached() {
+        if (this.offline) this.resync();
+    }
+
+    // Called by ChessUI for every move it plays, to queue those the server has not seen
+    played(node) {
+        if (!this.offline) return;
+        this.unconfirmed.push(node);
+        this.render();
+    }
+
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.render();
+        this.ui.updateMoveList();
+        this.ui.emit('connectionChanged', this.toJSON());
+    }
+
+    scheduleCheck() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.check(), ServerConnection.RETRY_INTERVAL);
+    }
+
+    async check() {
+        if (!this.offline) return;
+        try {
+            const response = await fetch(`${this.ui.serverUrl}/health`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Server answered ${response.status}`);
+        } catch (error) {
+            this.scheduleCheck();
+            return;
+        }
+        // Another request may have found the server first
+        if (this.offline) await this.resync();
+    }
+
+    // ==================== RESYNC ====================
+
+    // Replay the unconfirmed moves on the server, oldest first
+    async resync() {
+        const ui = this.ui;
+        if (this.status === 'syncing') return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.setStatus('syncing');
+
+        while (this.unconfirmed.length) {
+            const node = this.unconfirmed[0];
+            // Moves deleted or left behind by a new game need no confirmation
+            if (ui.tree.findById(node.id) === node) {
+                let data;
+                try {
+                    data = await ui.fetchJSON('/move', {
+                        fen: node.parent.fen,
+                        move: node.uci,
+                        variant: ui.game.variant,
+                        ...ui.historyOf(node.parent)
+                    });
+                } catch (error) {
+                    this.setStatus('offline');
+                    this.scheduleCheck();
+                    return;
+                }
+                this.confirm(node, data);
+            }
+            this.unconfirmed.shift();
+            this.render();
+        }
+
+        this.setStatus('online');
+        // Legal moves, repetitions and claims of the current position as the server sees them
+        ui.syncWithServer();
+    }
+
+    confirm(node, data) {
+        if (data.valid && ServerConnection.samePosition(data.fen, node.fen)) return;
+
+        let reason = 'The server reaches a different position';
+        if (!data.valid) reason = data.error ? [data.error, ...(data.errors || [])].join(': ') : 'The server rejects this move';
+        this.diverged.set(node, reason);
+        console.warn(`Move ${node.san} differs from the server:`, reason);
+    }
+
+    // ==================== DISPLAY ====================
+
+    isUnconfirmed(node) {
+        return this.unconfirmed.includes(node);
+    }
+
+    // Reason the server disagrees with a move, or null
+    divergence(node) {
+        return this.diverged.get(node) || null;
+    }
+
+    // Flagged moves of the game on the board (older games' stay out of the count)
+    divergedNodes() {
+        const tree = this.ui.tree;
+        return [...this.diverged.keys()].filter(node => tree.findById(node.id) === node);
+    }
+
+    render() {
+        const el = this.indicatorEl;
+        if (!el) return;
+
+        el.hidden = this.status === 'local';
+        const queued = this.unconfirmed.length;
+        const diverged = this.divergedNodes().length;
+        const moves = count => `${count} move${count === 1 ? '' : 's'}`;
+
+        let text = 'Online';
+        if (this.status === 'offline') {
+            text = queued ? `Offline · ${moves(queued)} to sync` : 'Offline · moves checked locally';
+        } else if (this.status === 'syncing') {
+            text = `Syncing ${moves(queued)}…`;
+        }
+        if (diverged) text += ` · ⚠ ${moves(diverged)} ${diverged === 1 ? 'differs' : 'differ'} from the server`;
+
+        el.textContent = text;
+        el.dataset.status = diverged ? 'diverged' : this.status;
+    }
+
+    toJSON() {
+        return {
+            status: this.status,
+            unconfirmed: this.unconfirmed.map(node => node.id),
+            diverged: this.divergedNodes().map(node => node.id)
+        };
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Sound Effects
+ * - Short tones for moves, captures, checks, the end of the game and a clock running low
+ * - Synthesized with the Web Audio API, so there are no sound files to serve
+ * - The 🔊 button mutes and unmutes; the choice is kept with the board settings
+ */
+
+class SoundEffects {
+    // Oscillator wave and [frequency (Hz), start (s), length (s)] notes per sound
+    static SOUNDS = {
+        move: { wave: 'sine', volume: 0.25, notes: [[600, 0, 0.06]] },
+        capture: { wave: 'triangle', volume: 0.35, notes: [[420, 0, 0.05], [260, 0.04, 0.09]] },
+        check: { wave: 'square', volume: 0.12, notes: [[880, 0, 0.08], [1175, 0.09, 0.1]] },
+        gameEnd: { wave: 'sine', volume: 0.25, notes: [[523, 0, 0.14], [659, 0.14, 0.14], [784, 0.28, 0.3]] },
+        lowTime: { wave: 'square', volume: 0.08, notes: [[1000, 0, 0.05], [1000, 0.12, 0.05], [1000, 0.24, 0.05]] }
+    };
+
+    constructor(ui) {
+        this.ui = ui;
+        this.context = null;        // AudioContext, created for the first sound
+
+        // DOM elements
+        this.muteBtn = ui.refs.soundBtn;
+    }
+
+    bindEvents() {
+        this.ui.on('gameOver', () => this.play('gameEnd'));
+        if (!this.muteBtn) return;
+
+        this.ui.listen(this.muteBtn, 'click', () => this.ui.settings.set({ sound: !this.enabled() }));
+        this.render();
+    }
+
+    destroy() {
+        if (this.context) this.context.close();
+        this.context = null;
+    }
+
+    enabled() {
+        return this.ui.settings.values.sound;
+    }
+
+    render() {
+        if (!this.muteBtn) return;
+
+        const enabled = this.enabled();
+        this.muteBtn.textContent = enabled ? '🔊 Sound' : '🔇 Muted';
+        this.muteBtn.setAttribute('aria-pressed', String(!enabled));
+        this.muteBtn.title = enabled ? 'Mute sounds' : 'Unmute sounds';
+    }
+
+    // Sound for a move found by PieceAnimator, after it was put on the board
+    playMove(move) {
+        if (this.ui.game.in_check()) {
+            this.play('check');
+        } else {
+            this.play(move.captured.length ? 'capture' : 'move');
+        }
+    }
+
+    play(name) {
+        const sound = SoundEffects.SOUNDS[name];
+        if (!sound || !this.enabled()) return;
+
+        const context = this.getContext();
+        if (!context) return;
+
+        const start = context.currentTime;
+        for (const [frequency, offset, length] of sound.notes) {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = sound.wave;
+            oscillator.frequency.value = frequency;
+
+            // Quick fade in and out, a hard start or stop clicks
+            gain.gain.setValueAtTime(0, start + offset);
+            gain.gain.linearRampToValueAtTime(sound.volume, start + offset + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + offset + length);
+
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start + offset);
+            oscillator.stop(start + offset + length + 0.02);
+        }
+    }
+
+    getContext() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return null;
+            this.context = new AudioContext();
+        }
+        // Browsers start it suspended until the page has had a click or key press
+        if (this.context.state === 'suspended') this.context.resume().catch(() => { });
+        return this.context;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Variant Game
+ * - The game object ChessUI plays on: standard chess, Chess960, King of the Hill, Three-check, Atomic
+ * - Same calls as the chess.js instance it wraps (fen, load, get, board, turn, in_check, ...)
+ * - Standard chess keeps the chess.js rules; for variants check, game over and outcome come
+ *   from the server's answers (/move, /fen, /reset), cached per FEN for navigating the move list
+ * - Only outcomes the position alone decides: repetitions depend on the moves before, so ChessUI
+ *   keeps those on the move tree (node.result), and the 50-move draw has to be claimed
+ * - chess.js still holds pieces and side to move of variant positions, for display only
+ */
+
+class VariantGame {
+    static VARIANTS = {
+        standard: { name: 'Standard', pgn: null },
+        chess960: { name: 'Chess960', pgn: 'Chess960' },
+        kingofthehill: { name: 'King of the Hill', pgn: 'King of the Hill' },
+        threecheck: { name: 'Three-check', pgn: 'Three-check' },
+        atomic: { name: 'Atomic', pgn: 'Atomic' }
+    };
+
+    // Status line for games won by a variant's own rule (see VARIANT_END_REASONS in app.py)
+    static END_MESSAGES = {
+        king_of_the_hill: 'King reached the center',
+        three_check: 'Third check',
+        explosion: 'King exploded'
+    };
+
+    // Outcomes that depend on how the position was reached, not just on the FEN
+    static HISTORY_REASONS = ['fivefold_repetition'];
+
+    constructor(variant = 'standard') {
+        this.chess = new Chess();
+        this.variant = 'standard';
+        this.serverFen = null;      // Full variant FEN, chess.js only holds the board part
+        this.states = new Map();    // FEN -> last server answer for that position
+        this.setVariant(variant);
+    }
+
+    get isStandard() {
+        return this.variant === 'standard';
+    }
+
+    setVariant(variant) {
+        if (!VariantGame.VARIANTS[variant]) throw new Error(`Unknown variant "${variant}"`);
+        if (variant === this.variant) return;
+        this.variant = variant;
+        this.states.clear();
+    }
+
+    // FEN chess.js accepts: no Three-check counters ("3+3" or "+0+0"), no castling rights
+    static displayFen(fen) {
+        const fields = fen.trim().split(/\s+/).filter((field, i) => i === 0 || !field.includes('+'));
+        if (fields.length > 2) fields[2] = '-';
+        return fields.join(' ');
+    }
+
+    load(fen, state = null) {
+        if (!this.chess.load(this.isStandard ? fen : VariantGame.displayFen(fen))) return false;
+        this.serverFen = this.isStandard ? null : fen;
+        if (state) this.setState(state);
+        return true;
+    }
+
+    reset() {
+        this.setVariant('standard');
+        this.serverFen = null;
+        this.chess.reset();
+    }
+
+    // Record the server's view of the current position (legal moves, check, outcome)
+    setState(state) {
+        this.states.set(this.fen(), state);
+    }
+
+    stateOf(fen = this.fen()) {
+        return this.states.get(fen) || null;
+    }
+
+    fen() {
+        return this.serverFen || this.chess.fen();
+    }
+
+    get(square) {
+        return this.chess.get(square);
+    }
+
+    board() {
+        return this.chess.board();
+    }
+
+    turn() {
+        return this.chess.turn();
+    }
+
+    // Variant moves are only known to the server (see ChessUI.legalMoves)
+    moves(options) {
+        return this.isStandard ? this.chess.moves(options) : [];
+    }
+
+    flag(name) {
+        const state = this.stateOf();
+        return Boolean(state && state[name]);
+    }
+
+    in_check() {
+        return this.isStandard ? this.chess.in_check() : this.flag('is_check');
+    }
+
+    in_checkmate() {
+        return this.isStandard ? this.chess.in_checkmate() : this.flag('is_checkmate');
+    }
+
+    in_stalemate() {
+        return this.isStandard ? this.chess.in_stalemate() : this.flag('is_stalemate');
+    }
+
+    in_draw() {
+        const outcome = this.outcome();
+        return Boolean(outcome && !outcome.winner && !this.in_stalemate());
+    }
+
+    insufficient_material() {
+        if (this.isStandard) return this.chess.insufficient_material();
+        const outcome = this.outcome();
+        return Boolean(outcome && outcome.reason === 'insufficient_material');
+    }
+
+    game_over() {
+        return this.outcome() !== null;
+    }
+
+    // { result, reason, winner } if the position ends the game (a variant's: as the server declared it)
+    outcome() {
+        if (this.isStandard) return VariantGame.standardOutcome(this.chess);
+
+        const state = this.stateOf();
+        const outcome = state && state.outcome;
+        return outcome && !VariantGame.HISTORY_REASONS.includes(outcome.reason) ? outcome : null;
+    }
+
+    // chess.js would also end the game at 50 moves, which is only a draw when claimed
+    static standardOutcome(chess) {
+        const draw = reason => ({ result: '1/2-1/2', reason, winner: null });
+        if (chess.in_checkmate()) {
+            const winner = chess.turn() === 'w' ? 'black' : 'white';
+            return { result: winner === 'white' ? '1-0' : '0-1', reason: 'checkmate', winner };
+        }
+        if (chess.insufficient_material()) return draw('insufficient_material');
+        if (chess.in_stalemate()) return draw('stalemate');
+        if (parseInt(chess.fen().split(' ')[4], 10) >= 150) return draw('seventyfive_moves');
+        return null;
+    }
+
+    // Three-check: { white, black } checks still needed to win
+    remainingChecks() {
+        const state = this.stateOf();
+        return (state && state.remaining_checks) || null;
+    }
+}
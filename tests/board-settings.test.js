@@ -0,0 +1,74 @@
+// Board settings storage (static/board-settings.js). Run with: node --test tests
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const read = name => fs.readFileSync(path.join(__dirname, '..', 'static', name), 'utf8');
+const STORAGE_KEY = 'chess-ui:settings';
+
+// Objects from the page's context, comparable with deepStrictEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// A page with the settings classes and an empty localStorage
+function page() {
+    const items = new Map();
+    const localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    const context = vm.createContext({ localStorage });
+    vm.runInContext(`${read('chess-ui.js')}\n${read('board-settings.js')}\nthis.BoardSettings = BoardSettings;`, context);
+    const stored = () => JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { BoardSettings: context.BoardSettings, localStorage, stored };
+}
+
+// Settings of a board without DOM: changes are kept, not shown
+function settings(BoardSettings, options) {
+    const boardSettings = new BoardSettings({ refs: {} }, options);
+    boardSettings.refresh = () => {};
+    return boardSettings;
+}
+
+test('changing one arrow color does not store colors forced by options', () => {
+    const { BoardSettings, stored } = page();
+    const board = settings(BoardSettings, { arrowColors: { Red: '#112233' } });
+
+    board.set({ arrowColors: { Green: '#445566' } });
+
+    assert.deepStrictEqual(plain(board.values.arrowColors), { Red: '#112233', Green: '#445566' });
+    assert.deepStrictEqual(stored(), { arrowColors: { Green: '#445566' } });
+});
+
+test('a stored arrow color is kept next to colors forced by options', () => {
+    const { BoardSettings, localStorage } = page();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ arrowColors: { Green: '#445566', Red: '#778899' } }));
+
+    const board = settings(BoardSettings, { arrowColors: { Red: '#112233' } });
+
+    assert.deepStrictEqual(plain(board.values.arrowColors), { Green: '#445566', Red: '#112233' });
+});
+
+test('options are not stored when another setting changes', () => {
+    const { BoardSettings, stored } = page();
+    const board = settings(BoardSettings, { boardTheme: 'blue', pieceTheme: 'letters' });
+
+    board.set({ coordinates: 'outside' });
+
+    assert.deepStrictEqual(stored(), { coordinates: 'outside' });
+});
+
+test('restoring the defaults keeps the options', () => {
+    const { BoardSettings, stored } = page();
+    const board = settings(BoardSettings, { boardTheme: 'blue', arrowColors: { Red: '#112233' } });
+    board.set({ boardTheme: 'green', pieceTheme: 'letters', arrowColors: { Red: '#445566' } });
+
+    board.reset();
+
+    assert.strictEqual(stored(), null);
+    assert.strictEqual(board.values.boardTheme, 'blue');
+    assert.strictEqual(board.values.pieceTheme, 'wikipedia');
+    assert.deepStrictEqual(plain(board.values.arrowColors), { Red: '#112233' });
+});
@@ -0,0 +1,50 @@
+// Browser clock rules (static/chess-clock.js). Run with: node --test tests
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'static', 'chess-clock.js'), 'utf8');
+const ChessClock = vm.runInNewContext(`${source}\nChessClock`);
+
+test('first move earns the increment', () => {
+    const clock = new ChessClock(ChessClock.parse('5+3'));
+    assert.ok(clock.press('w', 0));
+    assert.strictEqual(clock.remaining.w, 303000);
+    assert.strictEqual(clock.movesMade.w, 1);
+    assert.strictEqual(clock.running, 'b');
+});
+
+test('both sides reach the next stage after their 40th move', () => {
+    const clock = new ChessClock(ChessClock.parse('40/90, 30'));
+    let now = 0;
+    clock.press('w', now);
+    for (let move = 2; move <= 40; move++) {
+        now += 1000;
+        assert.ok(clock.press('b', now));
+        now += 134000; // A steady pace: 39 timed moves use 5226 of White's 5400 seconds
+        assert.ok(clock.press('w', now));
+    }
+    assert.strictEqual(clock.movesMade.w, 40);
+    assert.strictEqual(clock.stage.w, 1);
+    assert.strictEqual(clock.remaining.w, (5400 - 39 * 134 + 1800) * 1000);
+
+    now += 1000;
+    assert.ok(clock.press('b', now));
+    assert.strictEqual(clock.stage.b, 1);
+    assert.strictEqual(clock.remaining.b, (5400 - 40 + 1800) * 1000);
+
+    // White's 41st move is played on the second stage's time
+    now += 600000;
+    assert.ok(clock.press('w', now));
+    assert.strictEqual(clock.flagged, null);
+});
+
+test('flag falls when time runs out', () => {
+    const clock = new ChessClock(ChessClock.parse('1+0'));
+    clock.press('w', 0);
+    assert.ok(!clock.press('b', 61000));
+    assert.strictEqual(clock.flagged, 'b');
+    assert.strictEqual(clock.remaining.b, 0);
+});
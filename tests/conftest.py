@@ -0,0 +1,5 @@
+"""Tests import the app's modules from the repository root. Run with: python3 -m pytest tests"""
+import os
+import sys
+
+sys.path.insert(0, os.path.join(os.path.dirname(os.path.abspath(__file__)), ".."))
@@ -0,0 +1,47 @@
+// PGN export of imported games (static/pgn.js). Run with: node --test tests
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const read = name => fs.readFileSync(path.join(__dirname, '..', 'static', name), 'utf8');
+const context = vm.createContext({});
+vm.runInContext(`${read('vendor/chess.js')}\n${read('move-tree.js')}\n${read('pgn.js')}\nthis.Pgn = Pgn;`, context);
+const { Pgn } = context;
+
+const SCHOLARS_MATE = '[White "Ann"]\n[Black "Bob"]\n[Result "1-0"]\n\n1. e4 e5 2. Bc4 Nc6 3. Qh5 Nf6 4. Qxf7# 1-0\n';
+const RESIGNED = '[Result "0-1"]\n\n1. e4 e5 2. Nf3 Nc6 0-1\n';
+
+const load = text => Pgn.toTree(Pgn.parse(text)[0]);
+const resultHeader = pgn => pgn.match(/\[Result "([^"]*)"\]/)[1];
+
+test('an unchanged imported game keeps its result', () => {
+    const pgn = Pgn.write(load(RESIGNED));
+    assert.strictEqual(resultHeader(pgn), '0-1');
+    assert.ok(pgn.trimEnd().endsWith('0-1'));
+});
+
+test('a main line that no longer ends where the imported game did is written as unfinished', () => {
+    const tree = load(RESIGNED);
+    const e5 = tree.root.children[0].children[0];
+    const d4 = tree.addMove(e5, 'd2d4', 'd4', 'rnbqkbnr/pppp1ppp/8/4p3/3PP3/8/PPP2PPP/RNBQKBNR b KQkq - 0 2');
+    tree.promoteVariation(d4);
+
+    const pgn = Pgn.write(tree);
+    assert.strictEqual(resultHeader(pgn), '*');
+    assert.ok(pgn.trimEnd().endsWith('*'));
+});
+
+test('a game continued past its imported end is written as unfinished', () => {
+    const tree = load(RESIGNED);
+    const end = tree.lineEnd(tree.root);
+    tree.addMove(end, 'f1c4', 'Bc4', 'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3');
+
+    assert.strictEqual(resultHeader(Pgn.write(tree)), '*');
+});
+
+test('the result of the game wins over the imported one', () => {
+    assert.strictEqual(resultHeader(Pgn.write(load(SCHOLARS_MATE), '1-0')), '1-0');
+    assert.strictEqual(resultHeader(Pgn.write(load(RESIGNED), '1/2-1/2')), '1/2-1/2');
+});
@@ -0,0 +1,55 @@
+"""Server clock rules (clock.py)."""
+from clock import ChessClock, parse_time_control
+
+
+def test_first_move_earns_the_increment():
+    clock = ChessClock(parse_time_control("5+3"))
+    assert clock.press("white", now=0)
+    assert clock.remaining["white"] == 303
+    assert clock.moves_made["white"] == 1
+    assert clock.running == "black"
+
+
+def test_both_sides_reach_the_next_stage_after_their_40th_move():
+    clock = ChessClock(parse_time_control("40/90, 30"))
+    now = 0
+    clock.press("white", now)
+    for move in range(2, 41):
+        now += 1
+        assert clock.press("black", now)
+        now += 134  # A steady pace: 39 timed moves use 5226 of White's 5400 seconds
+        assert clock.press("white", now)
+    assert clock.moves_made["white"] == 40
+    assert clock.stage["white"] == 1
+    assert clock.remaining["white"] == 5400 - 39 * 134 + 1800
+
+    now += 1
+    assert clock.press("black", now)
+    assert clock.moves_made["black"] == 40
+    assert clock.stage["black"] == 1
+    assert clock.remaining["black"] == 5400 - 40 + 1800
+
+    # White's 41st move is played on the second stage's time
+    now += 600
+    assert clock.press("white", now)
+    assert clock.flagged is None
+
+
+def test_repeating_last_stage_adds_time_every_40_moves():
+    clock = ChessClock(parse_time_control("40/120"))
+    now = 0
+    for move in range(1, 41):
+        assert clock.press("white", now)
+        now += 1
+        assert clock.press("black", now)
+        now += 1
+    assert clock.remaining["white"] == 7200 - 39 + 7200
+    assert clock.remaining["black"] == 7200 - 40 + 7200
+
+
+def test_flag_falls_when_time_runs_out():
+    clock = ChessClock(parse_time_control("1+0"))
+    clock.press("white", now=0)
+    assert not clock.press("black", now=61)
+    assert clock.flagged == "black"
+    assert clock.remaining["black"] == 0
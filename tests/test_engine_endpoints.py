@@ -0,0 +1,120 @@
+"""/analyze and /engine/move against the stub UCI engine in tools/, and without a working engine."""
+import os
+import sys
+
+import pytest
+from fastapi.testclient import TestClient
+
+import engine
+from app import app
+
+ROOT = os.path.join(os.path.dirname(os.path.abspath(__file__)), "..")
+STUB_ENGINE = f'"{sys.executable}" "{os.path.join(ROOT, "tools", "stub_uci_engine.py")}"'
+
+START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+MATE_IN_ONE_FEN = "r1bqkb1r/pppp1ppp/2n2n2/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 4 4"  # Qxf7#
+
+# Answers the UCI handshake, then exits as soon as it is asked to think
+DYING_ENGINE = """import sys
+for line in sys.stdin:
+    command = line.split()[:1]
+    if command == ["uci"]:
+        print("id name DyingEngine")
+        print("uciok", flush=True)
+    elif command == ["isready"]:
+        print("readyok", flush=True)
+    elif command == ["go"]:
+        sys.exit(1)
+"""
+
+client = TestClient(app)
+
+
+def use_engine(monkeypatch, command):
+    """Point CHESS_ENGINE_PATH at a command (None for no engine) and drop the engine process of earlier tests."""
+    engine.close_engine()
+    if command is None:
+        monkeypatch.delenv("CHESS_ENGINE_PATH", raising=False)
+    else:
+        monkeypatch.setenv("CHESS_ENGINE_PATH", command)
+
+
+@pytest.fixture(autouse=True)
+def stop_engine():
+    yield
+    engine.close_engine()
+
+
+@pytest.fixture
+def stub_engine(monkeypatch):
+    use_engine(monkeypatch, STUB_ENGINE)
+
+
+def test_analyze_returns_the_stub_engines_lines(stub_engine):
+    response = client.post("/analyze", json={"fen": START_FEN, "depth": 3, "multipv": 2})
+    assert response.status_code == 200
+    data = response.json()
+    assert data["engine"] == "StubEngine"
+    assert len(data["lines"]) == 2
+    for line in data["lines"]:
+        assert line["depth"] == 3
+        assert "cp" in line["score"]
+        assert len(line["pv"]) == 2
+        assert len(line["san"]) == 2
+
+
+def test_analyze_finds_a_mate(stub_engine):
+    data = client.post("/analyze", json={"fen": MATE_IN_ONE_FEN, "depth": 1}).json()
+    best = data["lines"][0]
+    assert best["pv"][0] == "h5f7"
+    assert best["san"][0] == "Qxf7#"
+    assert best["score"] == {"mate": 1}
+
+
+def test_analyze_of_a_finished_game_has_no_lines(stub_engine):
+    mated = "r1bqkb1r/pppp1Qpp/2n2n2/4p3/2B1P3/8/PPPP1PPP/RNB1K1NR b KQkq - 0 4"
+    assert client.post("/analyze", json={"fen": mated}).json()["lines"] == []
+
+
+def test_engine_move_is_played_by_the_stub(stub_engine):
+    response = client.post("/engine/move", json={"fen": MATE_IN_ONE_FEN, "level": 8})
+    assert response.status_code == 200
+    assert response.json() == {"move": "h5f7", "san": "Qxf7#", "source": "engine"}
+
+
+def test_analyze_without_an_engine(monkeypatch):
+    use_engine(monkeypatch, None)
+    response = client.post("/analyze", json={"fen": START_FEN})
+    assert response.status_code == 503
+    assert response.json()["code"] == "engine_unavailable"
+
+
+def test_analyze_with_a_missing_engine_program(monkeypatch):
+    use_engine(monkeypatch, f'"{os.path.join(ROOT, "tools", "no_such_engine")}"')
+    response = client.post("/analyze", json={"fen": START_FEN})
+    assert response.status_code == 503
+    assert response.json()["code"] == "engine_unavailable"
+    assert response.json()["error"].startswith("Could not start engine")
+
+
+def test_engine_move_falls_back_to_the_builtin_searcher(monkeypatch):
+    use_engine(monkeypatch, None)
+    response = client.post("/engine/move", json={"fen": START_FEN, "level": 1})
+    assert response.status_code == 200
+    assert response.json()["source"] == "builtin"
+
+
+def test_engine_that_dies_while_thinking(monkeypatch, tmp_path):
+    script = tmp_path / "dying_engine.py"
+    script.write_text(DYING_ENGINE)
+    use_engine(monkeypatch, f'"{sys.executable}" "{script}"')
+
+    response = client.post("/analyze", json={"fen": START_FEN, "depth": 1})
+    assert response.status_code == 503
+    assert response.json()["code"] == "engine_unavailable"
+    assert response.json()["error"] == "Engine terminated unexpectedly"
+
+    # The next request starts the engine again; it dies again, so the built-in searcher plays
+    response = client.post("/engine/move", json={"fen": START_FEN, "level": 1})
+    assert response.status_code == 200
+    assert response.json()["source"] == "builtin"
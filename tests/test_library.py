@@ -0,0 +1,34 @@
+"""Library export (library.py)."""
+import pytest
+
+import library
+
+
+@pytest.fixture(autouse=True)
+def fresh_library(tmp_path, monkeypatch):
+    monkeypatch.setenv("LIBRARY_PATH", str(tmp_path / "library.db"))
+    monkeypatch.setattr(library, "_initialized", False)
+
+
+def test_export_tags_games_with_their_library_name():
+    library.create_game('Club final "round 2"', '[White "Ann"]\n[Black "Bob"]\n\n1. e4 e5 *')
+    library.create_game("Bare moves", "1. d4 *")
+
+    assert library.export_pgn() == (
+        '[GameName "Club final \\"round 2\\""]\n[White "Ann"]\n[Black "Bob"]\n\n1. e4 e5 *\n\n'
+        '[GameName "Bare moves"]\n\n1. d4 *\n'
+    )
+
+
+def test_export_replaces_a_game_name_from_an_earlier_export():
+    library.create_game("Renamed", '[GameName "Imported"]\n[White "Ann"]\n\n1. e4 *')
+
+    assert library.export_pgn() == '[GameName "Renamed"]\n[White "Ann"]\n\n1. e4 *\n'
+
+
+def test_export_tags_chapters_with_study_and_chapter_name():
+    library.create_study("Openings", [{"name": "Italian", "pgn": "1. e4 e5 2. Nf3 Nc6 3. Bc4 *"}])
+
+    assert library.export_pgn() == (
+        '[StudyName "Openings"]\n[ChapterName "Italian"]\n\n1. e4 e5 2. Nf3 Nc6 3. Bc4 *\n'
+    )
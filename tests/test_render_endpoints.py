@@ -0,0 +1,37 @@
+"""/render limits: too many annotations are refused before anything is drawn."""
+from fastapi.testclient import TestClient
+
+import render
+from app import app
+
+START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+SQUARES = [f"{file}{rank}" for rank in "12345678" for file in "abcdefgh"]
+
+client = TestClient(app)
+
+
+def test_render_draws_the_most_annotations_allowed():
+    circles = [{"square": square, "color": "Red"} for square in SQUARES][:render.MAX_ANNOTATIONS]
+    response = client.post("/render", json={
+        "fen": START_FEN, "format": "png", "size": 200, "annotations": {"circles": circles},
+    })
+    assert response.status_code == 200
+    assert response.headers["content-type"] == "image/png"
+
+
+def test_render_refuses_too_many_arrows():
+    arrows = [{"move": f"{square}{square}", "color": "Green"} for square in SQUARES] * 2
+    response = client.post("/render", json={"fen": START_FEN, "format": "png", "annotations": {"arrows": arrows}})
+    assert response.status_code == 422
+    data = response.json()
+    assert data["code"] == "invalid_request"
+    assert any(error.startswith("body.annotations.arrows:") for error in data["errors"])
+
+
+def test_render_link_refuses_too_many_circles():
+    circles = ",".join(f"G{square}" for square in SQUARES * 2)
+    response = client.get("/render", params={"fen": START_FEN, "format": "png", "circles": circles})
+    assert response.status_code == 422
+    data = response.json()
+    assert data["code"] == "invalid_request"
+    assert any(error.startswith("query.circles:") for error in data["errors"])
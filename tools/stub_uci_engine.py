@@ -0,0 +1,111 @@
+#!/usr/bin/env python3
+"""Tiny UCI engine for trying the engine endpoints without installing a real engine.
+
+Speaks just enough UCI for python-chess: it ranks the legal moves by a one-ply
+material count and answers instantly, so results are deterministic.
+
+    CHESS_ENGINE_PATH="python3 tools/stub_uci_engine.py" uvicorn app:app
+"""
+import sys
+
+import chess
+
+PIECE_VALUES = {chess.PAWN: 100, chess.KNIGHT: 300, chess.BISHOP: 300, chess.ROOK: 500, chess.QUEEN: 900}
+
+
+def send(line):
+    sys.stdout.write(line + "\n")
+    sys.stdout.flush()
+
+
+def material(board):
+    """Material balance from the side to move's point of view."""
+    total = 0
+    for piece_type, value in PIECE_VALUES.items():
+        total += value * len(board.pieces(piece_type, board.turn))
+        total -= value * len(board.pieces(piece_type, not board.turn))
+    return total
+
+
+def rank_moves(board):
+    """Legal moves with a score for the side to move, best first."""
+    ranked = []
+    for move in board.legal_moves:
+        board.push(move)
+        if board.is_checkmate():
+            score = ("mate", 1)
+        else:
+            score = ("cp", -material(board))
+        board.pop()
+        ranked.append((move, score))
+
+    # Mates first, then by centipawns; UCI order keeps ties stable
+    ranked.sort(key=lambda item: (item[1][0] != "mate", -item[1][1], item[0].uci()))
+    return ranked
+
+
+def parse_position(args):
+    board = chess.Board()
+    if args[:1] == ["fen"]:
+        end = args.index("moves") if "moves" in args else len(args)
+        board = chess.Board(" ".join(args[1:end]))
+        args = args[end:]
+    elif args[:1] == ["startpos"]:
+        args = args[1:]
+
+    if args[:1] == ["moves"]:
+        for uci in args[1:]:
+            board.push_uci(uci)
+    return board
+
+
+def go(board, multipv, args):
+    depth = int(args[args.index("depth") + 1]) if "depth" in args else 1
+    ranked = rank_moves(board)
+    if not ranked:
+        send("info depth 0 score mate 0" if board.is_check() else "info depth 0 score cp 0")
+        send("bestmove (none)")
+        return
+
+    for idx, (move, (kind, value)) in enumerate(ranked[:multipv], start=1):
+        # Second PV move is the opponent's best reply, for a more realistic line
+        board.push(move)
+        reply = rank_moves(board)
+        board.pop()
+        pv = move.uci() + (" " + reply[0][0].uci() if reply else "")
+        send(f"info depth {depth} seldepth {depth} multipv {idx} score {kind} {value} nodes {len(ranked)} pv {pv}")
+    send(f"bestmove {ranked[0][0].uci()}")
+
+
+def main():
+    board = chess.Board()
+    multipv = 1
+
+    for line in sys.stdin:
+        parts = line.split()
+        if not parts:
+            continue
+        command, args = parts[0], parts[1:]
+
+        if command == "uci":
+            send("id name StubEngine")
+            send("id author chess-ui")
+            send("option name MultiPV type spin default 1 min 1 max 500")
+            send("option name Skill Level type spin default 20 min 0 max 20")
+            send("uciok")
+        elif command == "isready":
+            send("readyok")
+        elif command == "setoption" and args[:2] == ["name", "MultiPV"]:
+            multipv = int(args[3])
+        elif command == "ucinewgame":
+            board = chess.Board()
+        elif command == "position":
+            board = parse_position(args)
+        elif command == "go":
+            go(board, multipv, args)
+        elif command == "quit":
+            break
+
+
+if __name__ == "__main__":
+    main()